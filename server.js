@@ -1,7 +1,20 @@
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs').promises;
+const fsSync = require('fs');
+const http = require('http');
+const https = require('https');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const readline = require('readline');
+const acorn = require('acorn');
+const { promisify } = require('util');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const scrypt = promisify(crypto.scrypt);
 
 const app = express();
 const PORT = process.env.PORT || 3000; // Можна змінити через змінну оточення
@@ -11,648 +24,7607 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static('public'));
 
-// Директорії для зберігання
-const DATA_DIR = path.join(__dirname, 'data');
-const FILES_DIR = path.join(__dirname, 'files');
+// Директорії для зберігання (змінні оточення дозволяють тримати дані окремо, напр. у тестах)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const FILES_DIR = process.env.FILES_DIR || path.join(__dirname, 'files');
 const DB_FILE = path.join(DATA_DIR, 'db.json');
+const METADATA_SNAPSHOT_FILE = path.join(DATA_DIR, 'metadata.snapshot.json');
+const METADATA_JOURNAL_FILE = path.join(DATA_DIR, 'metadata.journal');
+const SECRET_FILE = path.join(DATA_DIR, 'session.secret');
+const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+const TEMP_DIR = path.join(DATA_DIR, 'tmp');
+const FILE_POLICY_FILE = path.join(DATA_DIR, 'file-policy.json');
+const THUMBNAILS_DIR = path.join(DATA_DIR, 'thumbnails');
+const BACKUPS_DIR = path.join(DATA_DIR, 'backups');
+
+// Драйвер сховища вмісту: local (FILES_DIR, за замовчуванням) або s3 (див. getS3Config)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+// Налаштування сесій (у секундах)
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60;
+
+// Ролі та їхні дозволи
+const ROLE_PERMISSIONS = {
+    admin: ['files:read', 'files:write', 'stats:all', 'storage:admin', 'users:admin'],
+    member: ['files:read', 'files:write'],
+    readonly: ['files:read']
+};
+const DEFAULT_ROLE = 'member';
+
+// Політика зберігання версій файлів (0 - без обмеження)
+const REVISION_KEEP_LAST = parseInt(process.env.REVISION_KEEP_LAST, 10) || 20;
+const REVISION_KEEP_DAYS = parseInt(process.env.REVISION_KEEP_DAYS, 10) || 30;
+
+// Скільки днів елементи зберігаються в кошику до автоматичного видалення
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Поетапне завантаження: розмір частини за замовчуванням і час життя незавершених сесій
+const UPLOAD_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE, 10) || 5 * 1024 * 1024;
+const UPLOAD_MAX_CHUNK_SIZE = 50 * 1024 * 1024;
+const UPLOAD_SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24;
+
+// Квота сховища на користувача за замовчуванням у байтах (0 - без обмеження)
+const DEFAULT_USER_QUOTA = process.env.DEFAULT_USER_QUOTA !== undefined
+    ? parseInt(process.env.DEFAULT_USER_QUOTA, 10) || 0
+    : 1024 * 1024 * 1024;
+
+// Після скількох записів у журналі він згортається в новий знімок
+const JOURNAL_COMPACT_THRESHOLD = parseInt(process.env.JOURNAL_COMPACT_THRESHOLD, 10) || 500;
+
+// Журнал змін для синхронізації: скільки записів зберігати і скільки віддавати за раз
+const CHANGE_LOG_LIMIT = parseInt(process.env.CHANGE_LOG_LIMIT, 10) || 10000;
+const SYNC_PAGE_SIZE = 500;
+
+// Імпорт ZIP: максимальний розмір архіву і кількість записів у ньому
+const ZIP_IMPORT_MAX_SIZE = parseInt(process.env.ZIP_IMPORT_MAX_SIZE, 10) || 200 * 1024 * 1024;
+const ZIP_IMPORT_MAX_ENTRIES = 1000;
+
+// Резервні копії: як часто створювати автоматично (0 - вимкнено) і скільки зберігати
+const BACKUP_INTERVAL_HOURS = process.env.BACKUP_INTERVAL_HOURS !== undefined
+    ? parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 0
+    : 24;
+const BACKUP_KEEP_DAILY = parseInt(process.env.BACKUP_KEEP_DAILY, 10) || 7;
+const BACKUP_KEEP_WEEKLY = parseInt(process.env.BACKUP_KEEP_WEEKLY, 10) || 4;
+const BACKUP_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Вимоги до облікових записів
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Секрет для підпису токенів (з оточення або з data/session.secret)
+let sessionSecret = process.env.SESSION_SECRET || null;
+
+// Активний драйвер сховища (створюється в initializeStorage)
+let storage = null;
 
 // Ініціалізація директорій та БД
 async function initializeStorage() {
     try {
         await fs.mkdir(DATA_DIR, { recursive: true });
-        await fs.mkdir(FILES_DIR, { recursive: true });
+        await fs.mkdir(UPLOADS_DIR, { recursive: true });
+        await fs.mkdir(TEMP_DIR, { recursive: true });
+        await fs.mkdir(THUMBNAILS_DIR, { recursive: true });
+        await fs.mkdir(BACKUPS_DIR, { recursive: true });
         
-        try {
-            await fs.access(DB_FILE);
-            console.log('✅ База даних знайдена');
-        } catch {
-            const initialDb = {
-                users: [
-                    { username: 'admin', password: 'password', name: 'Адміністратор' }
-                ],
-                files: []
-            };
-            await fs.writeFile(DB_FILE, JSON.stringify(initialDb, null, 2));
-            console.log('✅ База даних створена');
-        }
+        storage = createStorageDriver(STORAGE_DRIVER);
+        await storage.init();
+        console.log(`📦 Сховище вмісту: ${storage.describe()}`);
+        
+        await loadFileTypePolicy();
+        
+        await loadAuditLog();
+        
+        await loadMetadataStore(async () => ({
+            users: [
+                { 
+                    username: 'admin', 
+                    passwordHash: await hashPassword('password'), 
+                    name: 'Адміністратор',
+                    role: 'admin',
+                    disabled: false,
+                    createdAt: new Date().toISOString()
+                }
+            ],
+            files: [],
+            folders: [],
+            shares: [],
+            links: [],
+            uploads: [],
+            blobs: {},
+            revisions: [],
+            sessions: [],
+            changes: [],
+            changeSeq: 0
+        }));
+        
+        await loadSessionSecret();
+        await migratePlaintextPasswords();
+        await migrateUserRoles();
+        await pruneAllRevisions();
+        await migrateBase64Blobs();
+        await migrateToContentAddressed();
+        await migrateFileSizes();
+        await migrateImageInfo();
+        await runBlobGarbageCollection();
+        
+        // Через ті самі черги, що й оновлення після записів, щоб не індексувати двічі
+        scheduleSearchIndexSync();
+        scheduleThumbnailSync();
+        await Promise.all([searchIndex.pending, thumbnails.pending]);
         
         console.log('✅ Сховище ініціалізовано');
     } catch (error) {
+        // Без метаданих працювати не можна: порожня БД призвела б до видалення всіх блобів
         console.error('❌ Помилка ініціалізації:', error);
+        throw error;
     }
 }
 
-// Читання БД
-async function readDatabase() {
+// Завантаження або генерація секрету для підпису токенів
+async function loadSessionSecret() {
+    if (sessionSecret) return;
+    
     try {
-        const data = await fs.readFile(DB_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Помилка читання БД:', error);
-        return { users: [], files: [] };
+        sessionSecret = (await fs.readFile(SECRET_FILE, 'utf8')).trim();
+    } catch {
+        sessionSecret = crypto.randomBytes(48).toString('base64url');
+        await fs.writeFile(SECRET_FILE, sessionSecret, { mode: 0o600 });
+        console.log('🔑 Згенеровано новий секрет сесій');
     }
 }
 
-// Запис БД
-async function writeDatabase(data) {
-    try {
-        await fs.writeFile(DB_FILE, JSON.stringify(data, null, 2));
-        return true;
-    } catch (error) {
-        console.error('Помилка запису БД:', error);
-        return false;
+// Одноразова міграція: хешуємо паролі, що зберігались відкритим текстом
+async function migratePlaintextPasswords() {
+    await transaction(async db => {
+        const plaintextUsers = db.users.filter(u => typeof u.password === 'string' && !u.passwordHash);
+        
+        if (plaintextUsers.length === 0) return;
+        
+        for (const user of plaintextUsers) {
+            user.passwordHash = await hashPassword(user.password);
+            delete user.password;
+        }
+        
+        await writeDatabase(db);
+        console.log(`🔐 Захешовано паролі ${plaintextUsers.length} користувач(ів)`);
+    });
+}
+
+// Одноразова міграція: призначаємо ролі користувачам зі старої БД
+async function migrateUserRoles() {
+    await transaction(async db => {
+        const usersWithoutRole = db.users.filter(u => !u.role);
+        
+        if (usersWithoutRole.length === 0) return;
+        
+        for (const user of usersWithoutRole) {
+            user.role = user.username === 'admin' ? 'admin' : DEFAULT_ROLE;
+            user.disabled = Boolean(user.disabled);
+        }
+        
+        await writeDatabase(db);
+        console.log(`🛡️ Призначено ролі ${usersWithoutRole.length} користувач(ам)`);
+    });
+}
+
+// Перетворення зображень, збережених як base64 data URL, на двійкові файли
+async function migrateBase64Blobs() {
+    const db = await readDatabase();
+    const blobs = [...db.files, ...(db.revisions || [])].filter(item => isBinaryType(item.type));
+    let migrated = 0;
+    
+    for (const item of blobs) {
+        try {
+            if (!await storage.exists(item.fileName)) continue;
+            
+            const content = await storage.get(item.fileName);
+            if (!content.subarray(0, 5).equals(Buffer.from('data:'))) continue;
+            
+            await storage.put(item.fileName, decodeFileContent(content.toString('utf8'), item.type));
+            migrated++;
+        } catch (error) {
+            console.error(`Помилка міграції файлу ${item.fileName}:`, error);
+        }
+    }
+    
+    if (migrated > 0) {
+        console.log(`🖼️ Перетворено ${migrated} зображень з base64 у двійковий формат`);
     }
 }
 
-// Збереження файлу на диск
-async function saveFileToDisk(fileId, fileData, fileType) {
-    try {
-        const fileName = `${fileId}`;
-        const filePath = path.join(FILES_DIR, fileName);
+// Одноразова міграція: розмір файлів беремо зі збережених байтів, а не з даних клієнта
+async function migrateFileSizes() {
+    await transaction(async db => {
+        const blobs = db.blobs || {};
+        const mismatched = [...db.files, ...(db.revisions || [])]
+            .filter(item => item.hash && blobs[item.hash] && item.size !== blobs[item.hash].size);
         
-        if (fileType.startsWith('image/')) {
-            // Для зображень зберігаємо як base64
-            await fs.writeFile(filePath, fileData, 'utf8');
-        } else {
-            // Для текстових файлів
-            await fs.writeFile(filePath, fileData, 'utf8');
+        if (mismatched.length === 0) return;
+        
+        for (const item of mismatched) {
+            item.size = blobs[item.hash].size;
         }
         
-        return fileName;
-    } catch (error) {
-        console.error('Помилка збереження файлу:', error);
-        throw error;
+        await writeDatabase(db);
+        console.log(`📏 Виправлено розмір ${mismatched.length} записів за фактичним вмістом`);
+    });
+}
+
+// Відомості про PNG-зображення, завантажені до появи розбору заголовків
+async function migrateImageInfo() {
+    await transaction(async db => {
+        const blobs = db.blobs || {};
+        const pending = [...new Set(db.files.filter(f => getFileExtension(f.name) === '.png').map(f => f.hash))]
+            .filter(hash => hash && blobs[hash] && blobs[hash].image === undefined);
+        
+        if (pending.length === 0) return;
+        
+        let described = 0;
+        for (const hash of pending) {
+            try {
+                describeBlob(db, hash, await storage.get(hash));
+                if (blobs[hash].image) described++;
+            } catch (error) {
+                console.error(`⚠️ Не вдалося прочитати блоб ${hash}:`, error.message);
+            }
+        }
+        
+        await writeDatabase(db);
+        console.log(`🖼️ Розібрано заголовки ${described} PNG-зображень`);
+    });
+}
+
+// Перенесення блобів files/<fileId> у сховище за SHA-256
+async function migrateToContentAddressed() {
+    await transaction(async db => {
+        const legacy = [...db.files, ...(db.revisions || [])].filter(item => !item.hash && item.fileName);
+        if (legacy.length === 0) return;
+        
+        // Старі файли видаляємо лише після запису нових метаданих: збій посеред
+        // міграції лишає вміст доступним за старими іменами
+        const legacyNames = new Set();
+        let migrated = 0;
+        for (const item of legacy) {
+            if (!await fileExists(item.fileName)) continue;
+            
+            const content = await storage.get(item.fileName);
+            const hash = crypto.createHash('sha256').update(content).digest('hex');
+            if (!await fileExists(hash)) {
+                await storage.put(hash, content);
+            }
+            legacyNames.add(item.fileName);
+            
+            retainBlob(db, hash, content.length);
+            item.hash = hash;
+            item.fileName = hash;
+            item.size = content.length;
+            migrated++;
+        }
+        
+        await writeDatabase(db);
+        for (const fileName of legacyNames) {
+            await deleteFileFromDisk(fileName);
+        }
+        console.log(`🧬 Перенесено ${migrated} блобів у сховище за вмістом`);
+    });
+}
+
+// ============ СХОВИЩЕ МЕТАДАНИХ ============
+// Метадані живуть у пам'яті; на диску — знімок (metadata.snapshot.json) і журнал
+// змін (metadata.journal, по рядку JSON на транзакцію). Знімок замінюється лише
+// атомарним перейменуванням, а обірваний останній рядок журналу ігнорується,
+// тож збій посеред запису не псує базу.
+
+const metadataStore = {
+    state: null,
+    seq: 0,
+    journalEntries: 0,
+    journal: null,
+    lock: Promise.resolve()
+};
+
+// Робочі копії відкритих транзакцій (лише їх можна передавати у writeDatabase)
+const activeTransactions = new WeakSet();
+
+// Ключ запису в колекції
+function getRecordKey(record) {
+    if (record && typeof record === 'object') {
+        if (record.id !== undefined) return String(record.id);
+        if (record.username !== undefined) return String(record.username);
     }
+    return null;
 }
 
-// Читання файлу з диску
-async function readFileFromDisk(fileName, fileType) {
+// Зміни між двома станами: put/del для записів масивів, mput/mdel для словників (blobs)
+function diffMetadata(before, after) {
+    const ops = [];
+    const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const name of names) {
+        const oldValue = before[name];
+        const newValue = after[name];
+
+        if (newValue === undefined) {
+            ops.push({ op: 'drop', c: name });
+            continue;
+        }
+
+        if (Array.isArray(newValue) && newValue.every(getRecordKey) && (oldValue === undefined || Array.isArray(oldValue))) {
+            const oldRecords = new Map((oldValue || []).map(r => [getRecordKey(r), JSON.stringify(r)]));
+            for (const record of newValue) {
+                const key = getRecordKey(record);
+                const json = JSON.stringify(record);
+                if (oldRecords.get(key) !== json) ops.push({ op: 'put', c: name, k: key, v: record });
+                oldRecords.delete(key);
+            }
+            for (const key of oldRecords.keys()) {
+                ops.push({ op: 'del', c: name, k: key });
+            }
+            continue;
+        }
+
+        if (newValue && typeof newValue === 'object' && !Array.isArray(newValue) &&
+            (oldValue === undefined || (oldValue && typeof oldValue === 'object' && !Array.isArray(oldValue)))) {
+            const oldEntries = oldValue || {};
+            for (const [key, value] of Object.entries(newValue)) {
+                if (JSON.stringify(oldEntries[key]) !== JSON.stringify(value)) ops.push({ op: 'mput', c: name, k: key, v: value });
+            }
+            for (const key of Object.keys(oldEntries)) {
+                if (!(key in newValue)) ops.push({ op: 'mdel', c: name, k: key });
+            }
+            continue;
+        }
+
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            ops.push({ op: 'set', c: name, v: newValue });
+        }
+    }
+
+    return ops;
+}
+
+// Застосування змін до стану (повторне застосування безпечне)
+function applyMetadataOps(state, ops) {
+    for (const { op, c, k, v } of ops) {
+        if (op === 'drop') {
+            delete state[c];
+        } else if (op === 'set') {
+            state[c] = v;
+        } else if (op === 'put' || op === 'del') {
+            const records = Array.isArray(state[c]) ? state[c] : (state[c] = []);
+            const index = records.findIndex(r => getRecordKey(r) === k);
+            if (op === 'del') {
+                if (index !== -1) records.splice(index, 1);
+            } else if (index !== -1) {
+                records[index] = v;
+            } else {
+                records.push(v);
+            }
+        } else if (op === 'mput') {
+            (state[c] = state[c] || {})[k] = v;
+        } else if (op === 'mdel') {
+            if (state[c]) delete state[c][k];
+        }
+    }
+}
+
+// Глибоке заморожування: зафіксований стан спільний для всіх читачів і на місці не змінюється
+function freezeDeep(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        for (const key of Object.keys(value)) freezeDeep(value[key]);
+    }
+    return value;
+}
+
+// Нова версія зафіксованого стану: змінені колекції копіюються поверхово, решта
+// (і незмінені записи) спільні з попередньою, тож уже видані читачам знімки не змінюються
+function applyCommittedOps(state, ops) {
+    const next = { ...state };
+    for (const name of new Set(ops.map(op => op.c))) {
+        const value = next[name];
+        if (Array.isArray(value)) {
+            next[name] = value.slice();
+        } else if (value && typeof value === 'object') {
+            next[name] = { ...value };
+        }
+    }
+    applyMetadataOps(next, ops);
+    return freezeDeep(next);
+}
+
+// Атомарний запис знімка: тимчасовий файл + fsync + перейменування
+async function writeMetadataSnapshot(seq, state) {
+    const tempPath = `${METADATA_SNAPSHOT_FILE}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
     try {
-        const filePath = path.join(FILES_DIR, fileName);
-        return await fs.readFile(filePath, 'utf8');
-    } catch (error) {
-        console.error('Помилка читання файлу:', error);
-        throw error;
+        await handle.writeFile(JSON.stringify({ seq, savedAt: new Date().toISOString(), state }));
+        await handle.sync();
+    } finally {
+        await handle.close();
     }
+    await fs.rename(tempPath, METADATA_SNAPSHOT_FILE);
 }
 
-// Видалення файлу з диску
-async function deleteFileFromDisk(fileName) {
+// Згортання журналу в новий знімок
+async function compactMetadataJournal() {
+    await writeMetadataSnapshot(metadataStore.seq, metadataStore.state);
+
+    // Записи з seq не більшим за знімок пропускаються, тож збій тут нічого не зламає
+    if (metadataStore.journal) await metadataStore.journal.close();
+    metadataStore.journal = await fs.open(METADATA_JOURNAL_FILE, 'w');
+    metadataStore.journalEntries = 0;
+}
+
+// Завантаження метаданих: знімок + журнал, або імпорт з db.json, або нова БД
+async function loadMetadataStore(createInitialState) {
+    let snapshot = null;
     try {
-        const filePath = path.join(FILES_DIR, fileName);
-        await fs.unlink(filePath);
-        return true;
+        snapshot = JSON.parse(await fs.readFile(METADATA_SNAPSHOT_FILE, 'utf8'));
     } catch (error) {
-        console.error('Помилка видалення файлу:', error);
-        return false;
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Знімок метаданих пошкоджено (${METADATA_SNAPSHOT_FILE}): ${error.message}`);
+        }
+    }
+
+    const existing = Boolean(snapshot);
+    if (!snapshot) {
+        let legacy = null;
+        try {
+            legacy = JSON.parse(await fs.readFile(DB_FILE, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Не вдалося імпортувати ${DB_FILE}: ${error.message}`);
+            }
+        }
+
+        snapshot = { seq: 0, state: legacy || await createInitialState() };
+        await writeMetadataSnapshot(snapshot.seq, snapshot.state);
+
+        if (legacy) {
+            // Старий файл лишаємо поруч як резервну копію
+            await fs.rename(DB_FILE, `${DB_FILE}.imported`);
+            console.log(`📥 Метадані імпортовано з ${path.basename(DB_FILE)} (${(legacy.files || []).length} файлів)`);
+        } else {
+            console.log('✅ База даних створена');
+        }
+    }
+
+    metadataStore.state = snapshot.state;
+    metadataStore.seq = snapshot.seq;
+
+    // Відтворюємо транзакції з журналу
+    let journal = '';
+    try {
+        journal = await fs.readFile(METADATA_JOURNAL_FILE, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const lines = journal.split('\n').filter(Boolean);
+    let replayed = 0;
+    for (let i = 0; i < lines.length; i++) {
+        let entry;
+        try {
+            entry = JSON.parse(lines[i]);
+        } catch (error) {
+            // Обірваний останній запис — транзакція не була зафіксована
+            if (i === lines.length - 1) {
+                console.warn('⚠️ Пропущено незавершений запис у кінці журналу метаданих');
+                break;
+            }
+            throw new Error(`Журнал метаданих пошкоджено в рядку ${i + 1}: ${error.message}`);
+        }
+
+        if (entry.seq <= metadataStore.seq) continue;
+        applyMetadataOps(metadataStore.state, entry.ops);
+        metadataStore.seq = entry.seq;
+        replayed++;
+    }
+
+    if (replayed > 0) {
+        console.log(`📜 Відтворено ${replayed} транзакцій з журналу`);
     }
+
+    freezeDeep(metadataStore.state);
+    await compactMetadataJournal();
+    if (existing) console.log('✅ База даних знайдена');
 }
 
-// Перевірка існування файлу
-async function fileExists(fileName) {
+// Транзакція: записи виконуються по черзі над робочою копією;
+// зміни фіксує writeDatabase(db), а помилка до нього нічого не змінює
+async function transaction(fn) {
+    const previous = metadataStore.lock;
+    let release;
+    metadataStore.lock = new Promise(resolve => { release = resolve; });
+    await previous;
+
+    const db = structuredClone(metadataStore.state);
+    activeTransactions.add(db);
     try {
-        const filePath = path.join(FILES_DIR, fileName);
-        await fs.access(filePath);
-        return true;
-    } catch {
-        return false;
+        return await fn(db);
+    } finally {
+        activeTransactions.delete(db);
+        release();
     }
 }
 
-// ============ API ENDPOINTS ============
+// Читання БД: зафіксований стан без копіювання. Він заморожений і замінюється цілком
+// при кожній фіксації, тож виданий знімок узгоджений; змінювати дані - лише через transaction()
+async function readDatabase() {
+    return metadataStore.state;
+}
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        message: 'Сервер працює',
-        timestamp: new Date().toISOString(),
-        storage: {
-            dataDir: DATA_DIR,
-            filesDir: FILES_DIR
-        }
-    });
-});
+// Фіксація змін транзакції: запис у журнал з fsync, потім оновлення стану в пам'яті
+async function writeDatabase(db) {
+    if (!activeTransactions.has(db)) {
+        throw new Error('writeDatabase можна викликати лише всередині transaction()');
+    }
 
-// Авторизація
-app.post('/api/auth/login', async (req, res) => {
-    const { username, password } = req.body;
+    recordFileChanges(metadataStore.state, db);
     
-    if (!username || !password) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'Username та password обов\'язкові' 
-        });
+    const ops = diffMetadata(metadataStore.state, db);
+    if (ops.length === 0) return true;
+    const changedContent = collectChangedContent(metadataStore.state, ops);
+
+    const entry = { seq: metadataStore.seq + 1, at: new Date().toISOString(), ops };
+    await metadataStore.journal.write(JSON.stringify(entry) + '\n');
+    await metadataStore.journal.datasync();
+
+    metadataStore.state = applyCommittedOps(metadataStore.state, structuredClone(ops));
+    metadataStore.seq = entry.seq;
+    metadataStore.journalEntries++;
+
+    await deleteReleasedBlobs(db);
+
+    if (metadataStore.journalEntries >= JOURNAL_COMPACT_THRESHOLD) {
+        await compactMetadataJournal();
     }
-    
-    const db = await readDatabase();
-    const user = db.users.find(u => u.username === username && u.password === password);
-    
-    if (user) {
-        console.log(`✅ Користувач ${username} увійшов в систему`);
-        res.json({ 
-            success: true, 
-            user: { 
-                username: user.username, 
-                name: user.name 
-            } 
-        });
-    } else {
-        console.log(`❌ Невдала спроба входу: ${username}`);
-        res.status(401).json({ 
-            success: false, 
-            error: 'Невірні дані для входу' 
-        });
+
+    // Пошуковий індекс і мініатюри оновлюються лише для зачепленого вмісту
+    if (!changedContent || changedContent.size > 0) {
+        scheduleSearchIndexSync(changedContent);
+        scheduleThumbnailSync(changedContent);
     }
-});
+    return true;
+}
 
-// Отримання списку файлів (тільки метадані)
-app.get('/api/files', async (req, res) => {
-    const { userId } = req.query;
+// Хеші вмісту, яких стосуються зміни: старий і новий вміст змінених файлів та змінені записи блобів.
+// null - колекцію замінено цілком, потрібна повна перевірка
+function collectChangedContent(before, ops) {
+    const hashes = new Set();
+    let previousFiles = null;
     
-    if (!userId) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'userId обов\'язковий' 
-        });
+    for (const { op, c, k, v } of ops) {
+        if ((c === 'files' || c === 'blobs') && (op === 'set' || op === 'drop')) return null;
+        if (c === 'blobs' && (op === 'mput' || op === 'mdel')) {
+            hashes.add(k);
+        } else if (c === 'files' && (op === 'put' || op === 'del')) {
+            previousFiles = previousFiles || new Map((before.files || []).map(f => [getRecordKey(f), f]));
+            const previous = previousFiles.get(k);
+            if (previous && previous.hash) hashes.add(previous.hash);
+            if (v && v.hash) hashes.add(v.hash);
+        }
     }
     
-    const db = await readDatabase();
-    const userFiles = db.files.filter(f => f.userId === userId);
-    
-    // Перевіряємо існування файлів на диску
-    const filesWithStatus = await Promise.all(
-        userFiles.map(async (f) => {
-            const exists = await fileExists(f.fileName);
-            return {
-                id: f.id,
-                userId: f.userId,
-                name: f.name,
-                type: f.type,
-                size: f.size,
-                uploader: f.uploader,
-                createdDate: f.createdDate,
-                modifiedDate: f.modifiedDate,
-                fileName: f.fileName,
-                fileExists: exists
-            };
-        })
-    );
-    
-    console.log(`📂 Отримано список файлів для користувача ${userId}: ${filesWithStatus.length} файлів`);
-    
-    res.json({ 
-        success: true, 
-        files: filesWithStatus,
-        count: filesWithStatus.length
-    });
-});
+    return hashes;
+}
 
-// Отримання конкретного файлу з вмістом
-app.get('/api/files/:fileId', async (req, res) => {
-    const { fileId } = req.params;
-    const { userId } = req.query;
-    
-    if (!userId) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'userId обов\'язковий' 
-        });
+// Індекси колекцій: поле → позиції записів. Масиви зафіксованого стану не змінюються,
+// тож їхні індекси будуються один раз на версію; у робочих копіях транзакцій
+// індекс перебудовується, коли масив змінився
+const collectionIndexes = new WeakMap();
+
+function lookupIndexed(records, field, value) {
+    let indexes = collectionIndexes.get(records);
+    if (!indexes) {
+        indexes = new Map();
+        collectionIndexes.set(records, indexes);
     }
-    
-    const db = await readDatabase();
-    const file = db.files.find(f => f.id === fileId && f.userId === userId);
-    
-    if (!file) {
-        console.log(`❌ Файл не знайдено: ${fileId}`);
-        return res.status(404).json({ 
-            success: false, 
-            error: 'Файл не знайдено' 
+
+    const build = () => {
+        const index = new Map();
+        records.forEach((record, position) => {
+            const key = record[field];
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(position);
         });
+        const entry = { length: records.length, index };
+        indexes.set(field, entry);
+        return entry;
+    };
+
+    let entry = indexes.get(field);
+    if (!entry || entry.length !== records.length) entry = build();
+
+    let positions = entry.index.get(value) || [];
+    if (positions.some(position => !records[position] || records[position][field] !== value)) {
+        positions = build().index.get(value) || [];
     }
+
+    return positions.map(position => records[position]);
+}
+
+// ============ ДРАЙВЕРИ СХОВИЩА ============
+// Драйвер — об'єкт з однаковим набором методів над ключами (ім'я блобу):
+// init, put, putFile, get, createReadStream, stat, exists, delete, list, describe.
+
+// Локальна файлова система (директорія FILES_DIR)
+function createLocalStorageDriver(rootDir = FILES_DIR) {
+    const resolveKey = key => path.join(rootDir, path.basename(key));
     
-    try {
-        // Читаємо вміст файлу з диску
-        const fileData = await readFileFromDisk(file.fileName, file.type);
+    return {
+        name: 'local',
         
-        console.log(`📥 Файл ${file.name} завантажено для користувача ${userId}`);
+        describe() {
+            return rootDir;
+        },
         
-        res.json({
-            success: true,
-            file: {
-                ...file,
-                data: fileData
+        async init() {
+            await fs.mkdir(rootDir, { recursive: true });
+        },
+        
+        // Запис через тимчасовий файл, щоб читачі не бачили неповний блоб
+        async put(key, content) {
+            const tempPath = path.join(rootDir, `.write-${generateId()}`);
+            await fs.writeFile(tempPath, content);
+            await fs.rename(tempPath, resolveKey(key));
+        },
+        
+        async putFile(key, sourcePath) {
+            try {
+                await fs.rename(sourcePath, resolveKey(key));
+            } catch (error) {
+                if (error.code !== 'EXDEV') throw error;
+                // Тимчасова директорія на іншому розділі
+                await fs.copyFile(sourcePath, resolveKey(key));
+                await fs.unlink(sourcePath);
             }
-        });
-    } catch (error) {
-        console.error(`❌ Помилка читання файлу ${file.name}:`, error);
-        res.status(500).json({
-            success: false,
-            error: 'Помилка читання файлу'
-        });
-    }
-});
-
-// Завантаження файлу
-app.post('/api/files', async (req, res) => {
-    const { userId, id, name, type, size, uploader, data } = req.body;
+        },
+        
+        async get(key) {
+            return fs.readFile(resolveKey(key));
+        },
+        
+        async createReadStream(key, { start, end } = {}) {
+            return fsSync.createReadStream(resolveKey(key), { start, end });
+        },
+        
+        async stat(key) {
+            try {
+                const stat = await fs.stat(resolveKey(key));
+                return { size: stat.size, mtimeMs: stat.mtimeMs };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+        
+        async exists(key) {
+            return Boolean(await this.stat(key));
+        },
+        
+        async delete(key) {
+            try {
+                await fs.unlink(resolveKey(key));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+        
+        // Тимчасові файли (з крапкою на початку) не є блобами
+        async list() {
+            const names = await fs.readdir(rootDir);
+            return names.filter(name => !name.startsWith('.'));
+        }
+    };
+}
+
+// Налаштування S3-сумісного сховища зі змінних оточення
+function getS3Config() {
+    return {
+        endpoint: process.env.S3_ENDPOINT || 'https://s3.amazonaws.com',
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        prefix: process.env.S3_PREFIX || '',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    };
+}
+
+// Кодування частини шляху за правилами AWS SigV4
+function encodeS3Uri(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Підпис запиту AWS Signature Version 4 (повертає заголовок Authorization)
+function signS3Request({ method, host, pathname, query = {}, headers, payloadHash, amzDate }, { region, accessKeyId, secretAccessKey }) {
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
     
-    if (!userId || !name || !data) {
-        return res.status(400).json({ 
+    const canonicalQuery = Object.keys(query).sort()
+        .map(key => `${encodeS3Uri(key)}=${encodeS3Uri(query[key])}`)
+        .join('&');
+    
+    const allHeaders = { ...headers, host };
+    const headerNames = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(allHeaders).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+    const canonicalHeaders = headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+    
+    const canonicalRequest = [method, pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+    
+    const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    
+    return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+// S3-сумісне сховище (AWS S3, MinIO тощо), адресація бакета через шлях
+function createS3StorageDriver(config = getS3Config()) {
+    const endpoint = new URL(config.endpoint);
+    const transport = endpoint.protocol === 'https:' ? https : http;
+    const basePath = endpoint.pathname.replace(/\/$/, '');
+    
+    // Виконання підписаного запиту; тіло — Buffer або потік з відомою довжиною
+    function request(method, key, { query = {}, headers = {}, body = null, contentLength } = {}) {
+        const objectPath = key === null ? '' : `/${(config.prefix + key).split('/').map(encodeS3Uri).join('/')}`;
+        const pathname = `${basePath}/${encodeS3Uri(config.bucket)}${objectPath}`;
+        const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        
+        const signedHeaders = {
+            ...headers,
+            'x-amz-date': amzDate,
+            'x-amz-content-sha256': 'UNSIGNED-PAYLOAD'
+        };
+        if (contentLength !== undefined) {
+            signedHeaders['content-length'] = contentLength;
+        }
+        
+        const authorization = signS3Request({
+            method,
+            host: endpoint.host,
+            pathname,
+            query,
+            headers: signedHeaders,
+            payloadHash: 'UNSIGNED-PAYLOAD',
+            amzDate
+        }, config);
+        
+        const search = new URLSearchParams(query).toString();
+        
+        return new Promise((resolve, reject) => {
+            const req = transport.request({
+                method,
+                protocol: endpoint.protocol,
+                hostname: endpoint.hostname,
+                port: endpoint.port,
+                path: search ? `${pathname}?${search}` : pathname,
+                headers: { ...signedHeaders, Authorization: authorization }
+            }, resolve);
+            
+            req.on('error', reject);
+            if (body && typeof body.pipe === 'function') {
+                body.on('error', reject);
+                body.pipe(req);
+            } else {
+                req.end(body || undefined);
+            }
+        });
+    }
+    
+    // Тіло відповіді повністю
+    async function readBody(response) {
+        const chunks = [];
+        for await (const chunk of response) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    }
+    
+    // Помилка з кодом відповіді S3
+    async function failure(response, action, key) {
+        const body = (await readBody(response)).toString('utf8');
+        const code = (/<Code>([^<]+)<\/Code>/.exec(body) || [])[1] || response.statusCode;
+        const error = new Error(`S3 ${action} ${key || ''}: ${code}`);
+        error.status = response.statusCode;
+        return error;
+    }
+    
+    return {
+        name: 's3',
+        
+        describe() {
+            return `s3://${config.bucket}/${config.prefix}`;
+        },
+        
+        async init() {
+            if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+                throw new Error('Для STORAGE_DRIVER=s3 потрібні S3_BUCKET, S3_ACCESS_KEY_ID та S3_SECRET_ACCESS_KEY');
+            }
+            
+            const response = await request('HEAD', null);
+            response.resume();
+            if (response.statusCode >= 300) {
+                throw new Error(`S3 бакет ${config.bucket} недоступний (HTTP ${response.statusCode})`);
+            }
+        },
+        
+        async put(key, content) {
+            const response = await request('PUT', key, { body: content, contentLength: content.length });
+            if (response.statusCode >= 300) throw await failure(response, 'PUT', key);
+            response.resume();
+        },
+        
+        async putFile(key, sourcePath) {
+            const { size } = await fs.stat(sourcePath);
+            const response = await request('PUT', key, { 
+                body: fsSync.createReadStream(sourcePath), 
+                contentLength: size 
+            });
+            if (response.statusCode >= 300) throw await failure(response, 'PUT', key);
+            response.resume();
+            await fs.unlink(sourcePath);
+        },
+        
+        async get(key) {
+            const response = await request('GET', key);
+            if (response.statusCode >= 300) throw await failure(response, 'GET', key);
+            return readBody(response);
+        },
+        
+        async createReadStream(key, { start, end } = {}) {
+            const headers = start !== undefined ? { range: `bytes=${start}-${end !== undefined ? end : ''}` } : {};
+            const response = await request('GET', key, { headers });
+            if (response.statusCode >= 300) throw await failure(response, 'GET', key);
+            return response;
+        },
+        
+        async stat(key) {
+            const response = await request('HEAD', key);
+            response.resume();
+            if (response.statusCode === 404) return null;
+            if (response.statusCode >= 300) throw new Error(`S3 HEAD ${key}: HTTP ${response.statusCode}`);
+            
+            return {
+                size: parseInt(response.headers['content-length'], 10) || 0,
+                mtimeMs: new Date(response.headers['last-modified'] || Date.now()).getTime()
+            };
+        },
+        
+        async exists(key) {
+            return Boolean(await this.stat(key));
+        },
+        
+        async delete(key) {
+            const response = await request('DELETE', key);
+            if (response.statusCode >= 300 && response.statusCode !== 404) throw await failure(response, 'DELETE', key);
+            response.resume();
+            return response.statusCode !== 404;
+        },
+        
+        // ListObjectsV2 з продовженням за continuation-token
+        async list() {
+            const keys = [];
+            let continuationToken = null;
+            
+            do {
+                const query = { 'list-type': '2', prefix: config.prefix };
+                if (continuationToken) query['continuation-token'] = continuationToken;
+                
+                const response = await request('GET', null, { query });
+                if (response.statusCode >= 300) throw await failure(response, 'LIST');
+                const xml = (await readBody(response)).toString('utf8');
+                
+                for (const match of xml.matchAll(/<Key>([^<]+)<\/Key>/g)) {
+                    keys.push(decodeXmlEntities(match[1]).slice(config.prefix.length));
+                }
+                
+                const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+                continuationToken = truncated ? decodeXmlEntities((/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/.exec(xml) || [])[1] || '') : null;
+            } while (continuationToken);
+            
+            return keys;
+        }
+    };
+}
+
+// Розкодування XML-сутностей у відповідях S3
+function decodeXmlEntities(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Створення драйвера за назвою
+function createStorageDriver(name) {
+    switch (name) {
+        case 'local':
+            return createLocalStorageDriver();
+        case 's3':
+            return createS3StorageDriver();
+        default:
+            throw new Error(`Невідомий драйвер сховища: ${name}. Доступні: local, s3`);
+    }
+}
+
+// Копіювання всіх блобів з одного сховища в інше (метадані не змінюються, ключі ті самі)
+async function migrateStorage(fromName, toName) {
+    if (fromName === toName) {
+        throw new Error('Джерело і ціль міграції мають відрізнятися');
+    }
+    
+    const source = createStorageDriver(fromName);
+    const target = createStorageDriver(toName);
+    await source.init();
+    await target.init();
+    await fs.mkdir(TEMP_DIR, { recursive: true });
+    
+    const keys = await source.list();
+    const result = { copied: 0, skipped: 0, failed: [] };
+    
+    console.log(`🚚 Міграція ${keys.length} блобів: ${source.describe()} → ${target.describe()}`);
+    
+    for (const key of keys) {
+        try {
+            const sourceStat = await source.stat(key);
+            const targetStat = await target.stat(key);
+            if (targetStat && sourceStat && targetStat.size === sourceStat.size) {
+                result.skipped++;
+                continue;
+            }
+            
+            // Копіюємо через локальний тимчасовий файл, не тримаючи блоб у пам'яті
+            const tempPath = path.join(TEMP_DIR, `.migrate-${generateId()}`);
+            const hash = crypto.createHash('sha256');
+            const input = await source.createReadStream(key);
+            input.on('data', chunk => hash.update(chunk));
+            await pipeline(input, fsSync.createWriteStream(tempPath));
+            
+            // Блоби адресуються вмістом: пошкоджену копію не переносимо
+            if (/^[a-f0-9]{64}$/.test(key) && hash.digest('hex') !== key) {
+                await fs.unlink(tempPath);
+                result.failed.push({ key, error: 'Хеш не збігається з вмістом' });
+                continue;
+            }
+            
+            await target.putFile(key, tempPath);
+            result.copied++;
+        } catch (error) {
+            result.failed.push({ key, error: error.message });
+        }
+    }
+    
+    console.log(`✅ Скопійовано: ${result.copied}, пропущено (вже є): ${result.skipped}, помилок: ${result.failed.length}`);
+    for (const failure of result.failed) {
+        console.log(`   ❌ ${failure.key}: ${failure.error}`);
+    }
+    
+    return result;
+}
+
+// Чи зберігається тип файлу як двійковий (зображення приходять у JSON як data URL)
+function isBinaryType(fileType) {
+    return Boolean(fileType) && fileType.startsWith('image/');
+}
+
+// Вміст файлу у вигляді байтів (data URL зображень декодується)
+function decodeFileContent(data, fileType) {
+    const match = /^data:[^;,]*;base64,(.*)$/s.exec(data);
+    if (isBinaryType(fileType) && match) {
+        return Buffer.from(match[1], 'base64');
+    }
+    return Buffer.from(data, 'utf8');
+}
+
+// Читання файлу зі сховища для JSON-відповідей (зображення — як data URL)
+async function readFileFromDisk(fileName, fileType) {
+    try {
+        const content = await storage.get(fileName);
+        
+        if (isBinaryType(fileType)) {
+            return `data:${fileType};base64,${content.toString('base64')}`;
+        }
+        return content.toString('utf8');
+    } catch (error) {
+        console.error('Помилка читання файлу:', error);
+        throw error;
+    }
+}
+
+// Видалення файлу зі сховища
+async function deleteFileFromDisk(fileName) {
+    try {
+        return await storage.delete(fileName);
+    } catch (error) {
+        console.error('Помилка видалення файлу:', error);
+        return false;
+    }
+}
+
+// Генерація унікального ідентифікатора
+function generateId() {
+    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Файли користувача, що не перебувають у кошику
+function getUserFiles(db, userId) {
+    return lookupIndexed(db.files, 'userId', userId).filter(f => !f.deletedAt);
+}
+
+// Пошук файлу користувача (без урахування кошика)
+function findUserFile(db, userId, fileId) {
+    return lookupIndexed(db.files, 'id', fileId).find(f => f.userId === userId && !f.deletedAt);
+}
+
+// Перевірка існування файлу
+async function fileExists(fileName) {
+    try {
+        return await storage.exists(fileName);
+    } catch {
+        return false;
+    }
+}
+
+// ============ СХОВИЩЕ БЛОБІВ ============
+// Вміст зберігається за SHA-256 (files/<hash>), однаковий вміст — один блоб.
+// db.blobs[hash].refCount — кількість файлів і ревізій, що на нього посилаються.
+
+const BLOB_GC_GRACE_PERIOD = 60 * 60 * 1000;
+
+// SHA-256 локального файлу (потоково)
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fsSync.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+// SHA-256 блобу у сховищі (потоково)
+async function hashStoredBlob(key) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(await storage.createReadStream(key), hash);
+    return hash.digest('hex');
+}
+
+// Додавання посилання на блоб
+function retainBlob(db, hash, size) {
+    db.blobs = db.blobs || {};
+    const blob = db.blobs[hash] || (db.blobs[hash] = { 
+        size, 
+        refCount: 0, 
+        createdDate: new Date().toISOString() 
+    });
+    blob.refCount++;
+    return blob;
+}
+
+// Блоби, що лишились без посилань у ще не зафіксованій транзакції (db → Set хешів)
+const releasedBlobs = new WeakMap();
+
+// Зняття посилання. Блоб без посилань лише прибирається з db.blobs, а зі сховища
+// його видаляє writeDatabase після фіксації: збій посеред транзакції не втрачає вміст
+function releaseBlob(db, hash) {
+    const blob = db.blobs && db.blobs[hash];
+    if (!blob) return false;
+    
+    blob.refCount--;
+    if (blob.refCount > 0) return false;
+    
+    delete db.blobs[hash];
+    if (!releasedBlobs.has(db)) releasedBlobs.set(db, new Set());
+    releasedBlobs.get(db).add(hash);
+    return true;
+}
+
+// Закріплені блоби (hash → кількість закріплень) фізично не видаляються: їх читає
+// резервна копія. Звільнені за цей час блоби пізніше прибере збирач сміття
+const pinnedBlobs = new Map();
+
+function pinBlobs(hashes) {
+    for (const hash of hashes) {
+        pinnedBlobs.set(hash, (pinnedBlobs.get(hash) || 0) + 1);
+    }
+}
+
+function unpinBlobs(hashes) {
+    for (const hash of hashes) {
+        const count = pinnedBlobs.get(hash) - 1;
+        if (count > 0) {
+            pinnedBlobs.set(hash, count);
+        } else {
+            pinnedBlobs.delete(hash);
+        }
+    }
+}
+
+// Видалення зі сховища блобів, звільнених щойно зафіксованою транзакцією
+async function deleteReleasedBlobs(db) {
+    const hashes = releasedBlobs.get(db);
+    releasedBlobs.delete(db);
+    if (!hashes) return [];
+    
+    const deleted = [];
+    for (const hash of hashes) {
+        // Той самий вміст міг знову отримати посилання в цій же транзакції
+        if (metadataStore.state.blobs && metadataStore.state.blobs[hash]) continue;
+        if (pinnedBlobs.has(hash)) continue;
+        if (await deleteFileFromDisk(hash)) deleted.push(hash);
+    }
+    return deleted;
+}
+
+// Підготовка блобу до транзакції: хешування і запис повільні, тож виконуються поза
+// чергою транзакцій. Вміст адресується хешем, тому повторний запис безпечний, а блоб,
+// на який так і не з'явилось посилання, прибере збирач сміття
+async function stageBlobFile(tempPath, hash = null) {
+    const blobHash = hash || await hashFile(tempPath);
+    const { size } = await fs.stat(tempPath);
+    const head = await readFileHead(tempPath);
+    
+    if (await fileExists(blobHash)) {
+        // Такий вміст уже є - дубль не зберігаємо
+        await fs.unlink(tempPath);
+    } else {
+        await storage.putFile(blobHash, tempPath);
+    }
+    return { hash: blobHash, size, head };
+}
+
+// Підготовка блобу з вмісту в пам'яті (на диску завжди лежать справжні байти)
+async function stageBlobContent(content) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    if (!await fileExists(hash)) {
+        await storage.put(hash, content);
+    }
+    return { hash, size: content.length, head: content.subarray(0, SIGNATURE_SAMPLE_SIZE) };
+}
+
+// Посилання на підготовлений блоб у транзакції
+async function commitStagedBlob(db, staged, javascript) {
+    // Блоб без посилань могли видалити між підготовкою і транзакцією
+    if (!(db.blobs && db.blobs[staged.hash]) && !await fileExists(staged.hash)) {
+        const error = new Error('Вміст файлу зник зі сховища під час збереження, повторіть спробу');
+        error.status = 409;
+        throw error;
+    }
+    
+    retainBlob(db, staged.hash, staged.size);
+    describeBlob(db, staged.hash, staged.head, javascript);
+    return { hash: staged.hash, fileName: staged.hash, size: staged.size };
+}
+
+// Відомості про вміст, спільні для всіх файлів з цим блобом (розміри PNG, розбір JavaScript)
+function describeBlob(db, hash, head, javascript) {
+    const blob = db.blobs[hash];
+    if (javascript) blob.javascript = javascript;
+    if (blob.image !== undefined) return;
+    
+    const image = parsePngHeader(head);
+    if (image) blob.image = image;
+}
+
+// Лічильники посилань, перераховані з метаданих файлів і ревізій
+function countBlobReferences(db) {
+    const counts = new Map();
+    for (const item of [...db.files, ...(db.revisions || [])]) {
+        if (item.hash) counts.set(item.hash, (counts.get(item.hash) || 0) + 1);
+    }
+    return counts;
+}
+
+// Дані про файл сховища без посилань, якщо його вже можна видалити (інакше null)
+async function getExpiredOrphan(fileName) {
+    // Блоб читає резервна копія
+    if (pinnedBlobs.has(fileName)) return null;
+    
+    // Свіжі файли можуть належати запиту, який ще не записав метадані
+    const stat = await storage.stat(fileName).catch(() => null);
+    if (!stat || stat.mtimeMs > Date.now() - BLOB_GC_GRACE_PERIOD) return null;
+    
+    return stat;
+}
+
+// Збирання сміття: виправлення лічильників і видалення блобів без посилань
+async function collectGarbageBlobs(db) {
+    const counts = countBlobReferences(db);
+    const previous = db.blobs || {};
+    const result = { deleted: [], fixedRefCounts: 0, freedBytes: 0 };
+    
+    db.blobs = {};
+    for (const [hash, refCount] of counts) {
+        const old = previous[hash];
+        if (!old || old.refCount !== refCount) result.fixedRefCounts++;
+        db.blobs[hash] = { 
+            ...old,
+            size: old ? old.size : (db.files.find(f => f.hash === hash) || {}).size, 
+            refCount, 
+            createdDate: old ? old.createdDate : new Date().toISOString() 
+        };
+    }
+    
+    // Блоби у сховищі, на які ніщо не посилається
+    const diskFiles = await storage.list();
+    for (const diskFile of diskFiles) {
+        if (counts.has(diskFile)) continue;
+        if (!/^[a-f0-9]{64}$/.test(diskFile)) continue;
+        
+        const stat = await getExpiredOrphan(diskFile);
+        if (stat && await deleteFileFromDisk(diskFile)) {
+            result.deleted.push(diskFile);
+            result.freedBytes += stat.size;
+        }
+    }
+    
+    return result;
+}
+
+// Фонове збирання сміття
+async function runBlobGarbageCollection() {
+    return transaction(async db => {
+        const result = await collectGarbageBlobs(db);
+        await writeDatabase(db);
+        
+        if (result.deleted.length > 0 || result.fixedRefCounts > 0) {
+            console.log(`🧹 Збирання сміття: видалено ${result.deleted.length} блобів, виправлено ${result.fixedRefCounts} лічильників`);
+        }
+        return result;
+    });
+}
+
+// ============ ВЕРСІЇ ФАЙЛІВ ============
+
+// Збереження поточного вмісту файлу як ревізії перед перезаписом
+async function archiveFileRevision(db, file) {
+    db.revisions = db.revisions || [];
+    
+    const revision = {
+        id: generateId(),
+        fileId: file.id,
+        userId: file.userId,
+        version: file.version || 1,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        author: file.modifiedBy || file.userId,
+        uploader: file.uploader,
+        createdDate: file.modifiedDate || file.createdDate,
+        archivedDate: new Date().toISOString(),
+        hash: file.hash,
+        fileName: file.fileName
+    };
+    
+    // Посилання файлу на блоб переходить до ревізії
+    if (!file.hash || !await fileExists(file.fileName)) {
+        // Вмісту на диску немає - зберігати нічого
+        console.error(`⚠️ Не вдалося зберегти ревізію файлу ${file.name}: вміст відсутній`);
+        if (file.hash) releaseBlob(db, file.hash);
+        return null;
+    }
+    
+    db.revisions.push(revision);
+    await pruneFileRevisions(db, file.id, file.userId);
+    return revision;
+}
+
+// Видалення ревізій файлу, що виходять за межі політики зберігання
+async function pruneFileRevisions(db, fileId, userId) {
+    const fileRevisions = (db.revisions || [])
+        .filter(r => r.fileId === fileId && r.userId === userId)
+        .sort((a, b) => b.archivedDate.localeCompare(a.archivedDate));
+    
+    const minDate = REVISION_KEEP_DAYS > 0 
+        ? new Date(Date.now() - REVISION_KEEP_DAYS * 24 * 60 * 60 * 1000).toISOString() 
+        : null;
+    
+    const expired = fileRevisions.filter((r, index) =>
+        (REVISION_KEEP_LAST > 0 && index >= REVISION_KEEP_LAST) || (minDate && r.archivedDate < minDate)
+    );
+    
+    if (expired.length === 0) return 0;
+    
+    for (const revision of expired) {
+        releaseBlob(db, revision.hash);
+    }
+    
+    const expiredIds = new Set(expired.map(r => r.id));
+    db.revisions = db.revisions.filter(r => !expiredIds.has(r.id));
+    return expired.length;
+}
+
+// Застосування політики зберігання до всіх файлів
+async function pruneAllRevisions() {
+    await transaction(async db => {
+        const fileKeys = new Map((db.revisions || []).map(r => [`${r.userId}/${r.fileId}`, r]));
+        
+        let pruned = 0;
+        for (const revision of fileKeys.values()) {
+            pruned += await pruneFileRevisions(db, revision.fileId, revision.userId);
+        }
+        
+        if (pruned > 0) {
+            await writeDatabase(db);
+            console.log(`🧹 Видалено ${pruned} застарілих ревізій`);
+        }
+    });
+}
+
+// Остаточне видалення файлу разом з усіма ревізіями (блоби звільняються за лічильником)
+async function purgeFileData(db, file) {
+    const released = releaseBlob(db, file.hash);
+    const isFileRevision = r => r.fileId === file.id && r.userId === file.userId;
+    
+    for (const revision of (db.revisions || []).filter(isFileRevision)) {
+        releaseBlob(db, revision.hash);
+    }
+    
+    db.revisions = (db.revisions || []).filter(r => !isFileRevision(r));
+    return released;
+}
+
+// Імена всіх файлів на диску, на які посилається БД
+function collectReferencedFileNames(db) {
+    return new Set([
+        ...db.files.map(f => f.fileName),
+        ...(db.revisions || []).map(r => r.fileName)
+    ]);
+}
+
+// ============ ПАРОЛІ ============
+
+// Хешування пароля: scrypt із випадковою сіллю, формат "scrypt$<salt>$<hash>"
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+// Перевірка пароля за збереженим хешем
+async function verifyPassword(password, passwordHash) {
+    const [algorithm, salt, hash] = (passwordHash || '').split('$');
+    if (typeof password !== 'string' || algorithm !== 'scrypt' || !salt || !hash) return false;
+    
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Перевірка вимог до пароля, повертає текст помилки або null
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Пароль має містити щонайменше ${MIN_PASSWORD_LENGTH} символів`;
+    }
+    return null;
+}
+
+// ============ СЕСІЇ ТА АВТОРИЗАЦІЯ ============
+
+// Публічне представлення користувача (без хешу пароля)
+function publicUser(user) {
+    return {
+        username: user.username,
+        name: user.name,
+        role: user.role || DEFAULT_ROLE
+    };
+}
+
+// Підпис даних токена
+function signTokenPayload(encodedPayload) {
+    return crypto.createHmac('sha256', sessionSecret).update(encodedPayload).digest('base64url');
+}
+
+// Хеш refresh-токена (у БД зберігається лише хеш)
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Створення підписаного access-токена
+function createAccessToken(username, sessionId) {
+    const payload = {
+        sub: username,
+        sid: sessionId,
+        exp: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL
+    };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encodedPayload}.${signTokenPayload(encodedPayload)}`;
+}
+
+// Перевірка підпису та терміну дії access-токена
+function verifyAccessToken(token) {
+    const [encodedPayload, signature] = (token || '').split('.');
+    if (!encodedPayload || !signature) return null;
+    
+    const expected = Buffer.from(signTokenPayload(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    
+    try {
+        const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+        return payload;
+    } catch {
+        return null;
+    }
+}
+
+// Видача пари токенів для сесії (з ротацією refresh-токена)
+function issueSessionTokens(session) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    session.refreshTokenHash = hashToken(refreshToken);
+    session.lastRefreshedAt = new Date().toISOString();
+    
+    return {
+        token: createAccessToken(session.username, session.id),
+        refreshToken,
+        expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL * 1000).toISOString(),
+        refreshExpiresAt: session.expiresAt
+    };
+}
+
+// Чи сесія ще активна
+function isSessionActive(session) {
+    return session && !session.revoked && new Date(session.expiresAt) > new Date();
+}
+
+// Middleware: визначає користувача за Bearer-токеном
+async function requireAuth(req, res, next) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ 
             success: false, 
-            error: 'Відсутні обов\'язкові поля' 
+            error: 'Потрібна авторизація' 
+        });
+    }
+    
+    const payload = verifyAccessToken(token);
+    if (!payload) {
+        return res.status(401).json({ 
+            success: false, 
+            error: 'Недійсний або прострочений токен' 
+        });
+    }
+    
+    let db;
+    try {
+        db = await readDatabase();
+    } catch (error) {
+        // Express 4 не перехоплює відхилені проміси: передаємо помилку обробнику
+        return next(error);
+    }
+    const session = (db.sessions || []).find(s => s.id === payload.sid);
+    const user = db.users.find(u => u.username === payload.sub);
+    
+    if (!isSessionActive(session) || !user || user.disabled) {
+        return res.status(401).json({ 
+            success: false, 
+            error: 'Сесію завершено' 
+        });
+    }
+    
+    req.user = publicUser(user);
+    req.sessionId = session.id;
+    next();
+}
+
+// Кількість активних адміністраторів
+function countActiveAdmins(db) {
+    return db.users.filter(u => u.role === 'admin' && !u.disabled).length;
+}
+
+// Чи має роль вказаний дозвіл
+function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Middleware: перевірка дозволу (після requireAuth)
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!req.user || !hasPermission(req.user.role, permission)) {
+            console.log(`⛔ Відмовлено в доступі: ${req.user ? req.user.username : 'гість'} → ${req.method} ${req.path}`);
+            return res.status(403).json({ 
+                success: false, 
+                error: 'Недостатньо прав' 
+            });
+        }
+        next();
+    };
+}
+
+// ============ ЖУРНАЛ ЗМІН ============
+// Кожна транзакція, що змінює файли, додає в db.changes записи з наростаючим seq.
+// Клієнт синхронізації передає останній отриманий seq (курсор) і отримує лише нові зміни.
+
+// Тип зміни файлу між двома станами (null - нічого суттєвого не змінилось)
+function getFileChangeType(before, after) {
+    const wasAlive = Boolean(before && !before.deletedAt);
+    const isAlive = Boolean(after && !after.deletedAt);
+    
+    if (!wasAlive) return isAlive ? 'create' : null;
+    if (!isAlive) return 'delete';
+    if (before.hash !== after.hash) return 'update';
+    if (before.name !== after.name) return 'rename';
+    if ((before.folderId || null) !== (after.folderId || null)) return 'move';
+    return null;
+}
+
+// Додавання записів журналу для файлів, змінених у транзакції
+function recordFileChanges(before, db) {
+    const previous = new Map((before.files || []).map(f => [f.id, f]));
+    const date = new Date().toISOString();
+    let seq = db.changeSeq || 0;
+    const changes = [];
+    
+    const record = (file, type) => {
+        seq++;
+        changes.push({ id: seq, seq, userId: file.userId, fileId: file.id, type, date });
+    };
+    
+    for (const file of db.files || []) {
+        const type = getFileChangeType(previous.get(file.id), file);
+        if (type) record(file, type);
+        previous.delete(file.id);
+    }
+    
+    // Записи, яких більше немає в БД (остаточне видалення без кошика)
+    for (const file of previous.values()) {
+        if (!file.deletedAt) record(file, 'delete');
+    }
+    
+    if (changes.length === 0) return;
+    
+    db.changes = [...(db.changes || []), ...changes].slice(-CHANGE_LOG_LIMIT);
+    db.changeSeq = seq;
+}
+
+// Метадані файлу для клієнта синхронізації (без вмісту)
+function toSyncFile(file) {
+    return {
+        id: file.id,
+        userId: file.userId,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        uploader: file.uploader,
+        folderId: file.folderId || null,
+        hash: file.hash,
+        version: file.version || 1,
+        createdDate: file.createdDate,
+        modifiedDate: file.modifiedDate
+    };
+}
+
+// ============ ЖУРНАЛ АУДИТУ ============
+// Окремий від метаданих файл audit.log (по рядку JSON на подію), у який лише дописуємо:
+// відновлення з резервної копії та згортання журналу метаданих його не зачіпають.
+
+const AUDIT_LOG_FILE = path.join(DATA_DIR, 'audit.log');
+const AUDIT_PAGE_SIZE = 50;
+// Скільки останніх подій тримаємо в пам'яті; старіші читаються з audit.log
+const AUDIT_MEMORY_ENTRIES = parseInt(process.env.AUDIT_MEMORY_ENTRIES, 10) || 10000;
+
+const auditLog = {
+    entries: [],
+    dropped: 0,
+    seq: 0,
+    handle: null,
+    pending: Promise.resolve()
+};
+
+// Подія в пам'яті; найстаріші витісняються, щойно перевищено ліміт
+function rememberAuditEntry(entry) {
+    auditLog.entries.push(entry);
+    if (auditLog.entries.length > AUDIT_MEMORY_ENTRIES) {
+        auditLog.dropped += auditLog.entries.length - AUDIT_MEMORY_ENTRIES;
+        auditLog.entries.splice(0, auditLog.entries.length - AUDIT_MEMORY_ENTRIES);
+    }
+}
+
+// Построковий прохід audit.log до байта end; повертає кількість пошкоджених рядків
+async function scanAuditFile(end, onEntry) {
+    if (end === 0) return 0;
+    
+    const input = fsSync.createReadStream(AUDIT_LOG_FILE, { encoding: 'utf8', end: end - 1 });
+    let skipped = 0;
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+        if (!line) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            skipped++;
+            continue;
+        }
+        onEntry(entry);
+    }
+    return skipped;
+}
+
+// Завантаження журналу аудиту; пошкоджені рядки пропускаються
+async function loadAuditLog() {
+    auditLog.handle = await fs.open(AUDIT_LOG_FILE, 'a+');
+    const { size } = await auditLog.handle.stat();
+    
+    const skipped = await scanAuditFile(size, entry => {
+        rememberAuditEntry(entry);
+        auditLog.seq = Math.max(auditLog.seq, entry.id || 0);
+    });
+    
+    if (skipped > 0) {
+        console.warn(`⚠️ Пропущено ${skipped} пошкоджених записів журналу аудиту`);
+    }
+    
+    // Обірваний останній рядок не повинен склеїтися з наступним записом
+    if (size > 0) {
+        const { buffer } = await auditLog.handle.read(Buffer.alloc(1), 0, 1, size - 1);
+        if (buffer[0] !== 0x0a) {
+            await auditLog.handle.write('\n');
+        }
+    }
+    
+    console.log(`📝 Журнал аудиту: ${auditLog.dropped + auditLog.entries.length} подій`);
+}
+
+// Запис події аудиту. actor/ip беруться із запиту (req може бути null для фонових задач);
+// запис на диск іде по черзі, помилка запису не зриває саму операцію
+function recordAudit(req, action, { actor, target = null, details = null, success = true } = {}) {
+    const entry = {
+        id: ++auditLog.seq,
+        at: new Date().toISOString(),
+        action,
+        actor: actor !== undefined ? actor : (req && req.user ? req.user.username : null),
+        ip: req ? req.ip : null,
+        success,
+        target,
+        details
+    };
+    rememberAuditEntry(entry);
+    
+    auditLog.pending = auditLog.pending
+        .then(() => auditLog.handle && auditLog.handle.write(JSON.stringify(entry) + '\n'))
+        .catch(error => console.error('❌ Помилка запису журналу аудиту:', error));
+    
+    return entry;
+}
+
+// Ціль події для файлу
+function getAuditFileTarget(file) {
+    return { type: 'file', id: file.id, name: file.name, ownerId: file.userId };
+}
+
+// Подія запису файлу: перша версія - завантаження, наступні - перезапис
+function recordFileWrite(req, file, details = {}) {
+    const version = file.version || 1;
+    return recordAudit(req, version > 1 ? 'file.overwrite' : 'file.upload', {
+        target: getAuditFileTarget(file),
+        details: { version, size: file.size, uploader: file.uploader, ...details }
+    });
+}
+
+// Чи стосується подія файлу (напряму або в складі групової операції)
+function isAuditEntryForFile(entry, fileId) {
+    return (entry.target && entry.target.type === 'file' && entry.target.id === fileId) ||
+        Boolean(entry.details && Array.isArray(entry.details.fileIds) && entry.details.fileIds.includes(fileId));
+}
+
+// Фільтри журналу аудиту: action (через кому, "file.*" - за префіксом), actor, targetId, success, from/to
+function parseAuditFilters(query) {
+    const actions = query.action
+        ? String(query.action).split(',').map(action => action.trim()).filter(Boolean)
+        : null;
+    const actor = query.actor ? String(query.actor) : null;
+    const targetId = query.targetId ? String(query.targetId) : null;
+    
+    if (query.success !== undefined && !['true', 'false'].includes(query.success)) {
+        return { error: 'success має бути true або false' };
+    }
+    const success = query.success !== undefined ? query.success === 'true' : null;
+    
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return { error: 'Некоректна дата у фільтрі from/to' };
+    }
+    
+    // Дата без часу в "to" означає весь цей день
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+        to.setUTCHours(23, 59, 59, 999);
+    }
+    
+    const matchesAction = action => actions.some(pattern => pattern.endsWith('.*')
+        ? action.startsWith(pattern.slice(0, -1))
+        : action === pattern);
+    
+    return {
+        filter: entry => {
+            if (actions && !matchesAction(entry.action)) return false;
+            if (actor && entry.actor !== actor) return false;
+            if (targetId && !(entry.target && entry.target.id === targetId) && !isAuditEntryForFile(entry, targetId)) return false;
+            if (success !== null && entry.success !== success) return false;
+            
+            const date = new Date(entry.at);
+            if (from && date < from) return false;
+            if (to && date > to) return false;
+            return true;
+        }
+    };
+}
+
+// Сторінка подій від найновіших
+function paginateAuditEntries(entries, { limit, offset }) {
+    const total = entries.length;
+    const page = entries.slice().reverse().slice(offset, offset + limit);
+    return { entries: page, total, limit, offset, hasMore: offset + page.length < total };
+}
+
+// Сторінка подій, що задовольняють predicate. Поки журнал цілком у пам'яті, відповідаємо
+// звідти; інакше двічі проходимо audit.log (підрахунок, потім сторінка), не тримаючи
+// в пам'яті більше за одну сторінку
+async function queryAuditLog(predicate, { limit, offset }) {
+    if (auditLog.dropped === 0) {
+        return paginateAuditEntries(auditLog.entries.filter(predicate), { limit, offset });
+    }
+    
+    // Межа фіксується наперед: події, дописані під час проходів, у відповідь не потрапляють
+    await auditLog.pending;
+    const { size } = await auditLog.handle.stat();
+    
+    let total = 0;
+    await scanAuditFile(size, entry => {
+        if (predicate(entry)) total++;
+    });
+    
+    const first = Math.max(0, total - offset - limit);
+    const last = total - offset;
+    const page = [];
+    let index = 0;
+    await scanAuditFile(size, entry => {
+        if (!predicate(entry)) return;
+        if (index >= first && index < last) page.push(entry);
+        index++;
+    });
+    
+    page.reverse();
+    return { entries: page, total, limit, offset, hasMore: offset + page.length < total };
+}
+
+// ============ ПОЛІТИКА ТИПІВ ФАЙЛІВ ============
+// Дозволені типи, ліміти розміру та перевизначення для ролей. Типова політика нижче;
+// data/file-policy.json (якщо є) замінює її. Вміст перевіряється за сигнатурою,
+// а не лише за розширенням чи заявленим MIME-типом.
+
+const DEFAULT_FILE_TYPE_POLICY = {
+    types: {
+        javascript: {
+            label: 'JavaScript',
+            extensions: ['.js'],
+            mimeTypes: ['text/javascript', 'application/javascript'],
+            signature: 'text',
+            maxSize: 10 * 1024 * 1024,
+            // Файли з синтаксичними помилками: flag - приймати з позначкою, reject - відхиляти
+            syntaxErrors: 'flag'
+        },
+        png: {
+            label: 'PNG',
+            extensions: ['.png'],
+            mimeTypes: ['image/png'],
+            signature: 'png',
+            maxSize: 20 * 1024 * 1024
+        }
+    },
+    // allowed - перелік дозволених типів для ролі, maxSize - власні ліміти
+    roles: {
+        admin: { maxSize: { javascript: 50 * 1024 * 1024, png: 100 * 1024 * 1024 } }
+    }
+};
+
+// Скільки перших байтів файлу читаємо для перевірки сигнатури
+const SIGNATURE_SAMPLE_SIZE = 8192;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Перевірки вмісту за першими байтами
+const FILE_SIGNATURES = {
+    png: head => head.length >= PNG_SIGNATURE.length && head.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE),
+    // Текст: коректний UTF-8 без нульових байтів (виконувані файли та архіви їх містять)
+    text: head => {
+        if (head.includes(0)) return false;
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+};
+
+let fileTypePolicy = DEFAULT_FILE_TYPE_POLICY;
+
+// Перевірка структури політики (помилка в конфігурації зупиняє запуск)
+function validateFileTypePolicy(policy) {
+    if (!policy || typeof policy.types !== 'object' || Object.keys(policy.types).length === 0) {
+        throw new Error('політика має містити хоча б один тип у types');
+    }
+    
+    for (const [id, rule] of Object.entries(policy.types)) {
+        if (!Array.isArray(rule.extensions) || rule.extensions.length === 0 || !rule.extensions.every(ext => /^\.[a-z0-9]+$/.test(ext))) {
+            throw new Error(`тип ${id}: extensions має бути списком на кшталт [".js"]`);
+        }
+        if (!Array.isArray(rule.mimeTypes) || rule.mimeTypes.length === 0) {
+            throw new Error(`тип ${id}: потрібен хоча б один MIME-тип`);
+        }
+        if (!FILE_SIGNATURES[rule.signature]) {
+            throw new Error(`тип ${id}: невідома сигнатура ${rule.signature} (доступні: ${Object.keys(FILE_SIGNATURES).join(', ')})`);
+        }
+        if (!Number.isInteger(rule.maxSize) || rule.maxSize <= 0) {
+            throw new Error(`тип ${id}: maxSize має бути додатним цілим числом байтів`);
+        }
+        if (rule.syntaxErrors !== undefined && !['flag', 'reject'].includes(rule.syntaxErrors)) {
+            throw new Error(`тип ${id}: syntaxErrors має бути flag або reject`);
+        }
+    }
+    
+    for (const [role, override] of Object.entries(policy.roles || {})) {
+        const ids = [...(override.allowed || []), ...Object.keys(override.maxSize || {})];
+        const unknown = ids.find(id => !policy.types[id]);
+        if (unknown) {
+            throw new Error(`роль ${role}: невідомий тип ${unknown}`);
+        }
+    }
+}
+
+// Завантаження політики з data/file-policy.json
+async function loadFileTypePolicy() {
+    let policy;
+    try {
+        policy = JSON.parse(await fs.readFile(FILE_POLICY_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw new Error(`Не вдалося прочитати ${FILE_POLICY_FILE}: ${error.message}`);
+    }
+    
+    try {
+        validateFileTypePolicy(policy);
+    } catch (error) {
+        throw new Error(`Некоректна політика типів файлів (${FILE_POLICY_FILE}): ${error.message}`);
+    }
+    
+    fileTypePolicy = policy;
+    console.log(`📋 Політику типів файлів завантажено: ${Object.keys(policy.types).join(', ')}`);
+}
+
+// Дозволені ролі типи з урахуванням перевизначень
+function getFileTypeRules(role) {
+    const override = (fileTypePolicy.roles || {})[role] || {};
+    
+    return Object.entries(fileTypePolicy.types)
+        .filter(([id]) => !override.allowed || override.allowed.includes(id))
+        .map(([id, rule]) => ({
+            id,
+            label: rule.label || id,
+            extensions: rule.extensions,
+            mimeTypes: rule.mimeTypes,
+            maxSize: (override.maxSize || {})[id] || rule.maxSize,
+            syntaxErrors: rule.syntaxErrors || 'flag'
+        }));
+}
+
+function getFileExtension(name) {
+    const dot = String(name).lastIndexOf('.');
+    return dot === -1 ? '' : String(name).slice(dot).toLowerCase();
+}
+
+function formatSizeLimit(bytes) {
+    if (bytes >= 1024 * 1024) return `${Math.round(bytes / 1024 / 1024)} МБ`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} КБ`;
+    return `${bytes} Б`;
+}
+
+// Перевірка полів запису файлу до політики: назва - непорожній рядок, решта - рядки, якщо задані.
+// Повертає текст помилки або null
+function validateFileFields({ id, name, type, uploader }) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return 'Назва файлу має бути непорожнім рядком';
+    }
+    
+    if ([id, type, uploader].some(value => value !== undefined && value !== null && typeof value !== 'string')) {
+        return 'Поля id, type та uploader мають бути рядками';
+    }
+    
+    return null;
+}
+
+// Перевірка файлу за політикою. head - перші байти вмісту (якщо вже відомі).
+// Повертає { rule, type } з перевіреним MIME-типом або { status, error }
+function checkFilePolicy(role, { name, type, size, head }) {
+    const rules = getFileTypeRules(role);
+    const extension = getFileExtension(name);
+    const rule = rules.find(r => r.extensions.includes(extension));
+    
+    if (!rule) {
+        const allowed = rules.flatMap(r => r.extensions);
+        return { 
+            status: 400, 
+            error: allowed.length > 0 
+                ? `Непідтримуваний тип файлу. Дозволені: ${allowed.join(', ')}` 
+                : 'Вашій ролі не дозволено завантажувати файли' 
+        };
+    }
+    
+    if (Number.isInteger(size) && size > rule.maxSize) {
+        return { status: 413, error: `Файл завеликий: для ${rule.label} максимум ${formatSizeLimit(rule.maxSize)}` };
+    }
+    
+    // Незаявлений тип (або загальний octet-stream) замінюємо типовим для розширення
+    const declared = (type || '').split(';')[0].trim().toLowerCase();
+    if (declared && declared !== 'application/octet-stream' && !rule.mimeTypes.includes(declared)) {
+        return { status: 415, error: `Тип ${declared} не відповідає розширенню ${extension}` };
+    }
+    
+    if (head && !FILE_SIGNATURES[fileTypePolicy.types[rule.id].signature](head)) {
+        return { status: 415, error: `Вміст файлу не схожий на ${rule.label}` };
+    }
+    
+    return { rule, type: rule.mimeTypes.includes(declared) ? declared : rule.mimeTypes[0] };
+}
+
+// Перші байти файлу на диску для перевірки сигнатури
+async function readFileHead(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SIGNATURE_SAMPLE_SIZE);
+        const { bytesRead } = await handle.read(buffer, 0, SIGNATURE_SAMPLE_SIZE, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Обмеження розміру потоку: перевищення перериває pipeline з помилкою 413
+function limitStreamSize(maxSize) {
+    return async function* (source) {
+        let received = 0;
+        for await (const chunk of source) {
+            received += chunk.length;
+            if (received > maxSize) {
+                const error = new Error(`Файл завеликий: максимум ${formatSizeLimit(maxSize)}`);
+                error.status = 413;
+                throw error;
+            }
+            yield chunk;
+        }
+    };
+}
+
+// ============ КВОТИ ============
+// Квота рахується за файлами власника, включно з кошиком (він теж займає місце).
+// Ревізії не враховуються: вони діляться блобами і обмежені політикою зберігання.
+
+// Ліміт користувача в байтах (0 - без обмеження)
+function getUserQuota(user) {
+    return user && Number.isInteger(user.quota) ? user.quota : DEFAULT_USER_QUOTA;
+}
+
+// Використання сховища власником файлів
+function getQuotaUsage(db, username) {
+    const user = db.users.find(u => u.username === username);
+    const files = lookupIndexed(db.files, 'userId', username);
+    const used = files.reduce((sum, f) => sum + (f.size || 0), 0);
+    const trashSize = files.filter(f => f.deletedAt).reduce((sum, f) => sum + (f.size || 0), 0);
+    const limit = getUserQuota(user);
+    
+    return {
+        limit,
+        used,
+        remaining: limit > 0 ? Math.max(0, limit - used) : null,
+        trashSize,
+        filesCount: files.filter(f => !f.deletedAt).length
+    };
+}
+
+// Перевірка, чи вміститься запис розміром size (replacedSize - розмір файлу, що перезаписується)
+function checkQuota(db, username, size, replacedSize = 0) {
+    const usage = getQuotaUsage(db, username);
+    if (usage.limit === 0 || usage.used - replacedSize + size <= usage.limit) return null;
+    
+    return {
+        status: 413,
+        error: `Перевищено квоту сховища: доступно ${formatSizeLimit(Math.max(0, usage.limit - usage.used + replacedSize))} з ${formatSizeLimit(usage.limit)}`,
+        quota: { limit: usage.limit, used: usage.used, required: size }
+    };
+}
+
+// Перевірка квоти для запису у файл, визначений resolveFileWrite (платить власник файлу)
+function checkWriteQuota(db, userId, target, size) {
+    const ownerId = target.existingFile ? target.existingFile.userId : userId;
+    return checkQuota(db, ownerId, size, target.existingFile ? target.existingFile.size || 0 : 0);
+}
+
+// Тіло відповіді 413 для перевищення квоти
+function quotaErrorBody(exceeded) {
+    return { success: false, error: exceeded.error, quota: exceeded.quota };
+}
+
+// ============ СПИСКИ ФАЙЛІВ ============
+// Спільні для списку й пошуку фільтри, сортування та сторінки
+
+const FILE_LIST_PAGE_SIZE = 100;
+const FILE_LIST_MAX_PAGE_SIZE = 1000;
+
+// Поля сортування: значення, за яким порівнюються файли
+const FILE_SORT_FIELDS = {
+    name: f => f.name.toLowerCase(),
+    size: f => f.size || 0,
+    type: f => getFileExtension(f.name),
+    createdDate: f => new Date(f.createdDate).getTime(),
+    modifiedDate: f => new Date(f.modifiedDate || f.createdDate).getTime()
+};
+
+// Фільтри з query-параметрів: extension (або type) - розширення через кому,
+// minSize/maxSize - байти, from/to - дата зміни, uploader - хто завантажив.
+// Повертає { filter } або { error }
+function parseFileFilters(query) {
+    const extensionList = query.extension || query.type;
+    const extensions = extensionList && extensionList !== 'all'
+        ? String(extensionList).split(',').map(ext => '.' + ext.trim().replace(/^\./, '').toLowerCase())
+        : null;
+    
+    const minSize = query.minSize !== undefined ? Number(query.minSize) : null;
+    const maxSize = query.maxSize !== undefined ? Number(query.maxSize) : null;
+    if ([minSize, maxSize].some(size => size !== null && (!Number.isFinite(size) || size < 0))) {
+        return { error: 'minSize/maxSize мають бути невід\'ємними числами' };
+    }
+    
+    const from = query.from ? new Date(query.from) : null;
+    const to = query.to ? new Date(query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return { error: 'Некоректна дата у фільтрі from/to' };
+    }
+    
+    // Дата без часу в "to" означає весь цей день
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+        to.setUTCHours(23, 59, 59, 999);
+    }
+    
+    const uploader = query.uploader ? String(query.uploader).toLowerCase() : null;
+    
+    return {
+        filter: file => {
+            if (extensions && !extensions.includes(getFileExtension(file.name))) return false;
+            if (minSize !== null && (file.size || 0) < minSize) return false;
+            if (maxSize !== null && (file.size || 0) > maxSize) return false;
+            if (uploader && String(file.uploader).toLowerCase() !== uploader) return false;
+            
+            const modified = new Date(file.modifiedDate || file.createdDate);
+            if (from && modified < from) return false;
+            if (to && modified > to) return false;
+            return true;
+        }
+    };
+}
+
+// Сортування за sortBy/order; однакові значення впорядковуються за назвою та id,
+// щоб сторінки не перекривались
+function sortFileList(files, sortBy, order) {
+    const key = FILE_SORT_FIELDS[sortBy];
+    const direction = order === 'desc' ? -1 : 1;
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    
+    return files.sort((a, b) =>
+        direction * compare(key(a), key(b)) ||
+        compare(a.name.toLowerCase(), b.name.toLowerCase()) ||
+        compare(a.id, b.id)
+    );
+}
+
+// Параметри сторінки: limit/offset з обмеженнями
+function parsePagination(query, defaultLimit = FILE_LIST_PAGE_SIZE) {
+    const limit = query.limit !== undefined ? parseInt(query.limit, 10) : defaultLimit;
+    const offset = query.offset !== undefined ? parseInt(query.offset, 10) : 0;
+    
+    if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(offset) || offset < 0) {
+        return { error: 'limit має бути додатним цілим числом, offset - невід\'ємним' };
+    }
+    
+    return { limit: Math.min(limit, FILE_LIST_MAX_PAGE_SIZE), offset };
+}
+
+// ============ АНАЛІЗ JAVASCRIPT ============
+// Завантажені .js розбираються acorn: синтаксичні помилки, кількість рядків,
+// тип модуля, залежності та експорти. Результат зберігається в db.blobs[hash].javascript.
+
+const JS_ANALYSIS_MAX_ENTRIES = 200;
+
+// Розбір як ES-модуля, а якщо не вийшло - як скрипта (CommonJS дозволяє return на верхньому рівні)
+function parseJavaScript(source) {
+    const options = { ecmaVersion: 'latest', allowHashBang: true, locations: true };
+    
+    try {
+        return { ast: acorn.parse(source, { ...options, sourceType: 'module' }) };
+    } catch (moduleError) {
+        try {
+            return { ast: acorn.parse(source, { ...options, sourceType: 'script', allowReturnOutsideFunction: true }) };
+        } catch (scriptError) {
+            // Показуємо помилку того розбору, що просунувся далі
+            return { error: scriptError.pos > moduleError.pos ? scriptError : moduleError };
+        }
+    }
+}
+
+// Обхід дерева в порядку тексту без рекурсії (глибоко вкладений код не переповнить стек)
+function walkAst(root, visit) {
+    const stack = [root];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        visit(node);
+        
+        const children = Object.values(node)
+            .flatMap(value => (Array.isArray(value) ? value : [value]))
+            .filter(child => child && typeof child.type === 'string');
+        stack.push(...children.reverse());
+    }
+}
+
+// Імена, оголошені шаблоном (const { a, b: [c] } = ...)
+function getPatternNames(pattern) {
+    if (!pattern) return [];
+    switch (pattern.type) {
+        case 'Identifier': return [pattern.name];
+        case 'ObjectPattern': return pattern.properties.flatMap(p => getPatternNames(p.type === 'RestElement' ? p.argument : p.value));
+        case 'ArrayPattern': return pattern.elements.flatMap(getPatternNames);
+        case 'RestElement': return getPatternNames(pattern.argument);
+        case 'AssignmentPattern': return getPatternNames(pattern.left);
+        default: return [];
+    }
+}
+
+// Рядкове значення вузла: 'x', "x" або `x` без підстановок
+function getStaticString(node) {
+    if (!node) return null;
+    if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    return null;
+}
+
+function getPropertyName(node, computed) {
+    if (!computed && node.type === 'Identifier') return node.name;
+    return getStaticString(node);
+}
+
+// Ціль присвоєння в CommonJS: 'module.exports', ім'я експорту або null
+function getCommonJsExport(target) {
+    if (target.type !== 'MemberExpression') return null;
+    
+    const { object } = target;
+    const property = getPropertyName(target.property, target.computed);
+    
+    if (object.type === 'Identifier' && object.name === 'module' && property === 'exports') return 'module.exports';
+    if (object.type === 'Identifier' && object.name === 'exports') return property;
+    if (object.type === 'MemberExpression' && getCommonJsExport(object) === 'module.exports') return property;
+    return null;
+}
+
+function analyzeJavaScript(source) {
+    const lines = source === '' ? 0 : source.split(/\r\n|\r|\n/).length;
+    const parsed = parseJavaScript(source);
+    
+    if (parsed.error) {
+        return {
+            lines,
+            moduleType: null,
+            imports: [],
+            exports: [],
+            syntaxError: {
+                message: parsed.error.message.replace(/ \(\d+:\d+\)$/, ''),
+                line: parsed.error.loc ? parsed.error.loc.line : null,
+                column: parsed.error.loc ? parsed.error.loc.column + 1 : null
+            }
+        };
+    }
+    
+    const imports = new Map();
+    const exports = new Set();
+    let isEsm = false;
+    let isCommonJs = false;
+    
+    const addImport = (specifier, kind) => {
+        if (specifier !== null && !imports.has(`${kind}:${specifier}`)) {
+            imports.set(`${kind}:${specifier}`, { source: specifier, kind });
+        }
+    };
+    
+    walkAst(parsed.ast, node => {
+        switch (node.type) {
+            case 'ImportDeclaration':
+                isEsm = true;
+                addImport(node.source.value, 'import');
+                break;
+            case 'ImportExpression':
+                addImport(getStaticString(node.source), 'dynamic');
+                break;
+            case 'ExportNamedDeclaration':
+                isEsm = true;
+                if (node.source) addImport(node.source.value, 'export');
+                if (node.declaration) {
+                    const declarations = node.declaration.declarations || [node.declaration];
+                    declarations.forEach(d => getPatternNames(d.id).forEach(name => exports.add(name)));
+                }
+                node.specifiers.forEach(s => exports.add(s.exported.name || s.exported.value));
+                break;
+            case 'ExportDefaultDeclaration':
+                isEsm = true;
+                exports.add('default');
+                break;
+            case 'ExportAllDeclaration':
+                isEsm = true;
+                addImport(node.source.value, 'export');
+                exports.add(node.exported ? node.exported.name || node.exported.value : `* from ${node.source.value}`);
+                break;
+            case 'CallExpression':
+                if (node.callee.type === 'Identifier' && node.callee.name === 'require' && node.arguments.length === 1) {
+                    isCommonJs = true;
+                    addImport(getStaticString(node.arguments[0]), 'require');
+                }
+                break;
+            case 'AssignmentExpression': {
+                const target = getCommonJsExport(node.left);
+                if (target === null) break;
+                
+                isCommonJs = true;
+                if (target !== 'module.exports') {
+                    exports.add(target);
+                } else if (node.right.type === 'ObjectExpression') {
+                    node.right.properties
+                        .filter(p => p.type === 'Property')
+                        .forEach(p => {
+                            const name = getPropertyName(p.key, p.computed);
+                            if (name !== null) exports.add(name);
+                        });
+                } else {
+                    exports.add('module.exports');
+                }
+                break;
+            }
+        }
+    });
+    
+    return {
+        lines,
+        moduleType: isEsm ? (isCommonJs ? 'mixed' : 'esm') : (isCommonJs ? 'commonjs' : 'script'),
+        imports: [...imports.values()].slice(0, JS_ANALYSIS_MAX_ENTRIES),
+        exports: [...exports].slice(0, JS_ANALYSIS_MAX_ENTRIES),
+        syntaxError: null
+    };
+}
+
+// Перевірка вмісту після політики типів: для .js - розбір і, за правилом syntaxErrors,
+// відмова при помилці. source - Buffer або шлях до тимчасового файлу.
+// Повертає { javascript } або { status, error, javascript }
+async function inspectFileContent(checked, name, source) {
+    if (getFileExtension(name) !== '.js') return {};
+    
+    const content = Buffer.isBuffer(source) ? source : await fs.readFile(source);
+    const javascript = analyzeJavaScript(content.toString('utf8'));
+    const { syntaxError } = javascript;
+    
+    if (syntaxError && checked.rule.syntaxErrors === 'reject') {
+        return {
+            status: 422,
+            error: `Синтаксична помилка в рядку ${syntaxError.line}, стовпці ${syntaxError.column}: ${syntaxError.message}`,
+            javascript
+        };
+    }
+    
+    return { javascript };
+}
+
+// Додаткові поля відповіді на завантаження: прийнятий файл з синтаксичною помилкою
+function inspectionWarnings(inspected) {
+    const syntaxError = inspected.javascript && inspected.javascript.syntaxError;
+    return syntaxError ? { syntaxError } : {};
+}
+
+// Розбір JavaScript-файлу: з метаданих блобу або (для давніх завантажень) з вмісту
+function getFileJavaScript(db, file, content) {
+    if (getFileExtension(file.name) !== '.js') return null;
+    
+    const blob = file.hash && db.blobs && db.blobs[file.hash];
+    if (blob && blob.javascript) return blob.javascript;
+    return typeof content === 'string' ? analyzeJavaScript(content) : null;
+}
+
+// ============ ПОШУКОВИЙ ІНДЕКС ============
+// Інвертований індекс за вмістом .js файлів. Документ - блоб (SHA-256), тож однаковий
+// вміст індексується один раз; які файли на нього посилаються, видно з метаданих.
+// Індекс живе в пам'яті: будується під час запуску й оновлюється після кожного запису.
+
+const SEARCHABLE_EXTENSIONS = ['.js'];
+const SEARCH_SNIPPETS_PER_FILE = 3;
+const SEARCH_SNIPPET_LENGTH = 160;
+
+const searchIndex = {
+    postings: new Map(),   // термін → Map(hash → кількість входжень)
+    documents: new Map(),  // hash → { length: кількість термінів, terms: унікальні терміни }
+    totalLength: 0,
+    pending: Promise.resolve()
+};
+
+// Терміни тексту: слова та ідентифікатори в нижньому регістрі, camelCase і snake_case - ще й частинами
+function tokenize(text) {
+    const terms = [];
+    for (const [word] of String(text).matchAll(/[\p{L}\p{N}_$]+/gu)) {
+        const lower = word.toLowerCase();
+        terms.push(lower);
+        
+        const parts = word.split(/_+|(?<=[\p{Ll}\p{N}])(?=\p{Lu})|(?<=\p{Lu})(?=\p{Lu}\p{Ll})/u).filter(Boolean);
+        if (parts.length > 1) {
+            terms.push(...parts.map(part => part.toLowerCase()));
+        }
+    }
+    return terms;
+}
+
+function isSearchableFile(file) {
+    return SEARCHABLE_EXTENSIONS.includes(getFileExtension(file.name));
+}
+
+function addSearchDocument(hash, text) {
+    if (searchIndex.documents.has(hash)) return;
+    
+    const terms = tokenize(text);
+    const counts = new Map();
+    for (const term of terms) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    
+    for (const [term, count] of counts) {
+        if (!searchIndex.postings.has(term)) searchIndex.postings.set(term, new Map());
+        searchIndex.postings.get(term).set(hash, count);
+    }
+    
+    searchIndex.documents.set(hash, { length: terms.length, terms: [...counts.keys()] });
+    searchIndex.totalLength += terms.length;
+}
+
+function removeSearchDocument(hash) {
+    const document = searchIndex.documents.get(hash);
+    if (!document) return;
+    
+    for (const term of document.terms) {
+        const posting = searchIndex.postings.get(term);
+        posting.delete(hash);
+        if (posting.size === 0) searchIndex.postings.delete(term);
+    }
+    
+    searchIndex.documents.delete(hash);
+    searchIndex.totalLength -= document.length;
+}
+
+// Приведення індексу у відповідність до метаданих: нові блоби індексуємо, непотрібні прибираємо.
+// hashes - вміст, якого стосувався запис; без них (під час запуску) перевіряються всі блоби
+async function syncSearchIndex(hashes) {
+    const { files } = metadataStore.state;
+    const candidates = hashes || new Set([...searchIndex.documents.keys(), ...files.map(f => f.hash).filter(Boolean)]);
+    
+    let added = 0;
+    for (const hash of candidates) {
+        const wanted = lookupIndexed(files, 'hash', hash).some(f => !f.deletedAt && isSearchableFile(f));
+        if (!wanted) {
+            removeSearchDocument(hash);
+            continue;
+        }
+        if (searchIndex.documents.has(hash)) continue;
+        try {
+            addSearchDocument(hash, (await storage.get(hash)).toString('utf8'));
+            added++;
+        } catch (error) {
+            console.error(`❌ Не вдалося проіндексувати блоб ${hash}:`, error.message);
+        }
+    }
+    
+    if (added > 0) {
+        console.log(`🔎 Проіндексовано ${added} документів (усього ${searchIndex.documents.size})`);
+    }
+}
+
+// Оновлення індексу після запису (послідовно, щоб не читати той самий блоб двічі)
+function scheduleSearchIndexSync(hashes) {
+    searchIndex.pending = searchIndex.pending
+        .then(() => syncSearchIndex(hashes))
+        .catch(error => console.error('❌ Помилка оновлення пошукового індексу:', error));
+}
+
+// BM25-оцінки документів, що містять усі терміни запиту
+function scoreSearchDocuments(terms) {
+    const postings = terms.map(term => searchIndex.postings.get(term));
+    if (terms.length === 0 || postings.some(p => !p)) return new Map();
+    
+    const k1 = 1.2;
+    const b = 0.75;
+    const documentsCount = searchIndex.documents.size;
+    const averageLength = searchIndex.totalLength / documentsCount || 1;
+    
+    // Перебираємо найкоротший список входжень
+    const [rarest] = [...postings].sort((x, y) => x.size - y.size);
+    const scores = new Map();
+    
+    for (const hash of rarest.keys()) {
+        if (!postings.every(p => p.has(hash))) continue;
+        
+        const { length } = searchIndex.documents.get(hash);
+        let score = 0;
+        postings.forEach(posting => {
+            const tf = posting.get(hash);
+            const idf = Math.log(1 + (documentsCount - posting.size + 0.5) / (posting.size + 0.5));
+            score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * length / averageLength));
+        });
+        scores.set(hash, score);
+    }
+    
+    return scores;
+}
+
+// Рядки з входженнями термінів: номер рядка, фрагмент і позиції збігів у ньому
+function buildSearchSnippets(text, terms) {
+    const wanted = new Set(terms);
+    const snippets = [];
+    const lines = text.split('\n');
+    
+    for (let i = 0; i < lines.length && snippets.length < SEARCH_SNIPPETS_PER_FILE; i++) {
+        const line = lines[i];
+        const matches = [];
+        for (const match of line.matchAll(/[\p{L}\p{N}_$]+/gu)) {
+            if (tokenize(match[0]).some(term => wanted.has(term))) {
+                matches.push([match.index, match.index + match[0].length]);
+            }
+        }
+        if (matches.length === 0) continue;
+        
+        // Довгий рядок обрізаємо навколо першого збігу
+        const start = Math.max(0, Math.min(matches[0][0] - 40, line.length - SEARCH_SNIPPET_LENGTH));
+        const end = Math.min(line.length, start + SEARCH_SNIPPET_LENGTH);
+        snippets.push({
+            line: i + 1,
+            text: line.slice(start, end),
+            offset: start,
+            highlights: matches
+                .filter(([from, to]) => from >= start && to <= end)
+                .map(([from, to]) => [from - start, to - start])
+        });
+    }
+    
+    return snippets;
+}
+
+// ============ ЗОБРАЖЕННЯ ============
+// Розбір PNG і мініатюри без нативних залежностей: zlib з Node + власне
+// розфільтрування рядків. Мініатюри - кеш у data/thumbnails/<hash>.png,
+// будь-яку з них можна перегенерувати з блобу.
+
+const THUMBNAIL_SIZE = 128;
+// Більші зображення не декодуємо: RGBA-буфер зайняв би сотні мегабайтів
+const THUMBNAIL_MAX_PIXELS = 25 * 1000 * 1000;
+
+const PNG_COLOR_TYPES = {
+    0: { name: 'grayscale', channels: 1, bitDepths: [1, 2, 4, 8, 16] },
+    2: { name: 'truecolor', channels: 3, bitDepths: [8, 16] },
+    3: { name: 'indexed', channels: 1, bitDepths: [1, 2, 4, 8] },
+    4: { name: 'grayscale-alpha', channels: 2, bitDepths: [8, 16] },
+    6: { name: 'truecolor-alpha', channels: 4, bitDepths: [8, 16] }
+};
+
+// Проходи Adam7: [перший x, перший y, крок x, крок y]
+const ADAM7_PASSES = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+const thumbnails = {
+    failed: new Set(),     // блоби, з яких не вдалося створити мініатюру
+    pending: Promise.resolve(),
+    worker: null,          // потік, що декодує PNG (створюється за першим запитом)
+    requests: new Map(),   // id запиту → { resolve, reject }
+    nextRequestId: 1
+};
+
+function pngError(message) {
+    const error = new Error(message);
+    error.status = 422;
+    return error;
+}
+
+// Заголовок IHDR: перші 33 байти файлу. Повертає null, якщо це не PNG
+function parsePngHeader(head) {
+    if (!FILE_SIGNATURES.png(head) || head.length < 33 || head.toString('latin1', 12, 16) !== 'IHDR') {
+        return null;
+    }
+    
+    const width = head.readUInt32BE(16);
+    const height = head.readUInt32BE(20);
+    const bitDepth = head[24];
+    const colorType = head[25];
+    const color = PNG_COLOR_TYPES[colorType];
+    
+    if (!width || !height || !color || !color.bitDepths.includes(bitDepth)) {
+        return null;
+    }
+    
+    return { width, height, bitDepth, colorType, colorTypeName: color.name, interlaced: head[28] === 1 };
+}
+
+function readPngChunks(buffer) {
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (data.length !== length) throw pngError(`Обрізаний фрагмент ${type}`);
+        
+        chunks.push({ type, data });
+        offset += 12 + length;
+        if (type === 'IEND') break;
+    }
+    
+    return chunks;
+}
+
+// Відновлення рядка після фільтра PNG (None, Sub, Up, Average, Paeth)
+function unfilterPngRow(filter, row, previous, bytesPerPixel) {
+    for (let i = 0; i < row.length; i++) {
+        const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+        const up = previous[i];
+        const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+        
+        let predictor;
+        if (filter === 0) {
+            predictor = 0;
+        } else if (filter === 1) {
+            predictor = left;
+        } else if (filter === 2) {
+            predictor = up;
+        } else if (filter === 3) {
+            predictor = (left + up) >> 1;
+        } else if (filter === 4) {
+            const p = left + up - upLeft;
+            const pa = Math.abs(p - left);
+            const pb = Math.abs(p - up);
+            const pc = Math.abs(p - upLeft);
+            predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+        } else {
+            throw pngError(`Невідомий фільтр рядка: ${filter}`);
+        }
+        
+        row[i] = (row[i] + predictor) & 0xff;
+    }
+}
+
+// Сире значення каналу (або індексу палітри) з рядка
+function readPngValue(row, index, bitDepth) {
+    if (bitDepth === 8) return row[index];
+    if (bitDepth === 16) return row.readUInt16BE(index * 2);
+    
+    const perByte = 8 / bitDepth;
+    const shift = 8 - bitDepth * (index % perByte + 1);
+    return (row[Math.floor(index / perByte)] >> shift) & ((1 << bitDepth) - 1);
+}
+
+// Значення каналу, зведене до 8 біт
+function readPngSample(row, index, bitDepth) {
+    const value = readPngValue(row, index, bitDepth);
+    return bitDepth === 8 ? value : Math.round(value * 255 / ((1 << bitDepth) - 1));
+}
+
+// Декодування PNG у RGBA (8 біт на канал) з урахуванням прозорості tRNS
+function decodePng(buffer) {
+    const info = parsePngHeader(buffer);
+    if (!info) throw pngError('Некоректний заголовок PNG');
+    if (info.width * info.height > THUMBNAIL_MAX_PIXELS) {
+        throw pngError(`Зображення ${info.width}×${info.height} завелике для мініатюри`);
+    }
+    
+    const { width, height, bitDepth, colorType } = info;
+    const { channels } = PNG_COLOR_TYPES[colorType];
+    const chunks = readPngChunks(buffer);
+    const palette = (chunks.find(c => c.type === 'PLTE') || {}).data;
+    const transparency = (chunks.find(c => c.type === 'tRNS') || {}).data;
+    if (colorType === 3 && !palette) throw pngError('Відсутня палітра PLTE');
+    
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const passes = info.interlaced ? ADAM7_PASSES : [[0, 0, 1, 1]];
+    
+    // Очікуваний розмір розпакованих даних обмежує "zip-бомби"
+    const expectedSize = passes.reduce((total, [x0, y0, dx, dy]) => {
+        const passWidth = Math.ceil((width - x0) / dx);
+        const passHeight = Math.ceil((height - y0) / dy);
+        return passWidth > 0 && passHeight > 0 ? total + passHeight * (1 + Math.ceil(passWidth * bitsPerPixel / 8)) : total;
+    }, 0);
+    
+    let raw;
+    try {
+        const compressed = Buffer.concat(chunks.filter(c => c.type === 'IDAT').map(c => c.data));
+        raw = zlib.inflateSync(compressed, { maxOutputLength: expectedSize });
+    } catch (error) {
+        throw pngError(`Пошкоджені дані зображення: ${error.message}`);
+    }
+    
+    const pixels = Buffer.alloc(width * height * 4);
+    let offset = 0;
+    
+    for (const [x0, y0, dx, dy] of passes) {
+        const passWidth = Math.ceil((width - x0) / dx);
+        const passHeight = Math.ceil((height - y0) / dy);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+        
+        const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+        let previous = Buffer.alloc(rowBytes);
+        
+        for (let y = 0; y < passHeight; y++) {
+            if (offset + 1 + rowBytes > raw.length) throw pngError('Обрізані дані зображення');
+            
+            const filter = raw[offset];
+            const row = Buffer.from(raw.subarray(offset + 1, offset + 1 + rowBytes));
+            offset += 1 + rowBytes;
+            unfilterPngRow(filter, row, previous, bytesPerPixel);
+            
+            for (let x = 0; x < passWidth; x++) {
+                const target = ((y0 + y * dy) * width + x0 + x * dx) * 4;
+                const sample = channel => readPngSample(row, x * channels + channel, bitDepth);
+                // tRNS для сірого й RGB - один колір (сирі значення каналів), що стає прозорим
+                const isTransparentColor = () => Boolean(transparency) &&
+                    [...Array(channels).keys()].every(channel => 
+                        transparency.length >= (channel + 1) * 2 &&
+                        transparency.readUInt16BE(channel * 2) === readPngValue(row, x * channels + channel, bitDepth));
+                
+                if (colorType === 3) {
+                    const index = readPngValue(row, x, bitDepth);
+                    pixels[target] = palette[index * 3];
+                    pixels[target + 1] = palette[index * 3 + 1];
+                    pixels[target + 2] = palette[index * 3 + 2];
+                    pixels[target + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+                } else if (colorType === 0) {
+                    pixels[target] = pixels[target + 1] = pixels[target + 2] = sample(0);
+                    pixels[target + 3] = isTransparentColor() ? 0 : 255;
+                } else if (colorType === 4) {
+                    pixels[target] = pixels[target + 1] = pixels[target + 2] = sample(0);
+                    pixels[target + 3] = sample(1);
+                } else {
+                    pixels[target] = sample(0);
+                    pixels[target + 1] = sample(1);
+                    pixels[target + 2] = sample(2);
+                    pixels[target + 3] = colorType === 6 ? sample(3) : (isTransparentColor() ? 0 : 255);
+                }
+            }
+            
+            previous = row;
+        }
+    }
+    
+    return { width, height, pixels };
+}
+
+// Зменшення усередненням площі (з урахуванням прозорості), пропорції зберігаються
+function resizeImage(image, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const pixels = Buffer.alloc(width * height * 4);
+    
+    for (let y = 0; y < height; y++) {
+        const fromY = Math.floor(y * image.height / height);
+        const toY = Math.max(fromY + 1, Math.floor((y + 1) * image.height / height));
+        
+        for (let x = 0; x < width; x++) {
+            const fromX = Math.floor(x * image.width / width);
+            const toX = Math.max(fromX + 1, Math.floor((x + 1) * image.width / width));
+            let r = 0, g = 0, b = 0, a = 0;
+            
+            for (let sy = fromY; sy < toY; sy++) {
+                for (let sx = fromX; sx < toX; sx++) {
+                    const i = (sy * image.width + sx) * 4;
+                    const alpha = image.pixels[i + 3];
+                    r += image.pixels[i] * alpha;
+                    g += image.pixels[i + 1] * alpha;
+                    b += image.pixels[i + 2] * alpha;
+                    a += alpha;
+                }
+            }
+            
+            const target = (y * width + x) * 4;
+            const count = (toY - fromY) * (toX - fromX);
+            if (a > 0) {
+                pixels[target] = Math.round(r / a);
+                pixels[target + 1] = Math.round(g / a);
+                pixels[target + 2] = Math.round(b / a);
+            }
+            pixels[target + 3] = Math.round(a / count);
+        }
+    }
+    
+    return { width, height, pixels };
+}
+
+function createPngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(zlib.crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+// Кодування RGBA у PNG (8 біт, без фільтрів - для мініатюр достатньо)
+function encodePng({ width, height, pixels }) {
+    const rowBytes = width * 4;
+    const raw = Buffer.alloc((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (rowBytes + 1) + 1, y * rowBytes, (y + 1) * rowBytes);
+    }
+    
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;   // біт на канал
+    header[9] = 6;   // RGBA
+    
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        createPngChunk('IHDR', header),
+        createPngChunk('IDAT', zlib.deflateSync(raw)),
+        createPngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function getThumbnailPath(hash) {
+    return path.join(THUMBNAILS_DIR, `${hash}.png`);
+}
+
+// Декодування великого PNG займає процесор на сотні мілісекунд, тому мініатюри
+// рендерить окремий потік (цей самий файл у ролі 'thumbnails'), а не цикл подій сервера
+function getThumbnailWorker() {
+    if (thumbnails.worker) return thumbnails.worker;
+    
+    const worker = new Worker(__filename, { workerData: { role: 'thumbnails' } });
+    // Потік без запитів не тримає процес
+    worker.unref();
+    
+    worker.on('message', ({ id, thumbnail, error }) => {
+        const request = thumbnails.requests.get(id);
+        if (!request) return;
+        thumbnails.requests.delete(id);
+        if (thumbnails.requests.size === 0) worker.unref();
+        
+        if (error) {
+            request.reject(Object.assign(new Error(error.message), { status: error.status }));
+        } else {
+            request.resolve(Buffer.from(thumbnail.buffer, thumbnail.byteOffset, thumbnail.length));
+        }
+    });
+    
+    // Впалий потік відхиляє всі очікувані запити; наступний запит створить новий
+    const fail = error => {
+        if (thumbnails.worker !== worker) return;
+        thumbnails.worker = null;
+        for (const request of thumbnails.requests.values()) request.reject(error);
+        thumbnails.requests.clear();
+    };
+    worker.on('error', fail);
+    worker.on('exit', code => fail(new Error(`Потік мініатюр завершився з кодом ${code}`)));
+    
+    thumbnails.worker = worker;
+    return worker;
+}
+
+function renderThumbnail(content) {
+    const worker = getThumbnailWorker();
+    const id = thumbnails.nextRequestId++;
+    
+    return new Promise((resolve, reject) => {
+        thumbnails.requests.set(id, { resolve, reject });
+        worker.ref();
+        worker.postMessage({ id, content });
+    });
+}
+
+// Обробник повідомлень у потоці мініатюр
+function serveThumbnailRequests() {
+    parentPort.on('message', ({ id, content }) => {
+        try {
+            const image = decodePng(Buffer.from(content.buffer, content.byteOffset, content.length));
+            parentPort.postMessage({ id, thumbnail: encodePng(resizeImage(image, THUMBNAIL_SIZE)) });
+        } catch (error) {
+            parentPort.postMessage({ id, error: { message: error.message, status: error.status } });
+        }
+    });
+}
+
+// Мініатюра блобу: з кешу або створена зараз
+async function ensureThumbnail(hash) {
+    const thumbnailPath = getThumbnailPath(hash);
+    try {
+        return await fs.readFile(thumbnailPath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    
+    const thumbnail = await renderThumbnail(await storage.get(hash));
+    
+    // Атомарно, щоб паралельний запит не прочитав недописаний файл
+    const tempPath = path.join(TEMP_DIR, `thumbnail-${hash}-${generateId()}.png`);
+    await fs.writeFile(tempPath, thumbnail);
+    await fs.rename(tempPath, thumbnailPath);
+    return thumbnail;
+}
+
+// Мініатюри для PNG-блобів, застарілі видаляються. hashes - вміст, якого стосувався
+// запис; без них (під час запуску) перевіряються всі блоби й уся тека мініатюр
+async function syncThumbnails(hashes) {
+    const blobs = metadataStore.state.blobs || {};
+    const existing = hashes ? null : new Set((await fs.readdir(THUMBNAILS_DIR)).map(name => path.basename(name, '.png')));
+    const candidates = hashes || new Set([...existing, ...Object.keys(blobs).filter(hash => blobs[hash].image)]);
+    
+    let created = 0;
+    for (const hash of candidates) {
+        if (!(blobs[hash] && blobs[hash].image)) {
+            if (!existing || existing.has(hash)) await fs.unlink(getThumbnailPath(hash)).catch(() => {});
+            continue;
+        }
+        if (thumbnails.failed.has(hash)) continue;
+        if (existing ? existing.has(hash) : await fs.stat(getThumbnailPath(hash)).catch(() => null)) continue;
+        
+        try {
+            await ensureThumbnail(hash);
+            created++;
+        } catch (error) {
+            thumbnails.failed.add(hash);
+            console.error(`⚠️ Не вдалося створити мініатюру ${hash}:`, error.message);
+        }
+    }
+    
+    if (created > 0) {
+        console.log(`🖼️ Створено ${created} мініатюр`);
+    }
+}
+
+function scheduleThumbnailSync(hashes) {
+    thumbnails.pending = thumbnails.pending
+        .then(() => syncThumbnails(hashes))
+        .catch(error => console.error('❌ Помилка оновлення мініатюр:', error));
+}
+
+// Відомості про зображення файлу (null, якщо це не PNG)
+function getFileImage(db, file) {
+    const blob = file.hash && db.blobs && db.blobs[file.hash];
+    return (blob && blob.image) || null;
+}
+
+// ============ РЕЗЕРВНІ КОПІЇ ============
+// Повна копія - tar-архів data/backups/backup_<мс>.tar із записами manifest.json
+// (формат, час, розмір і SHA-256 кожного запису), metadata.json (знімок метаданих)
+// та blobs/<hash>. Відновлення спершу перевіряє весь архів і лише потім щось змінює.
+
+const BACKUP_FORMAT = 'file-storage-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_NAME_PATTERN = /^backup_(\d+)\.tar$/;
+const BACKUP_REPORT_LIMIT = 50;
+const TAR_BLOCK_SIZE = 512;
+const TAR_MAX_ENTRY_SIZE = 8 ** 11 - 1;
+
+// Копіювання і відновлення не виконуються одночасно
+const backups = { running: null };
+
+function backupError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Заголовок запису tar (формат ustar)
+function createTarHeader(name, size, mtime) {
+    if (Buffer.byteLength(name) > 100) throw new Error(`Задовге ім'я запису tar: ${name}`);
+    if (size > TAR_MAX_ENTRY_SIZE) throw new Error(`Запис ${name} завеликий для tar`);
+    
+    const header = Buffer.alloc(TAR_BLOCK_SIZE);
+    const writeOctal = (value, offset, length) => {
+        header.write(value.toString(8).padStart(length - 1, '0'), offset, length - 1, 'ascii');
+    };
+    
+    header.write(name, 0, 100, 'utf8');
+    writeOctal(0o644, 100, 8);
+    writeOctal(0, 108, 8);
+    writeOctal(0, 116, 8);
+    writeOctal(size, 124, 12);
+    writeOctal(Math.floor(mtime / 1000), 136, 12);
+    header.write('0', 156, 1, 'ascii');
+    header.write('ustar', 257, 5, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+    
+    // Контрольна сума рахується з пробілами на місці самого поля
+    header.fill(' ', 148, 156);
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+    return header;
+}
+
+// Розбір заголовка tar (null - кінець архіву)
+function parseTarHeader(header) {
+    if (header.every(byte => byte === 0)) return null;
+    
+    const readString = (offset, length) => {
+        const field = header.subarray(offset, offset + length);
+        const end = field.indexOf(0);
+        return field.subarray(0, end === -1 ? length : end).toString('utf8');
+    };
+    const readOctal = (offset, length) => parseInt(readString(offset, length).trim() || '0', 8);
+    
+    let checksum = 0;
+    for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+        checksum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    if (checksum !== readOctal(148, 8)) {
+        throw new Error('Пошкоджений заголовок tar');
+    }
+    
+    const name = readString(0, 100);
+    const prefix = readString(345, 155);
+    return {
+        name: prefix ? `${prefix}/${name}` : name,
+        size: readOctal(124, 12),
+        type: readString(156, 1) || '0'
+    };
+}
+
+// Доповнення вмісту запису нулями до кратного блоку розміру
+function getTarPadding(size) {
+    const rest = size % TAR_BLOCK_SIZE;
+    return Buffer.alloc(rest === 0 ? 0 : TAR_BLOCK_SIZE - rest);
+}
+
+// Перелік звичайних файлів архіву з їх зміщеннями (вміст не читається)
+async function readTarEntries(archivePath) {
+    const handle = await fs.open(archivePath, 'r');
+    try {
+        const { size: archiveSize } = await handle.stat();
+        const header = Buffer.alloc(TAR_BLOCK_SIZE);
+        const entries = [];
+        let offset = 0;
+        
+        while (offset + TAR_BLOCK_SIZE <= archiveSize) {
+            await handle.read(header, 0, TAR_BLOCK_SIZE, offset);
+            const entry = parseTarHeader(header);
+            if (!entry) break;
+            
+            entry.offset = offset + TAR_BLOCK_SIZE;
+            if (entry.offset + entry.size > archiveSize) {
+                throw new Error(`Архів обірвано на записі ${entry.name}`);
+            }
+            if (entry.type === '0') entries.push(entry);
+            offset = entry.offset + entry.size + getTarPadding(entry.size).length;
+        }
+        
+        return entries;
+    } finally {
+        await handle.close();
+    }
+}
+
+// Потік вмісту одного запису архіву
+function createTarEntryStream(archivePath, entry) {
+    if (entry.size === 0) return Readable.from([]);
+    return fsSync.createReadStream(archivePath, { start: entry.offset, end: entry.offset + entry.size - 1 });
+}
+
+// Вміст невеликого запису (маніфест, метадані) цілком
+async function readTarEntry(archivePath, entry) {
+    const chunks = [];
+    for await (const chunk of createTarEntryStream(archivePath, entry)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// SHA-256 вмісту запису (потоково)
+async function hashTarEntry(archivePath, entry) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(createTarEntryStream(archivePath, entry), hash);
+    return hash.digest('hex');
+}
+
+// Запис блобу з вмісту сховища; вміст перевіряється на льоту, бо блоб міг змінитися після знімка
+async function writeTarBlob(handle, entry, mtime) {
+    const hash = crypto.createHash('sha256');
+    let written = 0;
+    
+    await handle.write(createTarHeader(entry.name, entry.size, mtime));
+    for await (const chunk of await storage.createReadStream(entry.sha256)) {
+        written += chunk.length;
+        if (written > entry.size) break;
+        hash.update(chunk);
+        await handle.write(chunk);
+    }
+    
+    if (written !== entry.size || hash.digest('hex') !== entry.sha256) {
+        throw new Error(`Блоб ${entry.sha256} змінився або пошкоджений у сховищі`);
+    }
+    await handle.write(getTarPadding(entry.size));
+}
+
+// Створення повної резервної копії (архів з'являється лише після успішного запису)
+async function createBackup(reason) {
+    // Знімок метаданих береться в черзі транзакцій, а його блоби закріплюються до кінця
+    // копіювання, щоб паралельні видалення не прибрали їх зі сховища
+    let hashes = [];
+    const db = await transaction(async () => {
+        const committed = await readDatabase();
+        hashes = Object.keys(committed.blobs || {}).sort();
+        pinBlobs(hashes);
+        return committed;
+    });
+    
+    try {
+        return await writeBackupArchive(db, hashes, reason);
+    } finally {
+        unpinBlobs(hashes);
+    }
+}
+
+// Запис архіву резервної копії зі знімка метаданих
+async function writeBackupArchive(db, hashes, reason) {
+    const createdAt = new Date();
+    const fileName = `backup_${createdAt.getTime()}.tar`;
+    const tempPath = path.join(BACKUPS_DIR, `.${fileName}.tmp`);
+    const metadata = Buffer.from(JSON.stringify(db));
+    
+    // Розміри блобів потрібні заздалегідь - вони пишуться в заголовки перед вмістом
+    const entries = [{ name: 'metadata.json', size: metadata.length, sha256: crypto.createHash('sha256').update(metadata).digest('hex') }];
+    for (const hash of hashes) {
+        const stat = await storage.stat(hash);
+        if (!stat) throw new Error(`Блоб ${hash} відсутній у сховищі`);
+        entries.push({ name: `blobs/${hash}`, size: stat.size, sha256: hash });
+    }
+    
+    const manifest = Buffer.from(JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_FORMAT_VERSION,
+        createdAt: createdAt.toISOString(),
+        reason,
+        counts: {
+            users: db.users.length,
+            files: db.files.length,
+            blobs: entries.length - 1
+        },
+        totalSize: entries.reduce((sum, entry) => sum + entry.size, 0),
+        entries
+    }, null, 2));
+    
+    const mtime = createdAt.getTime();
+    const handle = await fs.open(tempPath, 'w');
+    let completed = false;
+    try {
+        for (const [name, content] of [['manifest.json', manifest], ['metadata.json', metadata]]) {
+            await handle.write(createTarHeader(name, content.length, mtime));
+            await handle.write(content);
+            await handle.write(getTarPadding(content.length));
+        }
+        for (const entry of entries.slice(1)) {
+            await writeTarBlob(handle, entry, mtime);
+        }
+        await handle.write(Buffer.alloc(TAR_BLOCK_SIZE * 2));
+        await handle.sync();
+        completed = true;
+    } finally {
+        await handle.close();
+        if (!completed) await fs.unlink(tempPath).catch(() => {});
+    }
+    
+    const archivePath = path.join(BACKUPS_DIR, fileName);
+    await fs.rename(tempPath, archivePath);
+    const { size } = await fs.stat(archivePath);
+    
+    console.log(`💾 Створено резервну копію: ${fileName} (${db.files.length} файлів, ${entries.length - 1} блобів)`);
+    
+    await pruneBackups();
+    
+    return {
+        fileName,
+        timestamp: createdAt.toISOString(),
+        reason,
+        size,
+        filesCount: db.files.length,
+        usersCount: db.users.length,
+        blobsCount: entries.length - 1
+    };
+}
+
+// Резервні копії в data/backups, новіші першими
+async function listBackups() {
+    const names = await fs.readdir(BACKUPS_DIR);
+    const list = [];
+    
+    for (const name of names) {
+        const match = name.match(BACKUP_NAME_PATTERN);
+        if (!match) continue;
+        
+        const stat = await fs.stat(path.join(BACKUPS_DIR, name)).catch(() => null);
+        if (!stat) continue;
+        
+        list.push({
+            fileName: name,
+            timestamp: new Date(parseInt(match[1], 10)).toISOString(),
+            size: stat.size
+        });
+    }
+    
+    return list.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+// Понеділок тижня копії (UTC) - ключ тижня для політики зберігання
+function getBackupWeekKey(timestamp) {
+    const date = new Date(timestamp);
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - (date.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+}
+
+// Копії, що лишаються: найновіша за кожен з останніх N днів і за кожен з останніх N тижнів
+function selectBackupsToKeep(list) {
+    const keep = new Set();
+    const days = new Set();
+    const weeks = new Set();
+    
+    for (const backup of list) {
+        const day = backup.timestamp.slice(0, 10);
+        const week = getBackupWeekKey(backup.timestamp);
+        
+        if (!days.has(day) && days.size < BACKUP_KEEP_DAILY) {
+            days.add(day);
+            keep.add(backup.fileName);
+        }
+        if (!weeks.has(week) && weeks.size < BACKUP_KEEP_WEEKLY) {
+            weeks.add(week);
+            keep.add(backup.fileName);
+        }
+    }
+    
+    return keep;
+}
+
+// Видалення копій поза політикою зберігання
+async function pruneBackups() {
+    const list = await listBackups();
+    const keep = selectBackupsToKeep(list);
+    const removed = [];
+    
+    for (const backup of list) {
+        if (keep.has(backup.fileName)) continue;
+        await fs.unlink(path.join(BACKUPS_DIR, backup.fileName));
+        removed.push(backup.fileName);
+    }
+    
+    if (removed.length > 0) {
+        console.log(`🗑️ Видалено застарілих резервних копій: ${removed.length}`);
+    }
+    return removed;
+}
+
+// Подія створення копії в журналі аудиту (actor - для запусків поза HTTP-запитом)
+function recordBackupCreated(req, backup, actor) {
+    return recordAudit(req, 'backup.create', {
+        actor,
+        target: { type: 'backup', name: backup.fileName },
+        details: { reason: backup.reason, size: backup.size, filesCount: backup.filesCount }
+    });
+}
+
+// Виконання копіювання чи відновлення, якщо інше таке завдання не триває
+async function runBackupTask(task) {
+    if (backups.running) {
+        throw backupError('Резервне копіювання або відновлення вже виконується', 409);
+    }
+    
+    backups.running = task();
+    try {
+        return await backups.running;
+    } finally {
+        backups.running = null;
+    }
+}
+
+// Автоматична копія, коли остання старша за інтервал (відлік не скидається перезапуском)
+async function runScheduledBackup() {
+    if (backups.running) return null;
+    
+    const [latest] = await listBackups();
+    if (latest && Date.now() - Date.parse(latest.timestamp) < BACKUP_INTERVAL_HOURS * 60 * 60 * 1000) {
+        return null;
+    }
+    
+    const backup = await runBackupTask(() => createBackup('scheduled'));
+    recordBackupCreated(null, backup, 'system');
+    return backup;
+}
+
+// Шлях до копії за ім'ям (лише файли data/backups з очікуваним ім'ям)
+function resolveBackupPath(fileName) {
+    return BACKUP_NAME_PATTERN.test(fileName) ? path.join(BACKUPS_DIR, fileName) : null;
+}
+
+// Узгодженість метаданих з архіву: структура і наявність блобів для всіх файлів і ревізій
+function validateBackupMetadata(metadata, blobHashes) {
+    const errors = [];
+    const warnings = [];
+    
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return { errors: ['metadata.json не містить об\'єкта метаданих'], warnings };
+    }
+    for (const name of ['users', 'files']) {
+        if (!Array.isArray(metadata[name])) errors.push(`У метаданих немає колекції ${name}`);
+    }
+    for (const name of ['folders', 'shares', 'links', 'revisions', 'changes']) {
+        if (metadata[name] !== undefined && !Array.isArray(metadata[name])) errors.push(`Колекція ${name} має бути масивом`);
+    }
+    if (errors.length > 0) return { errors, warnings };
+    
+    for (const item of [...metadata.files, ...(metadata.revisions || [])]) {
+        if (!item || !item.id) {
+            errors.push('Запис файлу або ревізії без id');
+        } else if (item.hash && !blobHashes.has(item.hash)) {
+            errors.push(`"${item.name}" (${item.id}) посилається на блоб ${item.hash}, якого немає в архіві`);
+        }
+    }
+    
+    if (!metadata.users.some(u => u.role === 'admin' && !u.disabled)) {
+        warnings.push('У копії немає активного адміністратора');
+    }
+    return { errors, warnings };
+}
+
+// Перевірка архіву: маніфест, контрольні суми всіх записів і метадані
+async function inspectBackup(archivePath) {
+    const result = { errors: [], warnings: [], manifest: null, metadata: null, blobs: [] };
+    const { errors, warnings } = result;
+    
+    let entries;
+    try {
+        entries = await readTarEntries(archivePath);
+    } catch (error) {
+        errors.push(error.code === 'ENOENT' ? 'Архів не знайдено' : `Архів не читається: ${error.message}`);
+        return result;
+    }
+    
+    const byName = new Map(entries.map(entry => [entry.name, entry]));
+    try {
+        result.manifest = JSON.parse(await readTarEntry(archivePath, byName.get('manifest.json')));
+    } catch {
+        errors.push('У архіві немає коректного manifest.json');
+        return result;
+    }
+    
+    const { manifest } = result;
+    if (manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.entries)) {
+        errors.push('Архів не є резервною копією цього сервера');
+        return result;
+    }
+    if (manifest.version > BACKUP_FORMAT_VERSION) {
+        errors.push(`Формат версії ${manifest.version} новіший за підтримуваний (${BACKUP_FORMAT_VERSION})`);
+        return result;
+    }
+    
+    // Кожен запис маніфесту має бути в архіві з тим самим розміром і вмістом
+    const verified = new Map();
+    for (const item of manifest.entries) {
+        const entry = byName.get(item.name);
+        if (!entry) {
+            errors.push(`Запис ${item.name} відсутній в архіві`);
+        } else if (entry.size !== item.size) {
+            errors.push(`Розмір запису ${item.name} не збігається з маніфестом`);
+        } else if (await hashTarEntry(archivePath, entry) !== item.sha256) {
+            errors.push(`Контрольна сума запису ${item.name} не збігається`);
+        } else {
+            verified.set(item.name, entry);
+        }
+    }
+    for (const entry of entries) {
+        if (entry.name !== 'manifest.json' && !manifest.entries.some(item => item.name === entry.name)) {
+            warnings.push(`Запис ${entry.name} не описаний у маніфесті і буде пропущений`);
+        }
+    }
+    
+    for (const [name, entry] of verified) {
+        const hash = name.startsWith('blobs/') ? name.slice('blobs/'.length) : null;
+        if (!hash) continue;
+        if (/^[a-f0-9]{64}$/.test(hash) && manifest.entries.find(item => item.name === name).sha256 === hash) {
+            result.blobs.push({ ...entry, hash });
+        } else {
+            errors.push(`Запис ${name} не відповідає своєму хешу`);
+        }
+    }
+    
+    if (!manifest.entries.some(item => item.name === 'metadata.json')) {
+        errors.push('Маніфест не описує metadata.json');
+    } else if (verified.has('metadata.json')) {
+        try {
+            result.metadata = JSON.parse(await readTarEntry(archivePath, verified.get('metadata.json')));
+        } catch {
+            errors.push('metadata.json пошкоджено');
+        }
+    }
+    
+    if (result.metadata) {
+        const checked = validateBackupMetadata(result.metadata, new Set(result.blobs.map(blob => blob.hash)));
+        errors.push(...checked.errors);
+        warnings.push(...checked.warnings);
+    }
+    
+    return result;
+}
+
+// Відновлення з копії; dryRun лише перевіряє архів і показує, що зміниться
+async function restoreBackup(archivePath, { dryRun = false } = {}) {
+    const inspected = await inspectBackup(archivePath);
+    const { manifest, metadata, errors, warnings } = inspected;
+    
+    const missingBlobs = [];
+    for (const blob of inspected.blobs) {
+        if (!await fileExists(blob.hash)) missingBlobs.push(blob);
+    }
+    
+    const current = await readDatabase();
+    const report = {
+        dryRun,
+        valid: errors.length === 0,
+        restored: false,
+        errors: errors.slice(0, BACKUP_REPORT_LIMIT),
+        errorsCount: errors.length,
+        warnings: warnings.slice(0, BACKUP_REPORT_LIMIT),
+        backup: manifest && manifest.format === BACKUP_FORMAT
+            ? { createdAt: manifest.createdAt, reason: manifest.reason || null, version: manifest.version }
+            : null,
+        counts: metadata && errors.length === 0
+            ? {
+                users: metadata.users.length,
+                files: metadata.files.filter(f => !f.deletedAt).length,
+                trashed: metadata.files.filter(f => f.deletedAt).length,
+                folders: (metadata.folders || []).length,
+                revisions: (metadata.revisions || []).length
+            }
+            : null,
+        current: {
+            users: current.users.length,
+            files: current.files.filter(f => !f.deletedAt).length
+        },
+        blobs: {
+            total: inspected.blobs.length,
+            toCopy: missingBlobs.length,
+            present: inspected.blobs.length - missingBlobs.length
+        }
+    };
+    
+    if (!report.valid || dryRun) return report;
+    
+    // Спершу блоби: до заміни метаданих поточний стан лишається цілим
+    for (const blob of missingBlobs) {
+        const tempPath = path.join(TEMP_DIR, `.restore-${generateId()}`);
+        try {
+            await pipeline(createTarEntryStream(archivePath, blob), fsSync.createWriteStream(tempPath));
+            if (await hashFile(tempPath) !== blob.hash) {
+                throw new Error(`Блоб ${blob.hash} змінився під час відновлення`);
+            }
+            await storage.putFile(blob.hash, tempPath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+    
+    await transaction(async db => {
+        const usernames = new Set(metadata.users.map(u => u.username));
+        const restored = {
+            ...metadata,
+            // Сесії і незавершені завантаження лишаються поточними, тож адміністратор не втрачає вхід
+            sessions: (db.sessions || []).filter(s => usernames.has(s.username)),
+            uploads: db.uploads || [],
+            // Порожній журнал з новим seq змушує всіх клієнтів синхронізації отримати повний список
+            changes: [],
+            changeSeq: Math.max(db.changeSeq || 0, metadata.changeSeq || 0) + 1
+        };
+        
+        for (const key of Object.keys(db)) {
+            if (!(key in restored)) delete db[key];
+        }
+        Object.assign(db, restored);
+        await writeDatabase(db);
+    });
+    
+    console.log(`♻️ Відновлено резервну копію від ${manifest.createdAt}: ${report.counts.files} файлів, скопійовано ${missingBlobs.length} блобів`);
+    
+    report.restored = true;
+    return report;
+}
+
+// ============ АРХІВИ ZIP ============
+// Архів пишеться потоком: розмір і CRC-32 запису відомі лише після стиснення, тому
+// вони йдуть у дескриптор після даних (біт 3) і в центральний каталог у кінці.
+// Записи понад 4 ГБ і великі архіви отримують поля ZIP64. Читання - з центрального
+// каталогу (локальні заголовки потокових архівів не містять розмірів).
+
+const ZIP_UINT32_MAX = 0xffffffff;
+// Запас на випадок, коли стиснення трохи збільшує нестискувані дані
+const ZIP64_ENTRY_THRESHOLD = 0xf0000000;
+
+function zipError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Центральний каталог архіву: [{ name, flags, method, crc, compressedSize, size, localOffset, directory }]
+async function readZipDirectory(zipPath, maxEntries) {
+    const handle = await fs.open(zipPath, 'r');
+    try {
+        const { size: zipSize } = await handle.stat();
+        const tail = Buffer.alloc(Math.min(zipSize, 22 + 0xffff));
+        await handle.read(tail, 0, tail.length, zipSize - tail.length);
+        
+        // Кінець каталогу шукаємо з кінця: після нього може бути лише коментар
+        const endOffset = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+        if (endOffset === -1 || endOffset + 22 > tail.length) {
+            throw zipError('Файл не є ZIP-архівом');
+        }
+        
+        let count = tail.readUInt16LE(endOffset + 10);
+        let directorySize = tail.readUInt32LE(endOffset + 12);
+        let directoryOffset = tail.readUInt32LE(endOffset + 16);
+        
+        // ZIP64: справжні значення - у записі, на який вказує локатор перед кінцем каталогу
+        if (count === 0xffff || directorySize === ZIP_UINT32_MAX || directoryOffset === ZIP_UINT32_MAX) {
+            const locator = endOffset - 20;
+            if (locator < 0 || tail.readUInt32LE(locator) !== 0x07064b50) {
+                throw zipError('Пошкоджений ZIP64-архів');
+            }
+            
+            const end64 = Buffer.alloc(56);
+            await handle.read(end64, 0, 56, Number(tail.readBigUInt64LE(locator + 8)));
+            if (end64.readUInt32LE(0) !== 0x06064b50) {
+                throw zipError('Пошкоджений ZIP64-архів');
+            }
+            count = Number(end64.readBigUInt64LE(32));
+            directorySize = Number(end64.readBigUInt64LE(40));
+            directoryOffset = Number(end64.readBigUInt64LE(48));
+        }
+        
+        if (count > maxEntries) {
+            throw zipError(`Забагато записів в архіві: максимум ${maxEntries}`);
+        }
+        if (directoryOffset + directorySize > zipSize) {
+            throw zipError('Пошкоджений ZIP-архів');
+        }
+        
+        const directory = Buffer.alloc(directorySize);
+        await handle.read(directory, 0, directorySize, directoryOffset);
+        
+        const entries = [];
+        let position = 0;
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > directory.length || directory.readUInt32LE(position) !== 0x02014b50) {
+                throw zipError('Пошкоджений центральний каталог ZIP');
+            }
+            
+            const nameLength = directory.readUInt16LE(position + 28);
+            const extraLength = directory.readUInt16LE(position + 30);
+            const commentLength = directory.readUInt16LE(position + 32);
+            const name = directory.toString('utf8', position + 46, position + 46 + nameLength);
+            const entry = {
+                name,
+                flags: directory.readUInt16LE(position + 8),
+                method: directory.readUInt16LE(position + 10),
+                crc: directory.readUInt32LE(position + 16),
+                compressedSize: directory.readUInt32LE(position + 20),
+                size: directory.readUInt32LE(position + 24),
+                localOffset: directory.readUInt32LE(position + 42),
+                directory: name.endsWith('/') || name.endsWith('\\')
+            };
+            
+            // Додаткове поле ZIP64 містить лише ті значення, що не вмістилися в 32 біти
+            let extra = position + 46 + nameLength;
+            const extraEnd = extra + extraLength;
+            while (extra + 4 <= extraEnd) {
+                const id = directory.readUInt16LE(extra);
+                const length = directory.readUInt16LE(extra + 2);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    for (const key of ['size', 'compressedSize', 'localOffset']) {
+                        if (entry[key] !== ZIP_UINT32_MAX || field + 8 > extra + 4 + length) continue;
+                        entry[key] = Number(directory.readBigUInt64LE(field));
+                        field += 8;
+                    }
+                }
+                extra += 4 + length;
+            }
+            
+            entries.push(entry);
+            position = extraEnd + commentLength;
+        }
+        
+        return entries;
+    } finally {
+        await handle.close();
+    }
+}
+
+// Розпакування запису у файл; розмір і CRC-32 звіряються з каталогом (захист від підміни і zip-бомб)
+async function extractZipEntry(zipPath, entry, targetPath) {
+    if (entry.flags & 0x0001) {
+        throw zipError('Зашифровані записи не підтримуються');
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+        throw zipError(`Метод стиснення ${entry.method} не підтримується`);
+    }
+    
+    const header = Buffer.alloc(30);
+    const handle = await fs.open(zipPath, 'r');
+    try {
+        await handle.read(header, 0, 30, entry.localOffset);
+    } finally {
+        await handle.close();
+    }
+    if (header.readUInt32LE(0) !== 0x04034b50) {
+        throw zipError('Пошкоджений локальний заголовок ZIP');
+    }
+    
+    const start = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const source = entry.compressedSize === 0
+        ? Readable.from([])
+        : fsSync.createReadStream(zipPath, { start, end: start + entry.compressedSize - 1 });
+    
+    const verify = async function* (input) {
+        let crc = 0;
+        let size = 0;
+        for await (const chunk of input) {
+            size += chunk.length;
+            if (size > entry.size) break;
+            crc = zlib.crc32(chunk, crc);
+            yield chunk;
+        }
+        if (size !== entry.size || crc !== entry.crc) {
+            throw zipError('Вміст запису пошкоджено: розмір або контрольна сума не збігаються');
+        }
+    };
+    
+    const streams = entry.method === 8 ? [source, zlib.createInflateRaw(), verify] : [source, verify];
+    await pipeline(...streams, fsSync.createWriteStream(targetPath));
+}
+
+// Дата і час у форматі MS-DOS (місцевий час, як у звичайних архіваторах)
+function toDosDateTime(value) {
+    const date = value instanceof Date && !isNaN(value) ? value : new Date();
+    const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Частина шляху в архіві без роздільників і переходів на рівень вище
+function toArchiveSegment(name) {
+    const segment = String(name || '').replace(/[\\/\x00-\x1f]/g, '_').trim();
+    return segment === '' || segment === '.' || segment === '..' ? '_' : segment;
+}
+
+// Унікальний шлях в архіві: однакові імена (без урахування регістру) отримують " (2)", " (3)"...
+function makeUniqueArchivePath(used, archivePath) {
+    const extension = path.posix.extname(archivePath);
+    const base = archivePath.slice(0, archivePath.length - extension.length);
+    let candidate = archivePath;
+    
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${base} (${n})${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+// Потоковий ZIP; entries - [{ name, date, size, open: async () => потік вмісту }]
+async function* createZipStream(entries) {
+    const central = [];
+    let offset = 0;
+    
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const { time, date } = toDosDateTime(entry.date);
+        const zip64 = entry.size >= ZIP64_ENTRY_THRESHOLD || offset >= ZIP_UINT32_MAX;
+        const localOffset = offset;
+        
+        // Локальний заголовок: CRC і розміри нульові, справжні - у дескрипторі після даних
+        const local = Buffer.alloc(30 + name.length + (zip64 ? 20 : 0));
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(zip64 ? 45 : 20, 4);
+        local.writeUInt16LE(0x0808, 6);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt16LE(name.length, 26);
+        name.copy(local, 30);
+        if (zip64) {
+            local.writeUInt32LE(ZIP_UINT32_MAX, 18);
+            local.writeUInt32LE(ZIP_UINT32_MAX, 22);
+            local.writeUInt16LE(20, 28);
+            local.writeUInt16LE(0x0001, 30 + name.length);
+            local.writeUInt16LE(16, 32 + name.length);
+        }
+        offset += local.length;
+        yield local;
+        
+        // Вміст стискається на льоту; CRC і розмір рахуються з нестиснених даних
+        let crc = 0;
+        let size = 0;
+        let compressedSize = 0;
+        const deflate = zlib.createDeflateRaw();
+        const feeding = pipeline(await entry.open(), async function* (source) {
+            for await (const chunk of source) {
+                crc = zlib.crc32(chunk, crc);
+                size += chunk.length;
+                yield chunk;
+            }
+        }, deflate);
+        // Якщо клієнт відключився посеред запису, помилку цього ланцюжка ніхто не чекає
+        feeding.catch(() => {});
+        
+        for await (const chunk of deflate) {
+            compressedSize += chunk.length;
+            offset += chunk.length;
+            yield chunk;
+        }
+        await feeding;
+        
+        if (!zip64 && Math.max(size, compressedSize) >= ZIP_UINT32_MAX) {
+            throw new Error(`Запис ${entry.name} більший, ніж очікувалось`);
+        }
+        
+        const descriptor = Buffer.alloc(zip64 ? 24 : 16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(crc, 4);
+        if (zip64) {
+            descriptor.writeBigUInt64LE(BigInt(compressedSize), 8);
+            descriptor.writeBigUInt64LE(BigInt(size), 16);
+        } else {
+            descriptor.writeUInt32LE(compressedSize, 8);
+            descriptor.writeUInt32LE(size, 12);
+        }
+        offset += descriptor.length;
+        yield descriptor;
+        
+        // Запис центрального каталогу; для ZIP64 розміри і зміщення - у додатковому полі
+        const record = Buffer.alloc(46 + name.length + (zip64 ? 28 : 0));
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE((3 << 8) | 45, 4);
+        record.writeUInt16LE(zip64 ? 45 : 20, 6);
+        record.writeUInt16LE(0x0808, 8);
+        record.writeUInt16LE(8, 10);
+        record.writeUInt16LE(time, 12);
+        record.writeUInt16LE(date, 14);
+        record.writeUInt32LE(crc, 16);
+        record.writeUInt32LE(zip64 ? ZIP_UINT32_MAX : compressedSize, 20);
+        record.writeUInt32LE(zip64 ? ZIP_UINT32_MAX : size, 24);
+        record.writeUInt16LE(name.length, 28);
+        record.writeUInt16LE(zip64 ? 28 : 0, 30);
+        record.writeUInt32LE((0o100644 << 16) >>> 0, 38);
+        record.writeUInt32LE(zip64 ? ZIP_UINT32_MAX : localOffset, 42);
+        name.copy(record, 46);
+        if (zip64) {
+            const extra = 46 + name.length;
+            record.writeUInt16LE(0x0001, extra);
+            record.writeUInt16LE(24, extra + 2);
+            record.writeBigUInt64LE(BigInt(size), extra + 4);
+            record.writeBigUInt64LE(BigInt(compressedSize), extra + 12);
+            record.writeBigUInt64LE(BigInt(localOffset), extra + 20);
+        }
+        central.push(record);
+    }
+    
+    const directoryOffset = offset;
+    for (const record of central) {
+        offset += record.length;
+        yield record;
+    }
+    const directorySize = offset - directoryOffset;
+    
+    // Кінець архіву ZIP64, коли записів чи зміщень забагато для 16/32-бітних полів
+    if (central.length >= 0xffff || directoryOffset >= ZIP_UINT32_MAX || directorySize >= ZIP_UINT32_MAX) {
+        const end64 = Buffer.alloc(56 + 20);
+        end64.writeUInt32LE(0x06064b50, 0);
+        end64.writeBigUInt64LE(44n, 4);
+        end64.writeUInt16LE((3 << 8) | 45, 12);
+        end64.writeUInt16LE(45, 14);
+        end64.writeBigUInt64LE(BigInt(central.length), 24);
+        end64.writeBigUInt64LE(BigInt(central.length), 32);
+        end64.writeBigUInt64LE(BigInt(directorySize), 40);
+        end64.writeBigUInt64LE(BigInt(directoryOffset), 48);
+        end64.writeUInt32LE(0x07064b50, 56);
+        end64.writeBigUInt64LE(BigInt(offset), 64);
+        end64.writeUInt32LE(1, 72);
+        yield end64;
+    }
+    
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(central.length, 0xffff), 8);
+    end.writeUInt16LE(Math.min(central.length, 0xffff), 10);
+    end.writeUInt32LE(Math.min(directorySize, ZIP_UINT32_MAX), 12);
+    end.writeUInt32LE(Math.min(directoryOffset, ZIP_UINT32_MAX), 16);
+    yield end;
+}
+
+// ============ API ENDPOINTS ============
+
+// Health check
+app.get('/api/health', (req, res) => {
+    res.json({ 
+        status: 'OK', 
+        message: 'Сервер працює',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Авторизація
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body;
+    
+    if (!username || !password) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Username та password обов\'язкові' 
+        });
+    }
+    
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Username та password мають бути рядками' 
+        });
+    }
+    
+    try {
+        // scrypt повільний, тож пароль перевіряємо до черги транзакцій
+        const candidate = (await readDatabase()).users.find(u => u.username === username);
+        const verified = candidate && await verifyPassword(password, candidate.passwordHash) ? candidate : null;
+        
+        await transaction(async db => {
+            // За час перевірки пароль могли змінити, а обліковий запис - видалити
+            const user = verified && db.users.find(u => u.username === username && u.passwordHash === verified.passwordHash);
+            
+            if (user && user.disabled) {
+                console.log(`⛔ Спроба входу у вимкнений обліковий запис: ${username}`);
+                recordAudit(req, 'auth.login', { actor: username, success: false, details: { reason: 'disabled' } });
+                return res.status(403).json({ 
+                    success: false, 
+                    error: 'Обліковий запис вимкнено' 
+                });
+            }
+            
+            if (user) {
+                // Прибираємо прострочені та відкликані сесії
+                db.sessions = (db.sessions || []).filter(isSessionActive);
+                
+                const session = {
+                    id: crypto.randomUUID(),
+                    username: user.username,
+                    createdAt: new Date().toISOString(),
+                    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000).toISOString(),
+                    revoked: false
+                };
+                const tokens = issueSessionTokens(session);
+                
+                db.sessions.push(session);
+                await writeDatabase(db);
+                
+                console.log(`✅ Користувач ${username} увійшов в систему`);
+                recordAudit(req, 'auth.login', { actor: username, details: { sessionId: session.id } });
+                res.json({ 
+                    success: true, 
+                    user: publicUser(user),
+                    ...tokens
+                });
+            } else {
+                console.log(`❌ Невдала спроба входу: ${username}`);
+                recordAudit(req, 'auth.login', { actor: username, success: false, details: { reason: 'invalid_credentials' } });
+                res.status(401).json({ 
+                    success: false, 
+                    error: 'Невірні дані для входу' 
+                });
+            }
+        });
+    } catch (error) {
+        console.error('❌ Помилка входу:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка входу' 
+        });
+    }
+});
+
+// Оновлення access-токена за refresh-токеном
+app.post('/api/auth/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'refreshToken обов\'язковий' 
+        });
+    }
+    
+    if (typeof refreshToken !== 'string') {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'refreshToken має бути рядком' 
+        });
+    }
+    
+    try {
+        await transaction(async db => {
+            const tokenHash = hashToken(refreshToken);
+            const session = (db.sessions || []).find(s => s.refreshTokenHash === tokenHash);
+            const user = session && db.users.find(u => u.username === session.username);
+            
+            if (!isSessionActive(session) || !user || user.disabled) {
+                return res.status(401).json({ 
+                    success: false, 
+                    error: 'Сесію завершено, увійдіть знову' 
+                });
+            }
+            
+            const tokens = issueSessionTokens(session);
+            await writeDatabase(db);
+            
+            res.json({ 
+                success: true, 
+                user: publicUser(user),
+                ...tokens
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка оновлення сесії:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка оновлення сесії' 
+        });
+    }
+});
+
+// Вихід із системи (відкликання поточної сесії)
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    try {
+        await transaction(async db => {
+            const session = (db.sessions || []).find(s => s.id === req.sessionId);
+            
+            if (session) {
+                session.revoked = true;
+                session.revokedAt = new Date().toISOString();
+                await writeDatabase(db);
+            }
+            
+            console.log(`👋 Користувач ${req.user.username} вийшов із системи`);
+            
+            res.json({ 
+                success: true, 
+                message: 'Сесію завершено' 
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка виходу:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка виходу' 
+        });
+    }
+});
+
+// Поточний користувач
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({ 
+        success: true, 
+        user: req.user,
+        permissions: ROLE_PERMISSIONS[req.user.role] || []
+    });
+});
+
+// Політика для поточного користувача (клієнт перевіряє файли ще до завантаження)
+app.get('/api/file-policy', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        policy: {
+            role: req.user.role,
+            types: getFileTypeRules(req.user.role)
+        }
+    });
+});
+
+// Реєстрація нового користувача
+app.post('/api/auth/register', async (req, res) => {
+    const { username, password, name } = req.body;
+    
+    if (!username || !password) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Username та password обов\'язкові' 
+        });
+    }
+    
+    if (typeof username !== 'string' || typeof password !== 'string' || (name !== undefined && typeof name !== 'string')) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Username, password та name мають бути рядками' 
+        });
+    }
+    
+    if (!USERNAME_PATTERN.test(username)) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Username: 3-32 символи, латиниця, цифри, "_", "-", "."' 
+        });
+    }
+    
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        return res.status(400).json({ 
+            success: false, 
+            error: passwordError 
+        });
+    }
+    
+    try {
+        const passwordHash = await hashPassword(password);
+        
+        await transaction(async db => {
+            if (db.users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+                return res.status(409).json({ 
+                    success: false, 
+                    error: 'Користувач з таким username вже існує' 
+                });
+            }
+            
+            const user = {
+                username,
+                passwordHash,
+                name: (name || '').trim() || username,
+                role: DEFAULT_ROLE,
+                disabled: false,
+                createdAt: new Date().toISOString()
+            };
+            
+            db.users.push(user);
+            await writeDatabase(db);
+            
+            console.log(`👤 Зареєстровано користувача ${username}`);
+            
+            res.status(201).json({ 
+                success: true, 
+                user: publicUser(user) 
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка реєстрації:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка реєстрації' 
+        });
+    }
+});
+
+// Зміна пароля (інші сесії користувача відкликаються)
+app.put('/api/auth/password', requireAuth, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'currentPassword та newPassword обов\'язкові' 
+        });
+    }
+    
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'currentPassword та newPassword мають бути рядками' 
+        });
+    }
+    
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+        return res.status(400).json({ 
+            success: false, 
+            error: passwordError 
+        });
+    }
+    
+    try {
+        // Перевірка й хешування (scrypt) - до черги транзакцій
+        const current = (await readDatabase()).users.find(u => u.username === req.user.username);
+        if (!current || !await verifyPassword(currentPassword, current.passwordHash)) {
+            return res.status(403).json({ 
+                success: false, 
+                error: 'Невірний поточний пароль' 
+            });
+        }
+        const passwordHash = await hashPassword(newPassword);
+        
+        await transaction(async db => {
+            const user = db.users.find(u => u.username === req.user.username);
+            
+            // Пароль змінили паралельним запитом - перевірений хеш уже неактуальний
+            if (!user || user.passwordHash !== current.passwordHash) {
+                return res.status(409).json({ 
+                    success: false, 
+                    error: 'Пароль щойно змінено, повторіть спробу' 
+                });
+            }
+            
+            user.passwordHash = passwordHash;
+            user.passwordChangedAt = new Date().toISOString();
+            
+            for (const session of db.sessions || []) {
+                if (session.username === user.username && session.id !== req.sessionId && !session.revoked) {
+                    session.revoked = true;
+                    session.revokedAt = user.passwordChangedAt;
+                }
+            }
+            
+            await writeDatabase(db);
+            
+            console.log(`🔐 Користувач ${user.username} змінив пароль`);
+            
+            res.json({ 
+                success: true, 
+                message: 'Пароль змінено' 
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка зміни пароля:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка зміни пароля' 
+        });
+    }
+});
+
+// Оновлення профілю
+app.patch('/api/auth/profile', requireAuth, async (req, res) => {
+    const { name } = req.body;
+    
+    if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'name обов\'язковий' 
+        });
+    }
+    
+    try {
+        await transaction(async db => {
+            const user = db.users.find(u => u.username === req.user.username);
+            if (!user) {
+                return res.status(404).json({ 
+                    success: false, 
+                    error: 'Користувача не знайдено' 
+                });
+            }
+            
+            user.name = name.trim();
+            await writeDatabase(db);
+            
+            console.log(`✏️ Користувач ${user.username} оновив профіль`);
+            
+            res.json({ 
+                success: true, 
+                user: publicUser(user) 
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка оновлення профілю:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка оновлення профілю' 
+        });
+    }
+});
+
+// Видалення облікового запису разом з файлами та сесіями
+app.delete('/api/auth/account', requireAuth, async (req, res) => {
+    const { password } = req.body || {};
+    
+    if (!password) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Для видалення облікового запису потрібен password' 
+        });
+    }
+    
+    if (typeof password !== 'string') {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'password має бути рядком' 
+        });
+    }
+    
+    try {
+        const username = req.user.username;
+        const current = (await readDatabase()).users.find(u => u.username === username);
+        if (!current || !await verifyPassword(password, current.passwordHash)) {
+            return res.status(403).json({ 
+                success: false, 
+                error: 'Невірний пароль' 
+            });
+        }
+        
+        await transaction(async db => {
+            const user = db.users.find(u => u.username === username);
+            
+            if (!user || user.passwordHash !== current.passwordHash) {
+                return res.status(409).json({ 
+                    success: false, 
+                    error: 'Пароль щойно змінено, повторіть спробу' 
+                });
+            }
+            
+            if (user.role === 'admin' && countActiveAdmins(db) <= 1) {
+                return res.status(409).json({ 
+                    success: false, 
+                    error: 'Неможливо видалити останнього адміністратора' 
+                });
+            }
+            
+            const userFiles = db.files.filter(f => f.userId === username);
+            for (const file of userFiles) {
+                await purgeFileData(db, file);
+            }
+            
+            db.files = db.files.filter(f => f.userId !== username);
+            db.folders = (db.folders || []).filter(f => f.userId !== username);
+            db.shares = (db.shares || []).filter(s => s.ownerId !== username && s.username !== username);
+            db.links = (db.links || []).filter(l => l.ownerId !== username);
+            for (const upload of (db.uploads || []).filter(u => u.userId === username)) {
+                await fs.rm(path.join(UPLOADS_DIR, upload.id), { recursive: true, force: true });
+            }
+            db.uploads = (db.uploads || []).filter(u => u.userId !== username);
+            db.sessions = (db.sessions || []).filter(s => s.username !== username);
+            db.users = db.users.filter(u => u.username !== username);
+            await writeDatabase(db);
+            recordAudit(req, 'account.delete', {
+                target: { type: 'user', id: username },
+                details: { fileIds: userFiles.map(file => file.id) }
+            });
+            
+            console.log(`🗑️ Обліковий запис ${username} видалено (${userFiles.length} файлів)`);
+            
+            res.json({ 
+                success: true, 
+                message: 'Обліковий запис видалено',
+                deletedFiles: userFiles.length
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка видалення облікового запису:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка видалення облікового запису' 
+        });
+    }
+});
+
+// Усі маршрути з файлами доступні лише після авторизації
+app.use(['/api/files', '/api/folders', '/api/trash', '/api/shared', '/api/links', '/api/uploads', '/api/sync', '/api/stats', '/api/quota', '/api/export'], requireAuth, requirePermission('files:read'));
+
+// Зміна файлів і папок - лише для ролей з правом запису
+app.post(['/api/files*', '/api/folders*', '/api/trash*', '/api/uploads*'], requirePermission('files:write'));
+app.put('/api/uploads*', requirePermission('files:write'));
+app.patch(['/api/files*', '/api/folders*'], requirePermission('files:write'));
+app.delete(['/api/files*', '/api/folders*', '/api/trash*', '/api/links*', '/api/uploads*'], requirePermission('files:write'));
+
+// Операційні маршрути - лише для адміністраторів
+app.use(['/api/storage', '/api/backup', '/api/backups'], requireAuth, requirePermission('storage:admin'));
+app.use('/api/admin', requireAuth, requirePermission('users:admin'));
+
+// Отримання списку файлів (тільки метадані)
+// sortBy: name|size|type|createdDate|modifiedDate, order: asc|desc, сторінки - limit/offset,
+// фільтри - див. parseFileFilters
+app.get('/api/files', async (req, res) => {
+    const userId = req.user.username;
+    const hasFolderFilter = req.query.folderId !== undefined;
+    const folderId = normalizeFolderId(req.query.folderId);
+    const sortBy = req.query.sortBy || 'createdDate';
+    const order = req.query.order || 'asc';
+    
+    if (!FILE_SORT_FIELDS[sortBy] || !['asc', 'desc'].includes(order)) {
+        return res.status(400).json({
+            success: false,
+            error: `sortBy має бути одним з: ${Object.keys(FILE_SORT_FIELDS).join(', ')}; order - asc або desc`
+        });
+    }
+    
+    const { filter, error: filterError } = parseFileFilters(req.query);
+    const { limit, offset, error: pageError } = parsePagination(req.query);
+    if (filterError || pageError) {
+        return res.status(400).json({
+            success: false,
+            error: filterError || pageError
+        });
+    }
+    
+    try {
+        const db = await readDatabase();
+        
+        if (folderId && !findUserFolder(db, userId, folderId)) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Папку не знайдено' 
+            });
+        }
+        
+        // Файли з неіснуючих папок вважаємо файлами кореня
+        const getFolderId = f => (f.folderId && findUserFolder(db, userId, f.folderId) ? f.folderId : null);
+        const userFiles = getUserFiles(db, userId).filter(f => 
+            (!hasFolderFilter || getFolderId(f) === folderId) && filter(f)
+        );
+        const page = sortFileList(userFiles, sortBy, order).slice(offset, offset + limit);
+        
+        // Перевіряємо існування на диску лише для файлів сторінки
+        const filesWithStatus = await Promise.all(
+            page.map(async (f) => {
+                const exists = await fileExists(f.fileName);
+                return {
+                    id: f.id,
+                    userId: f.userId,
+                    name: f.name,
+                    type: f.type,
+                    size: f.size,
+                    uploader: f.uploader,
+                    folderId: f.folderId || null,
+                    createdDate: f.createdDate,
+                    modifiedDate: f.modifiedDate,
+                    hash: f.hash,
+                    version: f.version || 1,
+                    fileName: f.fileName,
+                    image: getFileImage(db, f),
+                    hasSyntaxError: Boolean((getFileJavaScript(db, f) || {}).syntaxError),
+                    fileExists: exists
+                };
+            })
+        );
+        
+        console.log(`📂 Отримано список файлів для користувача ${userId}: ${filesWithStatus.length} з ${userFiles.length} файлів`);
+        
+        const nextOffset = offset + filesWithStatus.length;
+        const response = { 
+            success: true, 
+            files: filesWithStatus,
+            count: filesWithStatus.length,
+            total: userFiles.length,
+            offset,
+            limit,
+            hasMore: nextOffset < userFiles.length,
+            nextOffset: nextOffset < userFiles.length ? nextOffset : null
+        };
+        
+        // Для перегляду конкретної папки додаємо вкладені папки та шлях
+        if (hasFolderFilter) {
+            response.folderId = folderId;
+            response.folders = (db.folders || []).filter(f => f.userId === userId && f.parentId === folderId && !f.deletedAt);
+            response.breadcrumbs = buildFolderPath(db, userId, folderId);
+        }
+        
+        res.json(response);
+    } catch (error) {
+        console.error('❌ Помилка отримання списку файлів:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка отримання списку файлів' 
+        });
+    }
+});
+
+// Повнотекстовий пошук: за вмістом .js файлів, а також за назвою й автором
+// Фільтри ті самі, що й у списку файлів; сторінки - limit/offset
+app.get('/api/files/search', async (req, res) => {
+    const userId = req.user.username;
+    const query = String(req.query.query || '').trim();
+    
+    if (!query) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'query обов\'язковий' 
+        });
+    }
+    
+    const { filter, error: filterError } = parseFileFilters(req.query);
+    const { limit, offset, error: pageError } = parsePagination(req.query, 50);
+    if (filterError || pageError) {
+        return res.status(400).json({
+            success: false,
+            error: filterError || pageError
+        });
+    }
+    
+    try {
+        // Дочікуємося індексації щойно записаних файлів
+        await searchIndex.pending;
+        
+        const db = await readDatabase();
+        const terms = [...new Set(tokenize(query))];
+        const contentScores = scoreSearchDocuments(terms);
+        const lowerQuery = query.toLowerCase();
+        
+        const candidates = getUserFiles(db, userId).filter(filter);
+        
+        const ranked = [];
+        for (const file of candidates) {
+            const nameMatch = file.name.toLowerCase().includes(lowerQuery);
+            const uploaderMatch = file.uploader.toLowerCase().includes(lowerQuery);
+            const contentScore = isSearchableFile(file) ? (contentScores.get(file.hash) || 0) : 0;
+            
+            if (!nameMatch && !uploaderMatch && contentScore === 0) continue;
+            
+            // Збіг у назві важить більше за будь-який збіг у вмісті
+            const score = contentScore + (nameMatch ? 10 : 0) + (uploaderMatch ? 2 : 0);
+            ranked.push({ file, score, contentMatch: contentScore > 0 });
+        }
+        
+        ranked.sort((a, b) => b.score - a.score || new Date(b.file.modifiedDate) - new Date(a.file.modifiedDate));
+        
+        const page = ranked.slice(offset, offset + limit);
+        const results = await Promise.all(page.map(async ({ file, score, contentMatch }) => {
+            let snippets = [];
+            if (contentMatch) {
+                try {
+                    snippets = buildSearchSnippets((await storage.get(file.fileName)).toString('utf8'), terms);
+                } catch (error) {
+                    console.error(`❌ Не вдалося прочитати ${file.fileName} для фрагментів:`, error.message);
+                }
+            }
+            
+            return {
+                id: file.id,
+                name: file.name,
+                type: file.type,
+                size: file.size,
+                uploader: file.uploader,
+                folderId: file.folderId || null,
+                createdDate: file.createdDate,
+                modifiedDate: file.modifiedDate,
+                hash: file.hash,
+                version: file.version || 1,
+                image: getFileImage(db, file),
+                score: Math.round(score * 1000) / 1000,
+                snippets
+            };
+        }));
+        
+        console.log(`🔍 Пошук "${query}" для ${userId}: знайдено ${ranked.length} файлів`);
+        
+        res.json({
+            success: true,
+            files: results,
+            count: results.length,
+            total: ranked.length,
+            offset,
+            limit,
+            query
+        });
+    } catch (error) {
+        console.error('❌ Помилка пошуку:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка пошуку'
+        });
+    }
+});
+
+// Отримання конкретного файлу з вмістом
+app.get('/api/files/:fileId', async (req, res) => {
+    const { fileId } = req.params;
+    const userId = req.user.username;
+    
+    try {
+        const db = await readDatabase();
+        const file = findAccessibleFile(db, userId, fileId);
+        
+        if (!file) {
+            console.log(`❌ Файл не знайдено: ${fileId}`);
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Файл не знайдено' 
+            });
+        }
+        
+        // Читаємо вміст файлу з диску
+        const fileData = await readFileFromDisk(file.fileName, file.type);
+        
+        console.log(`📥 Файл ${file.name} завантажено для користувача ${userId}`);
+        recordAudit(req, 'file.download', { target: getAuditFileTarget(file), details: { inline: true, size: file.size } });
+        
+        res.json({
+            success: true,
+            file: {
+                ...file,
+                access: getFileAccess(db, userId, file),
+                image: getFileImage(db, file),
+                javascript: getFileJavaScript(db, file, fileData),
+                data: fileData
+            }
+        });
+    } catch (error) {
+        console.error(`❌ Помилка читання файлу ${fileId}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка читання файлу'
+        });
+    }
+});
+
+// Перевірка прав на запис файлу з указаним id та визначення цільової папки
+function resolveFileWrite(db, userId, id, folderId, folderIdProvided, baseVersion) {
+    const existingFileIndex = id ? db.files.findIndex(f => f.id === id) : -1;
+    const existingFile = existingFileIndex !== -1 ? db.files[existingFileIndex] : null;
+    const isOwner = !existingFile || existingFile.userId === userId;
+    
+    if (existingFile && existingFile.deletedAt) {
+        return { 
+            status: 409, 
+            error: isOwner ? 'Файл знаходиться в кошику, спершу відновіть його' : 'Ідентифікатор файлу вже зайнятий' 
+        };
+    }
+    
+    // Чужий файл можна перезаписати лише з правом редагування
+    const access = existingFile ? getFileAccess(db, userId, existingFile) : 'owner';
+    if (!hasAccessLevel(access, 'editor')) {
+        return { 
+            status: access ? 403 : 409, 
+            error: access ? 'Немає прав на зміну цього файлу' : 'Ідентифікатор файлу вже зайнятий' 
+        };
+    }
+    
+    // Оптимістичне блокування: запис має базуватися на поточній версії файлу (0 - файлу ще немає)
+    if (baseVersion !== undefined) {
+        const currentVersion = existingFile ? (existingFile.version || 1) : 0;
+        if (baseVersion !== currentVersion) {
+            return { 
+                status: 409, 
+                error: existingFile ? 'Файл змінено на сервері після вашої версії' : 'Файл видалено на сервері',
+                conflict: { baseVersion, currentVersion, file: existingFile }
+            };
+        }
+    }
+    
+    // Редактор не може переносити чужий файл у свої папки
+    if (isOwner && folderId && !findUserFolder(db, userId, folderId)) {
+        return { status: 404, error: 'Папку не знайдено' };
+    }
+    
+    // Якщо папку не вказано, оновлений файл лишається у своїй папці
+    const targetFolderId = existingFile && (!isOwner || !folderIdProvided)
+        ? (existingFile.folderId || null)
+        : folderId;
+    
+    return { existingFile, existingFileIndex, isOwner, targetFolderId };
+}
+
+// Очікувана версія файлу з запиту: baseVersion (тіло чи query) або If-Match з ETag вмісту
+function getBaseVersion(req, db, id) {
+    const raw = req.body && req.body.baseVersion !== undefined ? req.body.baseVersion : req.query.baseVersion;
+    if (raw !== undefined && raw !== null && raw !== '') {
+        const version = Number(raw);
+        return Number.isInteger(version) && version >= 0 ? version : NaN;
+    }
+    
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && ifMatch !== '*') {
+        // ETag вмісту - "<sha256>"; збіг означає, що клієнт бачив поточну версію
+        const file = id ? db.files.find(f => f.id === id && !f.deletedAt) : null;
+        const matches = file && ifMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === `"${file.hash}"`);
+        return matches ? (file.version || 1) : -1;
+    }
+    
+    return undefined;
+}
+
+// Тіло відповіді для відмови в записі (для конфлікту - з поточною версією файлу)
+function fileWriteError(target) {
+    const body = { success: false, error: target.error };
+    if (target.conflict) {
+        const { file } = target.conflict;
+        body.conflict = {
+            baseVersion: target.conflict.baseVersion >= 0 ? target.conflict.baseVersion : null,
+            currentVersion: target.conflict.currentVersion,
+            file: file ? {
+                id: file.id,
+                name: file.name,
+                type: file.type,
+                size: file.size,
+                hash: file.hash,
+                version: file.version || 1,
+                modifiedBy: file.modifiedBy,
+                modifiedDate: file.modifiedDate
+            } : null
+        };
+    }
+    return body;
+}
+
+// Запис метаданих нової версії файлу (блоб уже збережено під fileName)
+function commitFileWrite(db, userId, target, { fileId, name, type, size, uploader, hash, fileName }) {
+    const { existingFile, existingFileIndex, isOwner, targetFolderId } = target;
+    
+    const fileMetadata = {
+        id: fileId,
+        userId: existingFile ? existingFile.userId : userId,
+        name,
+        type: type || 'application/octet-stream',
+        size,
+        uploader: uploader || 'Unknown',
+        folderId: targetFolderId,
+        hash,
+        fileName,
+        version: existingFile ? (existingFile.version || 1) + 1 : 1,
+        modifiedBy: userId,
+        createdDate: existingFile ? existingFile.createdDate : new Date().toISOString(),
+        modifiedDate: new Date().toISOString()
+    };
+    
+    if (existingFile) {
+        // Оновлюємо існуючий файл
+        db.files[existingFileIndex] = fileMetadata;
+        console.log(`🔄 Файл ${name} оновлено користувачем ${userId}${isOwner ? '' : ` (власник ${existingFile.userId})`}`);
+    } else {
+        // Додаємо новий файл
+        db.files.push(fileMetadata);
+        console.log(`✅ Новий файл ${name} додано для користувача ${userId}`);
+    }
+    
+    return fileMetadata;
+}
+
+// Завантаження файлу
+app.post('/api/files', async (req, res) => {
+    const userId = req.user.username;
+    const { id, name, type, size, uploader, data } = req.body;
+    const folderId = normalizeFolderId(req.body.folderId);
+    
+    if (!name || !data) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Відсутні обов\'язкові поля' 
+        });
+    }
+    
+    const fieldsError = typeof data !== 'string' ? 'Вміст файлу має бути рядком' : validateFileFields(req.body);
+    if (fieldsError) {
+        return res.status(400).json({ 
+            success: false, 
+            error: fieldsError 
+        });
+    }
+    
+    try {
+        // Перевірка за політикою типів: розширення, розмір, MIME-тип і сигнатура вмісту
+        let checked = checkFilePolicy(req.user.role, { name, type });
+        let content = null;
+        if (!checked.error) {
+            content = decodeFileContent(data, checked.type);
+            checked = checkFilePolicy(req.user.role, { name, type, size: content.length, head: content.subarray(0, SIGNATURE_SAMPLE_SIZE) });
+        }
+        if (checked.error) {
+            return res.status(checked.status).json({ 
+                success: false, 
+                error: checked.error 
+            });
+        }
+        
+        const inspected = await inspectFileContent(checked, name, content);
+        if (inspected.error) {
+            return res.status(inspected.status).json({ 
+                success: false, 
+                error: inspected.error,
+                syntaxError: inspected.javascript.syntaxError
+            });
+        }
+        
+        const staged = await stageBlobContent(content);
+        
+        await transaction(async db => {
+            const baseVersion = getBaseVersion(req, db, id);
+            if (Number.isNaN(baseVersion)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'baseVersion має бути невід\'ємним цілим числом' 
+                });
+            }
+            
+            const target = resolveFileWrite(db, userId, id, folderId, req.body.folderId !== undefined, baseVersion);
+            
+            if (target.error) {
+                return res.status(target.status).json(fileWriteError(target));
+            }
+            
+            const exceeded = checkWriteQuota(db, userId, target, content.length);
+            if (exceeded) {
+                return res.status(413).json(quotaErrorBody(exceeded));
+            }
+            
+            // Попередній вміст зберігаємо як ревізію
+            if (target.existingFile) {
+                await archiveFileRevision(db, target.existingFile);
+            }
+            
+            const fileId = id || generateId();
+            const blob = await commitStagedBlob(db, staged, inspected.javascript);
+            
+            const fileMetadata = commitFileWrite(db, userId, target, {
+                fileId, name, uploader,
+                type: checked.type,
+                ...blob
+            });
+            
+            await writeDatabase(db);
+            recordFileWrite(req, fileMetadata);
+            
+            res.json({ 
+                success: true, 
+                message: 'Файл успішно завантажено',
+                file: fileMetadata,
+                ...inspectionWarnings(inspected)
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка завантаження файлу:', error);
+        res.status(error.status || 500).json({ 
+            success: false, 
+            error: error.status ? error.message : 'Помилка сервера при завантаженні файлу' 
+        });
+    }
+});
+
+// Потокове завантаження файлу: тіло запиту — сирі байти, метадані — у query
+app.post('/api/files/upload', async (req, res) => {
+    const userId = req.user.username;
+    const { id, name, uploader } = req.query;
+    const folderId = normalizeFolderId(req.query.folderId);
+    const type = (req.get('Content-Type') || 'application/octet-stream').split(';')[0].trim();
+    
+    if (!name) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Параметр name обов\'язковий' 
+        });
+    }
+    
+    const fieldsError = validateFileFields({ id, name, uploader });
+    if (fieldsError) {
+        return res.status(400).json({ 
+            success: false, 
+            error: fieldsError 
+        });
+    }
+    
+    // Тип, заявлений розмір і квоту перевіряємо ще до прийому тіла
+    const declaredSize = parseInt(req.get('Content-Length'), 10);
+    let checked = checkFilePolicy(req.user.role, { name, type, size: declaredSize });
+    if (checked.error) {
+        return res.status(checked.status).json({ 
+            success: false, 
+            error: checked.error 
+        });
+    }
+    
+    if (Number.isInteger(declaredSize)) {
+        const db = await readDatabase();
+        const target = resolveFileWrite(db, userId, id, folderId, req.query.folderId !== undefined);
+        const exceeded = !target.error && checkWriteQuota(db, userId, target, declaredSize);
+        if (exceeded) {
+            return res.status(413).json(quotaErrorBody(exceeded));
+        }
+    }
+    
+    const tempName = `.upload-${generateId()}`;
+    const tempPath = path.join(TEMP_DIR, tempName);
+    
+    try {
+        // Пишемо потік у тимчасовий файл, не тримаючи вміст у пам'яті
+        await pipeline(req, limitStreamSize(checked.rule.maxSize), fsSync.createWriteStream(tempPath));
+        const { size } = await fs.stat(tempPath);
+        
+        checked = checkFilePolicy(req.user.role, { name, type, size, head: await readFileHead(tempPath) });
+        if (checked.error) {
+            await fs.unlink(tempPath).catch(() => {});
+            return res.status(checked.status).json({ 
+                success: false, 
+                error: checked.error 
+            });
+        }
+        
+        const inspected = await inspectFileContent(checked, name, tempPath);
+        if (inspected.error) {
+            await fs.unlink(tempPath).catch(() => {});
+            return res.status(inspected.status).json({ 
+                success: false, 
+                error: inspected.error,
+                syntaxError: inspected.javascript.syntaxError
+            });
+        }
+        
+        const staged = await stageBlobFile(tempPath);
+        
+        await transaction(async db => {
+            const baseVersion = getBaseVersion(req, db, id);
+            const target = Number.isNaN(baseVersion)
+                ? { status: 400, error: 'baseVersion має бути невід\'ємним цілим числом' }
+                : resolveFileWrite(db, userId, id, folderId, req.query.folderId !== undefined, baseVersion);
+            
+            if (target.error) {
+                return res.status(target.status).json(fileWriteError(target));
+            }
+            
+            const exceeded = checkWriteQuota(db, userId, target, size);
+            if (exceeded) {
+                return res.status(413).json(quotaErrorBody(exceeded));
+            }
+            
+            if (target.existingFile) {
+                await archiveFileRevision(db, target.existingFile);
+            }
+            
+            const fileId = id || generateId();
+            const blob = await commitStagedBlob(db, staged, inspected.javascript);
+            
+            const fileMetadata = commitFileWrite(db, userId, target, {
+                fileId, name, uploader,
+                type: checked.type,
+                ...blob
+            });
+            
+            await writeDatabase(db);
+            recordFileWrite(req, fileMetadata);
+            
+            res.status(target.existingFile ? 200 : 201).json({ 
+                success: true, 
+                message: 'Файл успішно завантажено',
+                file: fileMetadata,
+                ...inspectionWarnings(inspected)
+            });
+        });
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        if (error.status) {
+            return res.status(error.status).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+        console.error('❌ Помилка потокового завантаження файлу:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка сервера при завантаженні файлу' 
+        });
+    }
+});
+
+// Віддача вмісту файлу потоком з підтримкою Range, ETag та умовних запитів
+// auditDetails - додаткові поля події завантаження в журналі аудиту;
+// beforeDownload - перевірка перед завантаженням, яка може відмовити, повернувши { status, error }
+async function sendFileContent(req, res, file, disposition = 'attachment', auditDetails = {}, beforeDownload = null) {
+    const stat = await storage.stat(file.fileName);
+    if (!stat) {
+        const error = new Error('Вміст файлу відсутній у сховищі');
+        error.status = 404;
+        throw error;
+    }
+    
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', file.hash ? `"${file.hash}"` : `W/"${stat.size}-${Math.floor(stat.mtimeMs)}"`);
+    res.setHeader('Last-Modified', new Date(stat.mtimeMs).toUTCString());
+    
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    
+    let start = 0;
+    let end = stat.size - 1;
+    
+    // If-Range: частину віддаємо лише для тієї ж версії вмісту
+    const ifRange = req.get('If-Range');
+    const ranges = req.headers.range && (!ifRange || ifRange === res.getHeader('ETag'))
+        ? req.range(stat.size, { combine: true })
+        : undefined;
+    
+    if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${stat.size}`);
+        return res.status(416).end();
+    }
+    
+    const partial = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1;
+    if (partial) {
+        ({ start, end } = ranges[0]);
+    }
+    
+    // HEAD і докачування частинами не вважаються новим завантаженням
+    const isDownload = req.method !== 'HEAD' && start === 0;
+    if (isDownload && beforeDownload) {
+        const refused = await beforeDownload();
+        if (refused) {
+            res.removeHeader('ETag');
+            res.removeHeader('Last-Modified');
+            return res.status(refused.status).json({ 
+                success: false, 
+                error: refused.error 
+            });
+        }
+    }
+    
+    res.setHeader('Content-Type', file.type || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(file.name)}`);
+    if (partial) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    }
+    res.setHeader('Content-Length', stat.size === 0 ? 0 : end - start + 1);
+    
+    if (isDownload) {
+        recordAudit(req, 'file.download', {
+            target: getAuditFileTarget(file),
+            details: { inline: disposition === 'inline', size: file.size, ...auditDetails }
+        });
+    }
+    
+    if (req.method === 'HEAD' || stat.size === 0) {
+        return res.end();
+    }
+    
+    await pipeline(await storage.createReadStream(file.fileName, { start, end }), res);
+}
+
+// Вміст файлу у вигляді байтів
+app.get('/api/files/:fileId/content', async (req, res) => {
+    const { fileId } = req.params;
+    const userId = req.user.username;
+    
+    try {
+        const db = await readDatabase();
+        const file = findAccessibleFile(db, userId, fileId);
+        
+        if (!file) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Файл не знайдено' 
+            });
+        }
+        
+        await sendFileContent(req, res, file, req.query.inline ? 'inline' : 'attachment');
+    } catch (error) {
+        console.error(`❌ Помилка віддачі файлу ${fileId}:`, error);
+        if (res.headersSent) return res.destroy();
+        res.status(error.status === 404 ? 404 : 500).json({
+            success: false,
+            error: 'Помилка читання файлу'
+        });
+    }
+});
+
+// Мініатюра PNG-зображення (до THUMBNAIL_SIZE пікселів за більшою стороною)
+app.get('/api/files/:fileId/thumbnail', async (req, res) => {
+    const { fileId } = req.params;
+    const userId = req.user.username;
+    
+    try {
+        const db = await readDatabase();
+        const file = findAccessibleFile(db, userId, fileId);
+        
+        if (!file) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Файл не знайдено' 
+            });
+        }
+        
+        if (!getFileImage(db, file)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Мініатюри доступні лише для PNG-зображень'
+            });
+        }
+        
+        res.setHeader('ETag', `"thumbnail-${file.hash}"`);
+        res.setHeader('Cache-Control', 'private, max-age=86400');
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        
+        // Мініатюра нового файлу може саме створюватись у фоні
+        await thumbnails.pending;
+        const thumbnail = await ensureThumbnail(file.hash);
+        
+        res.setHeader('Content-Type', 'image/png');
+        res.end(thumbnail);
+    } catch (error) {
+        console.error(`❌ Помилка створення мініатюри ${fileId}:`, error.message);
+        res.removeHeader('ETag');
+        res.removeHeader('Cache-Control');
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Помилка створення мініатюри'
+        });
+    }
+});
+
+// Видалення файлу (переміщення в кошик)
+app.delete('/api/files/:fileId', async (req, res) => {
+    const { fileId } = req.params;
+    const userId = req.user.username;
+    
+    try {
+        await transaction(async db => {
+            const file = findAccessibleFile(db, userId, fileId);
+            
+            if (!file) {
+                console.log(`❌ Файл для видалення не знайдено: ${fileId}`);
+                return res.status(404).json({ 
+                    success: false, 
+                    error: 'Файл не знайдено' 
+                });
+            }
+            
+            // Видаляти файл може лише власник
+            if (file.userId !== userId) {
+                return res.status(403).json({ 
+                    success: false, 
+                    error: 'Видалити файл може лише власник' 
+                });
+            }
+            
+            markTrashed(file, userId, file.id);
+            await writeDatabase(db);
+            recordAudit(req, 'file.delete', { target: getAuditFileTarget(file), details: { trash: true } });
+            
+            console.log(`🗑️ Файл ${file.name} переміщено в кошик для користувача ${userId}`);
+            
+            res.json({ 
+                success: true, 
+                message: 'Файл переміщено в кошик' 
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка видалення файлу:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка видалення файлу' 
+        });
+    }
+});
+
+// Синхронізація - зміни з моменту курсору (вміст клієнт отримує окремо через /content)
+app.post('/api/sync', async (req, res) => {
+    const userId = req.user.username;
+    const cursor = req.body.cursor === undefined || req.body.cursor === null ? 0 : Number(req.body.cursor);
+    const limit = Math.min(parseInt(req.body.limit, 10) || SYNC_PAGE_SIZE, SYNC_PAGE_SIZE);
+    
+    if (!Number.isInteger(cursor) || cursor < 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'cursor має бути невід\'ємним цілим числом'
+        });
+    }
+    
+    try {
+        const db = await readDatabase();
+        const latest = db.changeSeq || 0;
+        const changes = db.changes || [];
+        const oldest = changes.length > 0 ? changes[0].seq : latest + 1;
+        
+        // Без курсору, із застарілим (журнал уже обрізано) або чужим курсором - повний список
+        if (cursor === 0 || cursor < oldest - 1 || cursor > latest) {
+            const files = getUserFiles(db, userId);
+            
+            console.log(`🔄 Повна синхронізація для користувача ${userId}: ${files.length} файлів`);
+            
+            return res.json({
+                success: true,
+                reset: true,
+                cursor: latest,
+                hasMore: false,
+                changes: files.map(file => ({ type: 'create', fileId: file.id, file: toSyncFile(file) }))
+            });
+        }
+        
+        const pending = changes.filter(c => c.seq > cursor && c.userId === userId);
+        const page = pending.slice(0, limit);
+        const hasMore = pending.length > page.length;
+        
+        // Для кожного файлу лишаємо останню зміну; метадані - поточні
+        const latestByFile = new Map();
+        for (const change of page) {
+            latestByFile.delete(change.fileId);
+            latestByFile.set(change.fileId, change);
+        }
+        
+        const result = [...latestByFile.values()].map(change => {
+            const file = change.type === 'delete' ? null : findUserFile(db, userId, change.fileId);
+            if (!file) {
+                return { seq: change.seq, type: 'delete', fileId: change.fileId, date: change.date };
+            }
+            return { seq: change.seq, type: change.type, fileId: change.fileId, date: change.date, file: toSyncFile(file) };
+        });
+        
+        console.log(`🔄 Синхронізація для користувача ${userId}: ${result.length} змін з курсору ${cursor}`);
+        
+        res.json({
+            success: true,
+            reset: false,
+            cursor: hasMore ? page[page.length - 1].seq : latest,
+            hasMore,
+            changes: result
+        });
+    } catch (error) {
+        console.error('❌ Помилка синхронізації:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка синхронізації'
+        });
+    }
+});
+
+// Використання квоти поточним користувачем
+app.get('/api/quota', async (req, res) => {
+    try {
+        const db = await readDatabase();
+        res.json({
+            success: true,
+            quota: getQuotaUsage(db, req.user.username)
+        });
+    } catch (error) {
+        console.error('❌ Помилка отримання квоти:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка отримання квоти'
+        });
+    }
+});
+
+// Статистика
+app.get('/api/stats', async (req, res) => {
+    const userId = req.user.username;
+    const allUsers = req.query.scope === 'all';
+    
+    if (allUsers && !hasPermission(req.user.role, 'stats:all')) {
+        return res.status(403).json({ 
+            success: false, 
+            error: 'Недостатньо прав' 
+        });
+    }
+    
+    try {
+        const db = await readDatabase();
+        const userFiles = allUsers ? db.files.filter(f => !f.deletedAt) : getUserFiles(db, userId);
+        
+        const stats = {
+            totalFiles: userFiles.length,
+            totalSize: userFiles.reduce((sum, f) => sum + (f.size || 0), 0),
+            fileTypes: {},
+            uploadsByUser: {}
+        };
+        
+        userFiles.forEach(file => {
+            const ext = '.' + file.name.split('.').pop().toLowerCase();
+            stats.fileTypes[ext] = (stats.fileTypes[ext] || 0) + 1;
+            stats.uploadsByUser[file.uploader] = (stats.uploadsByUser[file.uploader] || 0) + 1;
+        });
+        
+        console.log(`📊 Статистика запитана для ${allUsers ? 'всіх користувачів' : userId}`);
+        
+        res.json({
+            success: true,
+            stats
+        });
+    } catch (error) {
+        console.error('❌ Помилка отримання статистики:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка отримання статистики'
+        });
+    }
+});
+
+// Підготовка одного файлу масового завантаження поза транзакцією
+async function stageBulkFile(req, file) {
+    if (!file || typeof file !== 'object') {
+        return { report: { success: false, name: null, error: 'Невірний формат запису файлу' } };
+    }
+    
+    const name = file.name;
+    try {
+        const { type, data } = file;
+        const fieldsError = typeof data !== 'string' ? 'Вміст файлу має бути рядком' : validateFileFields(file);
+        if (fieldsError) {
+            return { report: { success: false, name, error: fieldsError } };
+        }
+        
+        // Валідація за політикою типів (разом із сигнатурою вмісту)
+        let checked = checkFilePolicy(req.user.role, { name, type });
+        let content = null;
+        if (!checked.error) {
+            content = decodeFileContent(data, checked.type);
+            checked = checkFilePolicy(req.user.role, { name, type, size: content.length, head: content.subarray(0, SIGNATURE_SAMPLE_SIZE) });
+        }
+        if (checked.error) {
+            return { report: { success: false, name, error: checked.error } };
+        }
+        
+        const inspected = await inspectFileContent(checked, name, content);
+        if (inspected.error) {
+            return { report: { success: false, name, status: inspected.status, error: inspected.error, syntaxError: inspected.javascript.syntaxError } };
+        }
+        
+        return {
+            file,
+            checked,
+            inspected,
+            folderId: normalizeFolderId(file.folderId !== undefined ? file.folderId : req.body.folderId),
+            staged: await stageBlobContent(content)
+        };
+    } catch (error) {
+        return { report: { success: false, name, error: error.message } };
+    }
+}
+
+// Запис підготовленого файлу в транзакції: усі перевірки - до першої зміни db
+async function commitBulkFile(db, userId, { file, checked, inspected, folderId, staged }) {
+    const { id, name, uploader } = file;
+    const failed = (error, status) => ({ report: { success: false, name, ...(status && { status }), error } });
+    
+    if (folderId && !findUserFolder(db, userId, folderId)) {
+        return failed('Папку не знайдено');
+    }
+    
+    if (id && db.files.some(f => f.id === id && f.userId !== userId)) {
+        return failed('Ідентифікатор файлу вже зайнятий');
+    }
+    
+    if (id && db.files.some(f => f.id === id && f.userId === userId && f.deletedAt)) {
+        return failed('Файл знаходиться в кошику');
+    }
+    
+    const fileId = id || generateId();
+    const existingIndex = db.files.findIndex(f => f.id === fileId && f.userId === userId);
+    const existingFile = existingIndex !== -1 ? db.files[existingIndex] : null;
+    
+    // Квота рахується з уже доданими в цьому запиті файлами
+    const exceeded = checkQuota(db, userId, staged.size, existingFile ? existingFile.size || 0 : 0);
+    if (exceeded) {
+        return failed(exceeded.error, 413);
+    }
+    
+    let blob;
+    try {
+        blob = await commitStagedBlob(db, staged, inspected.javascript);
+    } catch (error) {
+        if (!error.status) throw error;
+        return failed(error.message, error.status);
+    }
+    
+    if (existingFile) {
+        await archiveFileRevision(db, existingFile);
+    }
+    
+    const fileMetadata = {
+        id: fileId,
+        userId,
+        name,
+        type: checked.type,
+        size: blob.size,
+        uploader: uploader || 'Unknown',
+        folderId,
+        hash: blob.hash,
+        fileName: blob.fileName,
+        version: existingFile ? (existingFile.version || 1) + 1 : 1,
+        modifiedBy: userId,
+        createdDate: existingFile ? existingFile.createdDate : new Date().toISOString(),
+        modifiedDate: new Date().toISOString()
+    };
+    
+    if (existingFile) {
+        db.files[existingIndex] = fileMetadata;
+    } else {
+        db.files.push(fileMetadata);
+    }
+    
+    return { file: fileMetadata, report: { success: true, name, id: fileId, ...inspectionWarnings(inspected) } };
+}
+
+// Масове завантаження файлів
+app.post('/api/files/bulk', async (req, res) => {
+    const userId = req.user.username;
+    const { files } = req.body;
+    
+    if (!files || !Array.isArray(files)) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Відсутні обов\'язкові поля або невірний формат' 
+        });
+    }
+    
+    try {
+        // Декодування, перевірки вмісту й запис блобів - до черги транзакцій
+        const prepared = [];
+        for (const file of files) {
+            prepared.push(await stageBulkFile(req, file));
+        }
+        
+        await transaction(async db => {
+            const results = [];
+            const written = [];
+            for (const item of prepared) {
+                const result = item.report ? item : await commitBulkFile(db, userId, item);
+                if (result.file) written.push(result.file);
+                results.push(result.report);
+            }
+            
+            await writeDatabase(db);
+            written.forEach(file => recordFileWrite(req, file, { bulk: true }));
+            
+            const successCount = results.filter(r => r.success).length;
+            console.log(`📦 Масове завантаження для ${userId}: ${successCount}/${files.length} успішно`);
+            
+            res.json({
+                success: true,
+                results,
+                totalProcessed: files.length,
+                successCount
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка масового завантаження:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка масового завантаження файлів'
+        });
+    }
+});
+
+// Очищення файлів користувача
+app.delete('/api/files', async (req, res) => {
+    const userId = req.user.username;
+    
+    try {
+        await transaction(async db => {
+            const userFiles = getUserFiles(db, userId);
+            
+            // Переміщуємо всі файли в кошик
+            for (const file of userFiles) {
+                markTrashed(file, userId, file.id);
+            }
+            
+            await writeDatabase(db);
+            recordAudit(req, 'files.clear', {
+                target: { type: 'user', id: userId },
+                details: { count: userFiles.length, fileIds: userFiles.map(file => file.id) }
+            });
+            
+            console.log(`🗑️ Всі файли користувача ${userId} переміщено в кошик: ${userFiles.length} файлів`);
+            
+            res.json({
+                success: true,
+                message: 'Всі файли переміщено в кошик',
+                deletedCount: userFiles.length
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка очищення файлів:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка очищення файлів'
+        });
+    }
+});
+
+// Шлях папки файлу відносно базової папки (null - корінь)
+function getExportFolderPath(db, file, baseFolderId) {
+    const names = [];
+    let folder = file.folderId ? findUserFolder(db, file.userId, file.folderId) : null;
+    
+    while (folder && folder.id !== baseFolderId) {
+        names.unshift(toArchiveSegment(folder.name));
+        folder = folder.parentId ? findUserFolder(db, file.userId, folder.parentId) : null;
+    }
+    
+    return names;
+}
+
+// Файли для експорту: вибрані ids, папка з усіма вкладеними або всі файли користувача
+function resolveExportSelection(db, userId, query) {
+    if (query.ids !== undefined) {
+        const ids = [...new Set(String(query.ids).split(',').map(id => id.trim()).filter(Boolean))];
+        if (ids.length === 0) {
+            return { status: 400, error: 'Список ids порожній' };
+        }
+        
+        const files = [];
+        for (const id of ids) {
+            const file = findAccessibleFile(db, userId, id);
+            if (!file) return { status: 404, error: `Файл ${id} не знайдено` };
+            files.push({ file, folders: [] });
+        }
+        return { name: `files_${userId}`, files };
+    }
+    
+    const folderId = normalizeFolderId(query.folderId);
+    if (folderId) {
+        const folder = lookupIndexed(db.folders || [], 'id', folderId).find(f => getFolderAccess(db, userId, f));
+        if (!folder) {
+            return { status: 404, error: 'Папку не знайдено' };
+        }
+        
+        const tree = new Set(collectFolderTree(db, folder.userId, folder.id));
+        const files = db.files
+            .filter(f => f.userId === folder.userId && !f.deletedAt && tree.has(f.folderId))
+            .map(file => ({ file, folders: getExportFolderPath(db, file, folder.id) }));
+        return { name: folder.name, files };
+    }
+    
+    const files = getUserFiles(db, userId).map(file => ({ file, folders: getExportFolderPath(db, file, null) }));
+    return { name: `files_${userId}`, files };
+}
+
+// Поле CSV за RFC 4180: у лапках (з подвоєними лапками всередині), якщо містить кому, лапки чи перенесення рядка
+function toCsvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Експорт файлів: список метаданих (json, csv) або архів з вмістом (zip)
+// Вибірка: ids=a,b,c - окремі файли, folderId - папка з вкладеними, без параметрів - усі файли
+app.get('/api/export', async (req, res) => {
+    const userId = req.user.username;
+    const { format } = req.query;
+    
+    try {
+        const db = await readDatabase();
+        const selection = resolveExportSelection(db, userId, req.query);
+        
+        if (selection.error) {
+            return res.status(selection.status).json({
+                success: false,
+                error: selection.error
+            });
+        }
+        
+        const userFiles = selection.files.map(({ file }) => file);
+        
+        if (format === 'zip') {
+            // Вміст, якого немає у сховищі, пропускаємо: посеред потоку відповідь уже не змінити
+            const used = new Set();
+            const entries = [];
+            let skipped = 0;
+            
+            for (const { file, folders } of selection.files) {
+                const stat = await storage.stat(file.fileName);
+                if (!stat) {
+                    console.warn(`⚠️ Вміст файлу ${file.name} відсутній у сховищі, в архів не додано`);
+                    skipped++;
+                    continue;
+                }
+                
+                entries.push({
+                    name: makeUniqueArchivePath(used, [...folders, toArchiveSegment(file.name)].join('/')),
+                    date: new Date(file.modifiedDate || file.createdDate),
+                    size: stat.size,
+                    open: () => storage.createReadStream(file.fileName)
+                });
+            }
+            
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(`${selection.name}.zip`)}`);
+            res.setHeader('Cache-Control', 'private, no-cache');
+            if (skipped > 0) res.setHeader('X-Skipped-Files', skipped);
+            
+            recordAudit(req, 'files.download', {
+                target: { type: 'archive', name: `${selection.name}.zip` },
+                details: { format: 'zip', count: entries.length, skipped, fileIds: userFiles.map(file => file.id) }
+            });
+            
+            await pipeline(Readable.from(createZipStream(entries)), res);
+            
+            console.log(`📦 ZIP-архів для ${userId}: ${entries.length} файлів${skipped > 0 ? `, пропущено ${skipped}` : ''}`);
+            return;
+        }
+        
+        if (format === 'csv') {
+            // Експорт у CSV (RFC 4180: рядки через CRLF, поля екрануються лапками)
+            const columns = ['ID', 'Name', 'Type', 'Size', 'Uploader', 'Created', 'Modified'];
+            const rows = userFiles.map(f => [f.id, f.name, f.type, f.size, f.uploader, f.createdDate, f.modifiedDate]);
+            const csv = [columns, ...rows].map(row => row.map(toCsvField).join(',') + '\r\n').join('');
+            
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8; header=present');
+            res.setHeader('Content-Disposition', `attachment; filename="files_${userId}_${Date.now()}.csv"`);
+            res.send(csv);
+        } else {
+            // Експорт у JSON (за замовчуванням)
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Content-Disposition', `attachment; filename="files_${userId}_${Date.now()}.json"`);
+            res.json({
+                userId,
+                exportDate: new Date().toISOString(),
+                filesCount: userFiles.length,
+                files: userFiles
+            });
+        }
+        
+        console.log(`📤 Експорт файлів для ${userId} у форматі ${format || 'json'}`);
+    } catch (error) {
+        console.error('❌ Помилка експорту:', error);
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({
+            success: false,
+            error: 'Помилка експорту'
+        });
+    }
+});
+
+// ============ ІМПОРТ ZIP ============
+// Архів розпаковується запис за записом: кожен файл проходить політику типів, каталоги
+// стають папками (наявні з тією ж назвою перевикористовуються), а збіг назв у папці
+// вирішується стратегією onConflict: skip, overwrite (нова версія) або rename.
+
+const ZIP_IMPORT_CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+// Шлях запису в архіві: назви папок і файлу (або помилка для небезпечних шляхів)
+function parseZipEntryPath(entryName) {
+    const segments = entryName.replace(/\\/g, '/').split('/').filter(segment => segment !== '' && segment !== '.');
+    if (segments.length === 0) {
+        return { error: 'Порожній шлях запису' };
+    }
+    if (segments.includes('..')) {
+        return { error: 'Шлях запису виходить за межі архіву' };
+    }
+    return { folders: segments.slice(0, -1), name: segments[segments.length - 1] };
+}
+
+// Службові записи архіваторів, які не імпортуються
+function isZipJunkEntry(entryName) {
+    return /(^|\/)__MACOSX\//.test(entryName) || /(^|\/)(\.DS_Store|Thumbs\.db)$/.test(entryName);
+}
+
+// План папки за ланцюжком назв від батьківської, без змін у db.
+// Повертає { folderId, missing } або { error }: folderId - найглибша наявна папка,
+// missing - папки, які ще треба створити (з перевіреними назвами й готовими id)
+function resolveImportFolder(db, userId, parentId, names) {
+    let folderId = parentId;
+    const missing = [];
+    
+    for (const name of names) {
+        const existing = missing.length === 0 && (db.folders || []).find(f =>
+            f.userId === userId &&
+            (f.parentId || null) === folderId &&
+            !f.deletedAt &&
+            f.name.toLowerCase() === name.toLowerCase()
+        );
+        if (existing) {
+            folderId = existing.id;
+            continue;
+        }
+        
+        const parent = missing.length > 0 ? missing[missing.length - 1].id : folderId;
+        const nameError = validateFolderName(db, userId, name, parent);
+        if (nameError) return { error: `Папка "${name}": ${nameError}` };
+        
+        missing.push({ id: generateId(), name, parentId: parent });
+    }
+    
+    return { folderId, missing };
+}
+
+// Створення запланованих папок; повертає id кінцевої папки
+function createImportFolders(db, userId, plan) {
+    db.folders = db.folders || [];
+    for (const { id, name, parentId } of plan.missing) {
+        db.folders.push({
+            id,
+            userId,
+            name,
+            parentId,
+            createdDate: new Date().toISOString(),
+            modifiedDate: new Date().toISOString()
+        });
+    }
+    
+    return plan.missing.length > 0 ? plan.missing[plan.missing.length - 1].id : plan.folderId;
+}
+
+// Файл користувача з такою назвою в папці (без урахування регістру)
+function findFileByName(db, userId, folderId, name) {
+    const lowerName = name.toLowerCase();
+    return getUserFiles(db, userId).find(f => (f.folderId || null) === folderId && f.name.toLowerCase() === lowerName);
+}
+
+// Вільна назва в папці: "app.js" → "app (2).js", "app (3).js"...
+function makeUniqueFileName(db, userId, folderId, name) {
+    const extension = path.extname(name);
+    const base = name.slice(0, name.length - extension.length);
+    let candidate = name;
+    
+    for (let n = 2; findFileByName(db, userId, folderId, candidate); n++) {
+        candidate = `${base} (${n})${extension}`;
+    }
+    return candidate;
+}
+
+// Файл з такою назвою за шляхом запису архіву (папки не створюються)
+function findImportConflict(db, userId, folderId, folders, name) {
+    const folder = resolveImportFolder(db, userId, folderId, folders);
+    return !folder.error && folder.missing.length === 0 && findFileByName(db, userId, folder.folderId, name);
+}
+
+// Підготовка файлового запису архіву поза транзакцією: розпакування, перевірки вмісту
+// і запис блобу. Запис, який далі не імпортується, одразу отримує елемент звіту (report)
+async function stageZipEntry(snapshot, user, zipPath, entry, { folderId, onConflict }) {
+    const parsed = parseZipEntryPath(entry.name);
+    if (parsed.error) {
+        return { report: { success: false, name: entry.name, path: entry.name, error: parsed.error } };
+    }
+    
+    const { folders, name } = parsed;
+    const result = { name, path: [...folders, name].join('/') };
+    
+    let checked = checkFilePolicy(user.role, { name, size: entry.size });
+    if (checked.error) {
+        return { report: { success: false, ...result, status: checked.status, error: checked.error } };
+    }
+    
+    // Пропуск вирішується ще до розпакування (у транзакції перевіряється ще раз)
+    if (onConflict === 'skip' && findImportConflict(snapshot, user.username, folderId, folders, name)) {
+        return { folders, name, result };
+    }
+    
+    const tempPath = path.join(TEMP_DIR, `.import-${generateId()}`);
+    try {
+        await extractZipEntry(zipPath, entry, tempPath);
+        
+        checked = checkFilePolicy(user.role, { name, size: entry.size, head: await readFileHead(tempPath) });
+        if (checked.error) {
+            return { report: { success: false, ...result, status: checked.status, error: checked.error } };
+        }
+        
+        const inspected = await inspectFileContent(checked, name, tempPath);
+        if (inspected.error) {
+            return { report: { success: false, ...result, status: inspected.status, error: inspected.error, syntaxError: inspected.javascript.syntaxError } };
+        }
+        
+        const staged = await stageBlobFile(tempPath);
+        return { folders, name, result, checked, inspected, staged };
+    } catch (error) {
+        return { report: { success: false, ...result, status: error.status, error: error.message } };
+    } finally {
+        await fs.unlink(tempPath).catch(() => {});
+    }
+}
+
+// Запис підготовленого файлу архіву в транзакції; повертає елемент звіту.
+// Усі перевірки виконуються до першої зміни файлів і ревізій
+async function importZipEntry(db, user, prepared, { folderId, onConflict, uploader }) {
+    if (prepared.report) return prepared.report;
+    
+    const userId = user.username;
+    const { folders, name, result, checked, inspected, staged } = prepared;
+    
+    const existing = findImportConflict(db, userId, folderId, folders, name);
+    if (existing && onConflict === 'skip') {
+        return { success: true, ...result, action: 'skipped', id: existing.id };
+    }
+    if (!staged) {
+        return { success: false, ...result, status: 409, error: 'Файл видалено під час імпорту, повторіть спробу' };
+    }
+    
+    // Квота рахується з уже імпортованими з цього архіву файлами
+    const overwritten = existing && onConflict === 'overwrite' ? existing : null;
+    const exceeded = checkWriteQuota(db, userId, { existingFile: overwritten }, staged.size);
+    if (exceeded) {
+        return { success: false, ...result, status: 413, error: exceeded.error };
+    }
+    
+    // Відсутні папки лише плануються: створюються після всіх перевірок запису
+    const folder = resolveImportFolder(db, userId, folderId, folders);
+    if (folder.error) {
+        return { success: false, ...result, error: folder.error };
+    }
+    
+    // Конфлікт можливий лише в наявній папці, тож нові папки назву не змінюють
+    const fileName = existing && onConflict === 'rename' ? makeUniqueFileName(db, userId, folder.folderId, name) : name;
+    const target = resolveFileWrite(db, userId, overwritten ? overwritten.id : null, folder.folderId, true);
+    if (target.error) {
+        return { success: false, ...result, status: target.status, error: target.error };
+    }
+    
+    let blob;
+    try {
+        blob = await commitStagedBlob(db, staged, inspected.javascript);
+    } catch (error) {
+        if (!error.status) throw error;
+        return { success: false, ...result, status: error.status, error: error.message };
+    }
+    
+    if (folder.missing.length > 0) {
+        target.targetFolderId = createImportFolders(db, userId, folder);
+    }
+    
+    if (target.existingFile) {
+        await archiveFileRevision(db, target.existingFile);
+    }
+    
+    const file = commitFileWrite(db, userId, target, {
+        fileId: target.existingFile ? target.existingFile.id : generateId(),
+        name: fileName,
+        uploader,
+        type: checked.type,
+        ...blob
+    });
+    
+    return {
+        success: true,
+        ...result,
+        action: target.existingFile ? 'overwritten' : fileName !== name ? 'renamed' : 'created',
+        id: file.id,
+        ...(fileName !== name && { savedAs: fileName }),
+        ...inspectionWarnings(inspected)
+    };
+}
+
+// Імпорт ZIP-архіву (тіло запиту - сам архів)
+// folderId - куди розпаковувати, onConflict - skip | overwrite | rename (за замовчуванням)
+app.post('/api/files/import', async (req, res) => {
+    const userId = req.user.username;
+    const folderId = normalizeFolderId(req.query.folderId);
+    const onConflict = req.query.onConflict || 'rename';
+    
+    if (!ZIP_IMPORT_CONFLICT_STRATEGIES.includes(onConflict)) {
+        return res.status(400).json({
+            success: false,
+            error: `onConflict має бути одним із: ${ZIP_IMPORT_CONFLICT_STRATEGIES.join(', ')}`
+        });
+    }
+    
+    const zipPath = path.join(TEMP_DIR, `.import-${generateId()}.zip`);
+    
+    try {
+        await pipeline(req, limitStreamSize(ZIP_IMPORT_MAX_SIZE), fsSync.createWriteStream(zipPath));
+        const entries = (await readZipDirectory(zipPath, ZIP_IMPORT_MAX_ENTRIES)).filter(entry => !isZipJunkEntry(entry.name));
+        
+        const snapshot = await readDatabase();
+        if (folderId && !findUserFolder(snapshot, userId, folderId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Папку не знайдено'
+            });
+        }
+        
+        // Розпакування і хешування повільні, тож виконуються до черги транзакцій;
+        // у транзакції лишається тільки запис метаданих
+        const prepared = new Map();
+        for (const entry of entries) {
+            if (!entry.directory) {
+                prepared.set(entry, await stageZipEntry(snapshot, req.user, zipPath, entry, { folderId, onConflict }));
+            }
+        }
+        
+        await transaction(async db => {
+            if (folderId && !findUserFolder(db, userId, folderId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Папку не знайдено'
+                });
+            }
+            
+            const results = [];
+            for (const entry of entries) {
+                if (!entry.directory) {
+                    results.push(await importZipEntry(db, req.user, prepared.get(entry), { folderId, onConflict, uploader: req.query.uploader }));
+                    continue;
+                }
+                
+                // Каталоги (зокрема порожні) стають папками
+                const parsed = parseZipEntryPath(entry.name);
+                const folder = parsed.error
+                    ? parsed
+                    : resolveImportFolder(db, userId, folderId, [...parsed.folders, parsed.name]);
+                results.push(folder.error
+                    ? { success: false, name: entry.name, path: entry.name, error: folder.error }
+                    : { success: true, name: parsed.name, path: entry.name.replace(/[\\/]+$/, ''), action: 'folder', id: createImportFolders(db, userId, folder) });
+            }
+            
+            await writeDatabase(db);
+            results
+                .filter(r => r.success && ['created', 'overwritten', 'renamed'].includes(r.action))
+                .forEach(r => recordFileWrite(req, db.files.find(f => f.id === r.id), { import: true }));
+            
+            const count = action => results.filter(r => r.success && r.action === action).length;
+            const successCount = results.filter(r => r.success).length;
+            console.log(`📥 Імпорт ZIP для ${userId}: ${successCount}/${results.length} записів успішно`);
+            
+            res.json({
+                success: true,
+                results,
+                totalProcessed: results.length,
+                successCount,
+                summary: {
+                    created: count('created'),
+                    overwritten: count('overwritten'),
+                    renamed: count('renamed'),
+                    skipped: count('skipped'),
+                    folders: count('folder'),
+                    failed: results.length - successCount
+                }
+            });
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('❌ Помилка імпорту ZIP:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка імпорту ZIP-архіву'
+        });
+    } finally {
+        await fs.unlink(zipPath).catch(() => {});
+    }
+});
+
+// ============ ПОЕТАПНЕ ЗАВАНТАЖЕННЯ ============
+
+// Директорія з частинами сесії завантаження
+function getUploadDir(uploadId) {
+    return path.join(UPLOADS_DIR, uploadId);
+}
+
+// Номери частин, які вже отримано
+async function listReceivedChunks(upload) {
+    try {
+        const entries = await fs.readdir(getUploadDir(upload.id));
+        return entries
+            .filter(name => /^\d+$/.test(name))
+            .map(Number)
+            .filter(index => index < upload.totalChunks)
+            .sort((a, b) => a - b);
+    } catch {
+        return [];
+    }
+}
+
+// Сесії, які саме збираються в файл: друге завершення тієї ж сесії отримує 409,
+// а очищення покинутих сесій їх не чіпає
+const completingUploads = new Set();
+
+// Очікуваний розмір частини (остання може бути меншою)
+function expectedChunkSize(upload, index) {
+    if (index < upload.totalChunks - 1) return upload.chunkSize;
+    return upload.size - upload.chunkSize * (upload.totalChunks - 1);
+}
+
+// Стан сесії для клієнта
+async function describeUpload(upload) {
+    const received = await listReceivedChunks(upload);
+    const receivedSet = new Set(received);
+    const missing = [];
+    for (let index = 0; index < upload.totalChunks; index++) {
+        if (!receivedSet.has(index)) missing.push(index);
+    }
+    
+    return {
+        id: upload.id,
+        name: upload.name,
+        size: upload.size,
+        chunkSize: upload.chunkSize,
+        totalChunks: upload.totalChunks,
+        receivedChunks: received,
+        missingChunks: missing,
+        createdDate: upload.createdDate,
+        expiresAt: new Date(new Date(upload.updatedDate).getTime() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    };
+}
+
+// Пошук сесії завантаження користувача
+function findUserUpload(db, userId, uploadId) {
+    return (db.uploads || []).find(u => u.id === uploadId && u.userId === userId);
+}
+
+// Видалення сесій, які не оновлювались довше за UPLOAD_SESSION_TTL_HOURS
+async function purgeExpiredUploads() {
+    await transaction(async db => {
+        const cutoff = Date.now() - UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000;
+        const known = new Set();
+        const expired = [];
+        
+        for (const upload of db.uploads || []) {
+            known.add(upload.id);
+            
+            // Кожна прийнята частина оновлює updatedDate
+            if (new Date(upload.updatedDate).getTime() < cutoff && !completingUploads.has(upload.id)) expired.push(upload.id);
+        }
+        
+        // Директорії без сесії в БД лишились після збоїв
+        let orphanDirs = [];
+        try {
+            orphanDirs = (await fs.readdir(UPLOADS_DIR)).filter(name => !known.has(name));
+        } catch {}
+        
+        for (const uploadId of [...expired, ...orphanDirs]) {
+            await fs.rm(getUploadDir(uploadId), { recursive: true, force: true });
+        }
+        
+        if (expired.length > 0) {
+            const expiredSet = new Set(expired);
+            db.uploads = db.uploads.filter(u => !expiredSet.has(u.id));
+            await writeDatabase(db);
+            console.log(`🧹 Видалено ${expired.length} покинутих сесій завантаження`);
+        }
+    });
+}
+
+// Створення сесії завантаження
+app.post('/api/uploads', async (req, res) => {
+    const userId = req.user.username;
+    const { id, name, type, size, checksum, uploader } = req.body;
+    const chunkSize = req.body.chunkSize || UPLOAD_CHUNK_SIZE;
+    
+    if (!name || !Number.isInteger(size) || size < 0) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Потрібні name та size (ціле число байтів)' 
+        });
+    }
+    
+    const fieldsError = validateFileFields(req.body);
+    if (fieldsError) {
+        return res.status(400).json({ 
+            success: false, 
+            error: fieldsError 
+        });
+    }
+    
+    const checked = checkFilePolicy(req.user.role, { name, type, size });
+    if (checked.error) {
+        return res.status(checked.status).json({ 
+            success: false, 
+            error: checked.error 
+        });
+    }
+    
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > UPLOAD_MAX_CHUNK_SIZE) {
+        return res.status(400).json({ 
+            success: false, 
+            error: `chunkSize має бути від 1 до ${UPLOAD_MAX_CHUNK_SIZE} байтів` 
+        });
+    }
+    
+    if (checksum && !/^[a-f0-9]{64}$/i.test(checksum)) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'checksum має бути SHA-256 у hex' 
+        });
+    }
+    
+    try {
+        await transaction(async db => {
+            const baseVersion = getBaseVersion(req, db, id);
+            if (Number.isNaN(baseVersion)) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'baseVersion має бути невід\'ємним цілим числом' 
+                });
+            }
+            
+            // Права й версію перевіряємо одразу, щоб не приймати даремно гігабайти
+            const target = resolveFileWrite(db, userId, id, normalizeFolderId(req.body.folderId), req.body.folderId !== undefined, baseVersion);
+            if (target.error) {
+                return res.status(target.status).json(fileWriteError(target));
+            }
+            
+            const exceeded = checkWriteQuota(db, userId, target, size);
+            if (exceeded) {
+                return res.status(413).json(quotaErrorBody(exceeded));
+            }
+            
+            const upload = {
+                id: crypto.randomUUID(),
+                userId,
+                fileId: id || null,
+                name,
+                type: checked.type,
+                size,
+                checksum: checksum ? checksum.toLowerCase() : null,
+                uploader: uploader || 'Unknown',
+                folderId: req.body.folderId,
+                baseVersion: baseVersion === undefined ? null : baseVersion,
+                chunkSize,
+                totalChunks: Math.max(1, Math.ceil(size / chunkSize)),
+                createdDate: new Date().toISOString(),
+                updatedDate: new Date().toISOString()
+            };
+            
+            await fs.mkdir(getUploadDir(upload.id), { recursive: true });
+            db.uploads = db.uploads || [];
+            db.uploads.push(upload);
+            await writeDatabase(db);
+            
+            console.log(`📤 Розпочато поетапне завантаження ${name} (${upload.totalChunks} частин) для ${userId}`);
+            
+            res.status(201).json({
+                success: true,
+                upload: await describeUpload(upload)
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка створення сесії завантаження:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка створення сесії завантаження'
+        });
+    }
+});
+
+// Стан сесії: які частини вже отримано
+app.get('/api/uploads/:uploadId', async (req, res) => {
+    try {
+        const db = await readDatabase();
+        const upload = findUserUpload(db, req.user.username, req.params.uploadId);
+        
+        if (!upload) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Сесію завантаження не знайдено' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            upload: await describeUpload(upload)
+        });
+    } catch (error) {
+        console.error('❌ Помилка отримання стану завантаження:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка отримання стану завантаження' 
+        });
+    }
+});
+
+// Прийом однієї частини (тіло запиту — сирі байти)
+app.put('/api/uploads/:uploadId/chunks/:index', async (req, res) => {
+    const userId = req.user.username;
+    const index = Number(req.params.index);
+    // Окреме тимчасове ім'я для кожного запиту: ту саму частину можуть надсилати паралельно
+    let tempPath = null;
+    let expected = 0;
+    
+    try {
+        const upload = findUserUpload(await readDatabase(), userId, req.params.uploadId);
+        
+        if (!upload) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Сесію завантаження не знайдено' 
+            });
+        }
+        
+        if (!Number.isInteger(index) || index < 0 || index >= upload.totalChunks) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Номер частини має бути від 0 до ${upload.totalChunks - 1}` 
+            });
+        }
+        
+        const chunkPath = path.join(getUploadDir(upload.id), String(index));
+        tempPath = `${chunkPath}.${generateId()}.part`;
+        expected = expectedChunkSize(upload, index);
+        
+        await pipeline(req, limitStreamSize(expected), fsSync.createWriteStream(tempPath));
+        
+        const { size } = await fs.stat(tempPath);
+        if (size !== expected) {
+            await fs.unlink(tempPath).catch(() => {});
+            return res.status(400).json({ 
+                success: false, 
+                error: `Невірний розмір частини ${index}: отримано ${size}, очікувалось ${expected}` 
+            });
+        }
+        
+        // Частина з'являється під своїм номером лише повністю записаною
+        await fs.rename(tempPath, chunkPath);
+        
+        // Час останньої активності - для видалення покинутих сесій
+        await transaction(async db => {
+            const current = findUserUpload(db, userId, upload.id);
+            if (!current) return;
+            current.updatedDate = new Date().toISOString();
+            await writeDatabase(db);
+        });
+        
+        res.json({
+            success: true,
+            index,
+            size
+        });
+    } catch (error) {
+        if (tempPath) await fs.unlink(tempPath).catch(() => {});
+        if (error.status === 413) {
+            return res.status(413).json({ 
+                success: false, 
+                error: `Частина ${index} завелика: очікувалось ${expected} байтів` 
+            });
+        }
+        console.error(`❌ Помилка прийому частини ${index}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка збереження частини'
+        });
+    }
+});
+
+// Завершення: збирання частин, перевірка контрольної суми та запис метаданих
+app.post('/api/uploads/:uploadId/complete', async (req, res) => {
+    const userId = req.user.username;
+    // Тимчасовий файл - свій для кожного запиту, а не спільний для сесії
+    const tempPath = path.join(TEMP_DIR, `.upload-${generateId()}`);
+    let claimed = null;
+    
+    try {
+        const upload = findUserUpload(await readDatabase(), userId, req.params.uploadId);
+        
+        if (!upload) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Сесію завантаження не знайдено' 
+            });
+        }
+        
+        if (completingUploads.has(upload.id)) {
+            return res.status(409).json({ 
+                success: false, 
+                error: 'Завантаження вже завершується' 
+            });
+        }
+        completingUploads.add(upload.id);
+        claimed = upload.id;
+        
+        const state = await describeUpload(upload);
+        if (state.missingChunks.length > 0) {
+            return res.status(409).json({ 
+                success: false, 
+                error: 'Отримано не всі частини',
+                missingChunks: state.missingChunks
+            });
+        }
+        
+        // Складаємо частини в один файл, рахуючи SHA-256 на льоту
+        const hash = crypto.createHash('sha256');
+        const output = fsSync.createWriteStream(tempPath);
+        for (let index = 0; index < upload.totalChunks; index++) {
+            const chunk = await fs.readFile(path.join(getUploadDir(upload.id), String(index)));
+            hash.update(chunk);
+            if (!output.write(chunk)) {
+                await new Promise(resolve => output.once('drain', resolve));
+            }
+        }
+        await new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+        
+        const checksum = hash.digest('hex');
+        if (upload.checksum && upload.checksum !== checksum) {
+            await fs.unlink(tempPath).catch(() => {});
+            return res.status(422).json({ 
+                success: false, 
+                error: 'Контрольна сума не збігається',
+                expected: upload.checksum,
+                actual: checksum
+            });
+        }
+        
+        // Сигнатуру вмісту можна перевірити лише після збирання частин
+        const { size } = await fs.stat(tempPath);
+        const checked = checkFilePolicy(req.user.role, { 
+            name: upload.name, 
+            type: upload.type, 
+            size, 
+            head: await readFileHead(tempPath) 
+        });
+        if (checked.error) {
+            await fs.unlink(tempPath).catch(() => {});
+            return res.status(checked.status).json({ 
+                success: false, 
+                error: checked.error 
+            });
+        }
+        
+        const inspected = await inspectFileContent(checked, upload.name, tempPath);
+        if (inspected.error) {
+            await fs.unlink(tempPath).catch(() => {});
+            return res.status(inspected.status).json({ 
+                success: false, 
+                error: inspected.error,
+                syntaxError: inspected.javascript.syntaxError
+            });
+        }
+        
+        const staged = await stageBlobFile(tempPath, checksum);
+        
+        // Метадані записуємо в транзакції: сесію могли скасувати, а права — змінити
+        const result = await transaction(async db => {
+            if (!findUserUpload(db, userId, upload.id)) {
+                return { status: 404, error: 'Сесію завантаження не знайдено' };
+            }
+            
+            const baseVersion = upload.baseVersion === null || upload.baseVersion === undefined ? undefined : upload.baseVersion;
+            const target = resolveFileWrite(db, userId, upload.fileId, normalizeFolderId(upload.folderId), upload.folderId !== undefined, baseVersion);
+            if (target.error) return target;
+            
+            const exceeded = checkWriteQuota(db, userId, target, size);
+            if (exceeded) return exceeded;
+            
+            if (target.existingFile) {
+                await archiveFileRevision(db, target.existingFile);
+            }
+            
+            const fileId = upload.fileId || generateId();
+            const blob = await commitStagedBlob(db, staged, inspected.javascript);
+            
+            const fileMetadata = commitFileWrite(db, userId, target, {
+                fileId,
+                name: upload.name,
+                type: upload.type,
+                uploader: upload.uploader,
+                ...blob
+            });
+                
+            db.uploads = db.uploads.filter(u => u.id !== upload.id);
+            await writeDatabase(db);
+            recordFileWrite(req, fileMetadata, { uploadId: upload.id });
+            return { file: fileMetadata };
+        });
+        
+        if (result.error) {
+            await fs.unlink(tempPath).catch(() => {});
+            return res.status(result.status).json(result.quota ? quotaErrorBody(result) : fileWriteError(result));
+        }
+        
+        await fs.rm(getUploadDir(upload.id), { recursive: true, force: true });
+        
+        res.json({
+            success: true,
+            message: 'Файл успішно завантажено',
+            checksum,
+            file: result.file,
+            ...inspectionWarnings(inspected)
+        });
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        console.error('❌ Помилка завершення завантаження:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Помилка завершення завантаження'
+        });
+    } finally {
+        if (claimed) completingUploads.delete(claimed);
+    }
+});
+
+// Скасування сесії завантаження
+app.delete('/api/uploads/:uploadId', async (req, res) => {
+    try {
+        await transaction(async db => {
+            const upload = findUserUpload(db, req.user.username, req.params.uploadId);
+            
+            if (!upload) {
+                return res.status(404).json({ 
+                    success: false, 
+                    error: 'Сесію завантаження не знайдено' 
+                });
+            }
+            
+            db.uploads = db.uploads.filter(u => u.id !== upload.id);
+            await writeDatabase(db);
+            await fs.rm(getUploadDir(upload.id), { recursive: true, force: true });
+            
+            res.json({
+                success: true,
+                message: 'Завантаження скасовано'
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка скасування завантаження:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка скасування завантаження' 
+        });
+    }
+});
+
+// ============ ПАПКИ ============
+
+// Порожнє значення або 'root' означає кореневу папку
+function normalizeFolderId(folderId) {
+    return folderId && folderId !== 'root' ? folderId : null;
+}
+
+// Пошук папки користувача
+function findUserFolder(db, userId, folderId) {
+    return lookupIndexed(db.folders || [], 'id', folderId).find(f => f.userId === userId && !f.deletedAt);
+}
+
+// Ідентифікатори папки та всіх вкладених у неї папок
+function collectFolderTree(db, userId, folderId) {
+    const ids = [folderId];
+    
+    for (let i = 0; i < ids.length; i++) {
+        for (const folder of db.folders || []) {
+            if (folder.userId === userId && folder.parentId === ids[i] && !folder.deletedAt) {
+                ids.push(folder.id);
+            }
+        }
+    }
+    
+    return ids;
+}
+
+// Шлях від кореня до папки (хлібні крихти)
+function buildFolderPath(db, userId, folderId) {
+    const breadcrumbs = [];
+    let current = folderId ? findUserFolder(db, userId, folderId) : null;
+    
+    while (current) {
+        breadcrumbs.unshift({ id: current.id, name: current.name });
+        current = current.parentId ? findUserFolder(db, userId, current.parentId) : null;
+    }
+    
+    return [{ id: null, name: 'Мій диск' }, ...breadcrumbs];
+}
+
+// Перевірка назви папки, повертає текст помилки або null
+function validateFolderName(db, userId, name, parentId, exceptFolderId = null) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return 'Назва папки обов\'язкова';
+    }
+    
+    if (name.length > 255 || /[\\/]/.test(name)) {
+        return 'Назва папки не може містити "/" або "\\" і має бути до 255 символів';
+    }
+    
+    const duplicate = (db.folders || []).some(f =>
+        f.userId === userId &&
+        f.parentId === parentId &&
+        !f.deletedAt &&
+        f.id !== exceptFolderId &&
+        f.name.toLowerCase() === name.trim().toLowerCase()
+    );
+    
+    return duplicate ? 'Папка з такою назвою вже існує' : null;
+}
+
+// Список папок (усіх або вкладених у parentId)
+app.get('/api/folders', async (req, res) => {
+    const userId = req.user.username;
+    const hasParentFilter = req.query.parentId !== undefined;
+    const parentId = normalizeFolderId(req.query.parentId);
+    
+    try {
+        const db = await readDatabase();
+        const folders = (db.folders || []).filter(f => 
+            f.userId === userId && !f.deletedAt && (!hasParentFilter || f.parentId === parentId)
+        );
+        
+        res.json({
+            success: true,
+            folders,
+            count: folders.length
+        });
+    } catch (error) {
+        console.error('❌ Помилка отримання папок:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка отримання папок'
+        });
+    }
+});
+
+// Шлях до папки
+app.get('/api/folders/:folderId/path', async (req, res) => {
+    const userId = req.user.username;
+    const { folderId } = req.params;
+    
+    try {
+        const db = await readDatabase();
+        
+        if (!findUserFolder(db, userId, folderId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Папку не знайдено'
+            });
+        }
+        
+        res.json({
+            success: true,
+            breadcrumbs: buildFolderPath(db, userId, folderId)
+        });
+    } catch (error) {
+        console.error('❌ Помилка отримання шляху папки:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка отримання шляху папки' 
+        });
+    }
+});
+
+// Створення папки
+app.post('/api/folders', async (req, res) => {
+    const userId = req.user.username;
+    const { name } = req.body;
+    const parentId = normalizeFolderId(req.body.parentId);
+    
+    try {
+        await transaction(async db => {
+            db.folders = db.folders || [];
+            
+            if (parentId && !findUserFolder(db, userId, parentId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Батьківську папку не знайдено'
+                });
+            }
+            
+            const nameError = validateFolderName(db, userId, name, parentId);
+            if (nameError) {
+                return res.status(400).json({
+                    success: false,
+                    error: nameError
+                });
+            }
+            
+            const folder = {
+                id: generateId(),
+                userId,
+                name: name.trim(),
+                parentId,
+                createdDate: new Date().toISOString(),
+                modifiedDate: new Date().toISOString()
+            };
+            
+            db.folders.push(folder);
+            await writeDatabase(db);
+            
+            console.log(`📁 Створено папку ${folder.name} для користувача ${userId}`);
+            
+            res.status(201).json({
+                success: true,
+                folder
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка створення папки:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка створення папки'
+        });
+    }
+});
+
+// Перейменування та переміщення папки
+app.patch('/api/folders/:folderId', async (req, res) => {
+    const userId = req.user.username;
+    const { folderId } = req.params;
+    const { name } = req.body;
+    
+    try {
+        await transaction(async db => {
+            const folder = findUserFolder(db, userId, folderId);
+            
+            if (!folder) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Папку не знайдено'
+                });
+            }
+            
+            const parentId = req.body.parentId !== undefined ? normalizeFolderId(req.body.parentId) : folder.parentId;
+            
+            if (parentId && !findUserFolder(db, userId, parentId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Батьківську папку не знайдено'
+                });
+            }
+            
+            // Папку не можна перемістити саму в себе або у власну вкладену папку
+            if (parentId && collectFolderTree(db, userId, folderId).includes(parentId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Неможливо перемістити папку у саму себе'
+                });
+            }
+            
+            const newName = name !== undefined ? name : folder.name;
+            const nameError = validateFolderName(db, userId, newName, parentId, folderId);
+            if (nameError) {
+                return res.status(400).json({
+                    success: false,
+                    error: nameError
+                });
+            }
+            
+            folder.name = newName.trim();
+            folder.parentId = parentId;
+            folder.modifiedDate = new Date().toISOString();
+            await writeDatabase(db);
+            
+            console.log(`📁 Папку ${folder.name} оновлено для користувача ${userId}`);
+            
+            res.json({
+                success: true,
+                folder
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка оновлення папки:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка оновлення папки'
+        });
+    }
+});
+
+// Рекурсивне видалення папки разом із вмістом (переміщення в кошик)
+app.delete('/api/folders/:folderId', async (req, res) => {
+    const userId = req.user.username;
+    const { folderId } = req.params;
+    
+    try {
+        await transaction(async db => {
+            const folder = findUserFolder(db, userId, folderId);
+            
+            if (!folder) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Папку не знайдено'
+                });
+            }
+            
+            const folderIds = new Set(collectFolderTree(db, userId, folderId));
+            const folderFiles = getUserFiles(db, userId).filter(f => folderIds.has(f.folderId));
+            
+            // Усе дерево потрапляє в кошик як один елемент з коренем у цій папці
+            for (const item of [...db.folders.filter(f => f.userId === userId && folderIds.has(f.id)), ...folderFiles]) {
+                markTrashed(item, userId, folderId);
+            }
+            
+            await writeDatabase(db);
+            recordAudit(req, 'folder.delete', {
+                target: { type: 'folder', id: folder.id, name: folder.name, ownerId: userId },
+                details: { trash: true, folders: folderIds.size, fileIds: folderFiles.map(file => file.id) }
+            });
+            
+            console.log(`🗑️ Папку ${folder.name} переміщено в кошик для користувача ${userId}: ${folderIds.size} папок, ${folderFiles.length} файлів`);
+            
+            res.json({
+                success: true,
+                message: 'Папку переміщено в кошик',
+                deletedFolders: folderIds.size,
+                deletedFiles: folderFiles.length
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка видалення папки:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка видалення папки'
+        });
+    }
+});
+
+// Переміщення файлу в іншу папку
+app.patch('/api/files/:fileId', async (req, res) => {
+    const userId = req.user.username;
+    const { fileId } = req.params;
+    
+    if (req.body.folderId === undefined) {
+        return res.status(400).json({
+            success: false,
+            error: 'folderId обов\'язковий'
+        });
+    }
+    
+    const folderId = normalizeFolderId(req.body.folderId);
+    
+    try {
+        await transaction(async db => {
+            const file = findUserFile(db, userId, fileId);
+            
+            if (!file) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Файл не знайдено'
+                });
+            }
+            
+            if (folderId && !findUserFolder(db, userId, folderId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Папку не знайдено'
+                });
+            }
+            
+            file.folderId = folderId;
+            file.modifiedDate = new Date().toISOString();
+            await writeDatabase(db);
+            
+            console.log(`📦 Файл ${file.name} переміщено до ${folderId || 'кореня'} для користувача ${userId}`);
+            
+            res.json({
+                success: true,
+                file
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка переміщення файлу:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка переміщення файлу'
+        });
+    }
+});
+
+// ============ СПІЛЬНИЙ ДОСТУП ============
+
+const SHARE_PERMISSIONS = ['viewer', 'editor'];
+const ACCESS_LEVELS = { viewer: 1, editor: 2, owner: 3 };
+
+// Чи достатньо рівня доступу
+function hasAccessLevel(access, required) {
+    return Boolean(access) && ACCESS_LEVELS[access] >= ACCESS_LEVELS[required];
+}
+
+// Ідентифікатори папки та всіх її батьківських папок
+function getFolderAncestorIds(db, ownerId, folderId) {
+    const ids = [];
+    let current = folderId ? findUserFolder(db, ownerId, folderId) : null;
+    
+    while (current) {
+        ids.push(current.id);
+        current = current.parentId ? findUserFolder(db, ownerId, current.parentId) : null;
+    }
+    
+    return ids;
+}
+
+// Найвищий рівень доступу серед доступів до ресурсів
+function resolveSharedAccess(db, userId, ownerId, resources) {
+    let best = null;
+    
+    for (const share of db.shares || []) {
+        if (share.username !== userId || share.ownerId !== ownerId) continue;
+        
+        const matches = resources.some(r => r.type === share.resourceType && r.id === share.resourceId);
+        if (matches && (!best || ACCESS_LEVELS[share.permission] > ACCESS_LEVELS[best])) {
+            best = share.permission;
+        }
+    }
+    
+    return best;
+}
+
+// Рівень доступу до файлу: 'owner', 'editor', 'viewer' або null
+function getFileAccess(db, userId, file) {
+    if (!file || file.deletedAt) return null;
+    if (file.userId === userId) return 'owner';
+    
+    const resources = [
+        { type: 'file', id: file.id },
+        ...getFolderAncestorIds(db, file.userId, file.folderId).map(id => ({ type: 'folder', id }))
+    ];
+    return resolveSharedAccess(db, userId, file.userId, resources);
+}
+
+// Рівень доступу до папки (доступ до батьківської папки поширюється на вкладені)
+function getFolderAccess(db, userId, folder) {
+    if (!folder || folder.deletedAt) return null;
+    if (folder.userId === userId) return 'owner';
+    
+    const resources = getFolderAncestorIds(db, folder.userId, folder.id).map(id => ({ type: 'folder', id }));
+    return resolveSharedAccess(db, userId, folder.userId, resources);
+}
+
+// Файл, до якого користувач має хоча б перегляд (власний або спільний)
+function findAccessibleFile(db, userId, fileId) {
+    return lookupIndexed(db.files, 'id', fileId).find(f => getFileAccess(db, userId, f));
+}
+
+// Пошук ресурсу власника для керування доступом
+function findShareResource(db, userId, resourceType, resourceId) {
+    return resourceType === 'file' 
+        ? findUserFile(db, userId, resourceId) 
+        : findUserFolder(db, userId, resourceId);
+}
+
+// Список доступів до ресурсу
+async function listResourceShares(req, res, resourceType, resourceId) {
+    const userId = req.user.username;
+    const db = await readDatabase();
+    
+    if (!findShareResource(db, userId, resourceType, resourceId)) {
+        return res.status(404).json({
+            success: false,
+            error: resourceType === 'file' ? 'Файл не знайдено' : 'Папку не знайдено'
+        });
+    }
+    
+    const shares = (db.shares || []).filter(s => 
+        s.ownerId === userId && s.resourceType === resourceType && s.resourceId === resourceId
+    );
+    
+    res.json({
+        success: true,
+        shares,
+        count: shares.length
+    });
+}
+
+// Надання або зміна доступу до ресурсу
+async function grantResourceShare(req, res, resourceType, resourceId) {
+    const userId = req.user.username;
+    const { username, permission = 'viewer' } = req.body;
+    
+    if (!username) {
+        return res.status(400).json({
+            success: false,
+            error: 'username обов\'язковий'
+        });
+    }
+    
+    if (!SHARE_PERMISSIONS.includes(permission)) {
+        return res.status(400).json({
+            success: false,
+            error: `Невідомий рівень доступу. Доступні: ${SHARE_PERMISSIONS.join(', ')}`
+        });
+    }
+    
+    try {
+        await transaction(async db => {
+            const resource = findShareResource(db, userId, resourceType, resourceId);
+            
+            if (!resource) {
+                return res.status(404).json({
+                    success: false,
+                    error: resourceType === 'file' ? 'Файл не знайдено' : 'Папку не знайдено'
+                });
+            }
+            
+            if (username === userId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Неможливо надати доступ самому собі'
+                });
+            }
+            
+            if (!db.users.some(u => u.username === username)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Користувача не знайдено'
+                });
+            }
+            
+            db.shares = db.shares || [];
+            let share = db.shares.find(s => 
+                s.ownerId === userId && s.resourceType === resourceType && s.resourceId === resourceId && s.username === username
+            );
+            
+            if (share) {
+                share.permission = permission;
+                share.modifiedDate = new Date().toISOString();
+            } else {
+                share = {
+                    id: generateId(),
+                    resourceType,
+                    resourceId,
+                    ownerId: userId,
+                    username,
+                    permission,
+                    createdDate: new Date().toISOString()
+                };
+                db.shares.push(share);
+            }
+            
+            await writeDatabase(db);
+            
+            console.log(`🤝 ${userId} надав доступ "${permission}" до ${resource.name} користувачу ${username}`);
+            
+            res.json({
+                success: true,
+                share
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка надання доступу:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка надання доступу'
+        });
+    }
+}
+
+// Відкликання доступу до ресурсу
+async function revokeResourceShare(req, res, resourceType, resourceId) {
+    const userId = req.user.username;
+    const { username } = req.params;
+    
+    try {
+        await transaction(async db => {
+            const before = (db.shares || []).length;
+            
+            db.shares = (db.shares || []).filter(s => !(
+                s.ownerId === userId && s.resourceType === resourceType && s.resourceId === resourceId && s.username === username
+            ));
+            
+            if (db.shares.length === before) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Доступ не знайдено'
+                });
+            }
+            
+            await writeDatabase(db);
+            
+            console.log(`🚫 ${userId} відкликав доступ користувача ${username} до ${resourceType} ${resourceId}`);
+            
+            res.json({
+                success: true,
+                message: 'Доступ відкликано'
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка відкликання доступу:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка відкликання доступу'
+        });
+    }
+}
+
+// Доступи до файлу
+app.get('/api/files/:fileId/shares', (req, res) => listResourceShares(req, res, 'file', req.params.fileId));
+app.post('/api/files/:fileId/shares', (req, res) => grantResourceShare(req, res, 'file', req.params.fileId));
+app.delete('/api/files/:fileId/shares/:username', (req, res) => revokeResourceShare(req, res, 'file', req.params.fileId));
+
+// Доступи до папки
+app.get('/api/folders/:folderId/shares', (req, res) => listResourceShares(req, res, 'folder', req.params.folderId));
+app.post('/api/folders/:folderId/shares', (req, res) => grantResourceShare(req, res, 'folder', req.params.folderId));
+app.delete('/api/folders/:folderId/shares/:username', (req, res) => revokeResourceShare(req, res, 'folder', req.params.folderId));
+
+// Файли та папки, до яких користувачу надали доступ
+app.get('/api/shared', async (req, res) => {
+    const userId = req.user.username;
+    
+    try {
+        const db = await readDatabase();
+        
+        const files = db.files
+            .filter(f => f.userId !== userId)
+            .map(f => ({ file: f, access: getFileAccess(db, userId, f) }))
+            .filter(entry => entry.access)
+            .map(({ file, access }) => ({
+                id: file.id,
+                name: file.name,
+                type: file.type,
+                size: file.size,
+                uploader: file.uploader,
+                owner: file.userId,
+                folderId: file.folderId || null,
+                version: file.version || 1,
+                createdDate: file.createdDate,
+                modifiedDate: file.modifiedDate,
+                access
+            }));
+        
+        const folders = (db.folders || [])
+            .filter(f => f.userId !== userId)
+            .map(f => ({ folder: f, access: getFolderAccess(db, userId, f) }))
+            .filter(entry => entry.access)
+            .map(({ folder, access }) => ({
+                ...folder,
+                owner: folder.userId,
+                access
+            }));
+        
+        console.log(`🤝 Спільні ресурси для ${userId}: ${files.length} файлів, ${folders.length} папок`);
+        
+        res.json({
+            success: true,
+            files,
+            folders,
+            count: files.length
+        });
+    } catch (error) {
+        console.error('❌ Помилка отримання спільних файлів:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка отримання спільних файлів'
+        });
+    }
+});
+
+// ============ ПУБЛІЧНІ ПОСИЛАННЯ ============
+
+const LINK_TOKEN_BYTES = 24;
+// Невдалі спроби пароля посилання з однієї адреси до тимчасового блокування
+const LINK_PASSWORD_MAX_ATTEMPTS = 5;
+const LINK_PASSWORD_WINDOW_MS = 15 * 60 * 1000;
+const LINK_PASSWORD_TRACKED_MAX = 10000;
+
+// Лічильники невдалих спроб: "id посилання|IP" → { count, resetAt }
+const linkPasswordAttempts = new Map();
+
+// Скільки секунд лишилось до зняття блокування (0 - спроби дозволені)
+function getLinkPasswordLockout(key) {
+    const attempts = linkPasswordAttempts.get(key);
+    if (!attempts) return 0;
+    
+    if (attempts.resetAt <= Date.now()) {
+        linkPasswordAttempts.delete(key);
+        return 0;
+    }
+    return attempts.count >= LINK_PASSWORD_MAX_ATTEMPTS ? Math.ceil((attempts.resetAt - Date.now()) / 1000) : 0;
+}
+
+// Облік невдалої спроби; прострочені лічильники прибираються, щоб Map не росла безмежно
+function recordLinkPasswordFailure(key) {
+    const now = Date.now();
+    if (linkPasswordAttempts.size >= LINK_PASSWORD_TRACKED_MAX) {
+        for (const [trackedKey, attempts] of linkPasswordAttempts) {
+            if (attempts.resetAt <= now) linkPasswordAttempts.delete(trackedKey);
+        }
+    }
+    
+    const attempts = linkPasswordAttempts.get(key);
+    if (!attempts || attempts.resetAt <= now) {
+        linkPasswordAttempts.set(key, { count: 1, resetAt: now + LINK_PASSWORD_WINDOW_MS });
+    } else {
+        attempts.count += 1;
+    }
+}
+
+// Стан посилання: null якщо активне, інакше причина недоступності
+function getLinkInactiveReason(link) {
+    if (link.expiresAt && new Date(link.expiresAt) <= new Date()) {
+        return 'Термін дії посилання минув';
+    }
+    if (link.maxDownloads && link.downloadCount >= link.maxDownloads) {
+        return 'Ліміт завантажень вичерпано';
+    }
+    return null;
+}
+
+// Публічне представлення посилання (без хешів токена та пароля)
+function publicLink(link, file) {
+    return {
+        id: link.id,
+        fileId: link.fileId,
+        fileName: file ? file.name : null,
+        createdDate: link.createdDate,
+        expiresAt: link.expiresAt,
+        maxDownloads: link.maxDownloads,
+        downloadCount: link.downloadCount,
+        hasPassword: Boolean(link.passwordHash),
+        active: !getLinkInactiveReason(link)
+    };
+}
+
+// Створення публічного посилання на файл
+app.post('/api/files/:fileId/links', async (req, res) => {
+    const userId = req.user.username;
+    const { fileId } = req.params;
+    const { expiresAt, password, maxDownloads } = req.body;
+    
+    let expiryDate = null;
+    if (expiresAt) {
+        expiryDate = new Date(expiresAt);
+        if (isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                error: 'expiresAt має бути датою в майбутньому'
+            });
+        }
+    }
+    
+    if (maxDownloads !== undefined && maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+        return res.status(400).json({
+            success: false,
+            error: 'maxDownloads має бути додатнім цілим числом'
+        });
+    }
+    
+    try {
+        const passwordHash = password ? await hashPassword(password) : null;
+        
+        await transaction(async db => {
+            const file = findUserFile(db, userId, fileId);
+            
+            if (!file) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Файл не знайдено'
+                });
+            }
+            
+            const token = crypto.randomBytes(LINK_TOKEN_BYTES).toString('base64url');
+            const link = {
+                id: generateId(),
+                tokenHash: hashToken(token),
+                fileId,
+                ownerId: userId,
+                createdDate: new Date().toISOString(),
+                expiresAt: expiryDate ? expiryDate.toISOString() : null,
+                passwordHash,
+                maxDownloads: maxDownloads || null,
+                downloadCount: 0
+            };
+            
+            db.links = db.links || [];
+            db.links.push(link);
+            await writeDatabase(db);
+            
+            console.log(`🔗 ${userId} створив публічне посилання на ${file.name}`);
+            
+            // Токен повертається лише один раз — у базі зберігається тільки його хеш
+            res.status(201).json({
+                success: true,
+                link: publicLink(link, file),
+                token,
+                url: `${req.protocol}://${req.get('host')}/api/public/${token}`
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка створення посилання:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка створення посилання'
+        });
+    }
+});
+
+// Активні посилання користувача
+app.get('/api/links', async (req, res) => {
+    const userId = req.user.username;
+    
+    try {
+        const db = await readDatabase();
+        const links = (db.links || [])
+            .filter(l => l.ownerId === userId && !getLinkInactiveReason(l))
+            .map(l => ({ link: l, file: findUserFile(db, userId, l.fileId) }))
+            .filter(entry => entry.file)
+            .map(({ link, file }) => publicLink(link, file));
+        
+        res.json({
+            success: true,
+            links,
+            count: links.length
+        });
+    } catch (error) {
+        console.error('❌ Помилка отримання посилань:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка отримання посилань'
+        });
+    }
+});
+
+// Відкликання посилання
+app.delete('/api/links/:linkId', async (req, res) => {
+    const userId = req.user.username;
+    const { linkId } = req.params;
+    
+    try {
+        await transaction(async db => {
+            const before = (db.links || []).length;
+            db.links = (db.links || []).filter(l => !(l.id === linkId && l.ownerId === userId));
+            
+            if (db.links.length === before) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Посилання не знайдено'
+                });
+            }
+            
+            await writeDatabase(db);
+            
+            console.log(`🚫 ${userId} відкликав посилання ${linkId}`);
+            
+            res.json({
+                success: true,
+                message: 'Посилання відкликано'
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка відкликання посилання:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка відкликання посилання'
+        });
+    }
+});
+
+// Пошук активного посилання та файлу за токеном; { status, error }, якщо воно недоступне
+function resolvePublicLink(db, token) {
+    const link = (db.links || []).find(l => l.tokenHash === hashToken(token));
+    const file = link && findUserFile(db, link.ownerId, link.fileId);
+    
+    if (!link || !file) {
+        return { status: 404, error: 'Посилання не знайдено' };
+    }
+    
+    const inactiveReason = getLinkInactiveReason(link);
+    if (inactiveReason) {
+        return { status: 410, error: inactiveReason };
+    }
+    
+    return { link, file };
+}
+
+// Інформація про файл за публічним посиланням (без авторизації)
+app.get('/api/public/:token/info', async (req, res) => {
+    try {
+        const db = await readDatabase();
+        const resolved = resolvePublicLink(db, req.params.token);
+        if (resolved.error) {
+            return res.status(resolved.status).json({ 
+                success: false, 
+                error: resolved.error 
+            });
+        }
+        
+        const { link, file } = resolved;
+        res.json({
+            success: true,
+            file: {
+                name: file.name,
+                type: file.type,
+                size: file.size
+            },
+            expiresAt: link.expiresAt,
+            requiresPassword: Boolean(link.passwordHash),
+            downloadsLeft: link.maxDownloads ? link.maxDownloads - link.downloadCount : null
         });
-    }
-    
-    // Валідація типу файлу
-    const allowedExtensions = ['.js', '.png'];
-    const ext = '.' + name.split('.').pop().toLowerCase();
-    
-    if (!allowedExtensions.includes(ext)) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'Непідтримуваний тип файлу. Дозволені: .js, .png' 
+    } catch (error) {
+        console.error('❌ Помилка читання посилання:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка читання посилання'
         });
     }
-    
+});
+
+// Завантаження файлу за публічним посиланням (без авторизації).
+// Пароль передається лише заголовком X-Link-Password, щоб не потрапляти в журнали та історію
+app.get('/api/public/:token', async (req, res) => {
     try {
         const db = await readDatabase();
+        const resolved = resolvePublicLink(db, req.params.token);
+        if (resolved.error) {
+            return res.status(resolved.status).json({ 
+                success: false, 
+                error: resolved.error 
+            });
+        }
         
-        // Перевіряємо, чи файл вже існує
-        const existingFileIndex = db.files.findIndex(f => f.id === id && f.userId === userId);
-        
-        const fileId = id || `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        const fileName = await saveFileToDisk(fileId, data, type);
-        
-        const fileMetadata = {
-            id: fileId,
-            userId,
-            name,
-            type: type || 'application/octet-stream',
-            size: size || data.length,
-            uploader: uploader || 'Unknown',
-            fileName,
-            createdDate: existingFileIndex !== -1 ? db.files[existingFileIndex].createdDate : new Date().toISOString(),
-            modifiedDate: new Date().toISOString()
-        };
+        const { link, file } = resolved;
         
-        if (existingFileIndex !== -1) {
-            // Оновлюємо існуючий файл
-            const oldFileName = db.files[existingFileIndex].fileName;
-            
-            // Видаляємо старий файл якщо він інший
-            if (oldFileName !== fileName) {
-                await deleteFileFromDisk(oldFileName);
+        if (link.passwordHash) {
+            const password = req.get('X-Link-Password');
+            const attemptsKey = `${link.id}|${req.ip}`;
+            const lockout = getLinkPasswordLockout(attemptsKey);
+            if (lockout) {
+                res.setHeader('Retry-After', String(lockout));
+                return res.status(429).json({
+                    success: false,
+                    error: 'Забагато невдалих спроб пароля, спробуйте пізніше'
+                });
             }
             
-            db.files[existingFileIndex] = fileMetadata;
-            console.log(`🔄 Файл ${name} оновлено для користувача ${userId}`);
-        } else {
-            // Додаємо новий файл
-            db.files.push(fileMetadata);
-            console.log(`✅ Новий файл ${name} додано для користувача ${userId}`);
+            if (!password || !(await verifyPassword(password, link.passwordHash))) {
+                if (password) recordLinkPasswordFailure(attemptsKey);
+                return res.status(401).json({
+                    success: false,
+                    error: password ? 'Невірний пароль' : 'Посилання захищене паролем'
+                });
+            }
+            linkPasswordAttempts.delete(attemptsKey);
         }
         
-        await writeDatabase(db);
-        
-        res.json({ 
-            success: true, 
-            message: 'Файл успішно завантажено',
-            file: fileMetadata
+        // Лічильник оновлюємо в транзакції, щоб паралельні завантаження не перевищили ліміт.
+        // HEAD і докачування частинами завантаженням не вважаються
+        const countDownload = () => transaction(async db => {
+            const current = resolvePublicLink(db, req.params.token);
+            if (current.error) return current;
+            
+            current.link.downloadCount += 1;
+            current.link.lastDownloadDate = new Date().toISOString();
+            await writeDatabase(db);
+            
+            console.log(`🌐 Завантаження ${file.name} за публічним посиланням (${current.link.downloadCount}${link.maxDownloads ? '/' + link.maxDownloads : ''})`);
+            return null;
         });
+        
+        await sendFileContent(req, res, file, 'attachment', { linkId: link.id }, countDownload);
     } catch (error) {
-        console.error('❌ Помилка завантаження файлу:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Помилка сервера при завантаженні файлу' 
+        console.error('❌ Помилка завантаження за посиланням:', error);
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({
+            success: false,
+            error: 'Помилка завантаження файлу'
         });
     }
 });
 
-// Видалення файлу
-app.delete('/api/files/:fileId', async (req, res) => {
-    const { fileId } = req.params;
-    const { userId } = req.query;
+// ============ КОШИК ============
+
+// Позначення файлу чи папки як видаленої; trashRootId групує елементи, видалені разом
+function markTrashed(item, userId, trashRootId) {
+    item.deletedAt = new Date().toISOString();
+    item.deletedBy = userId;
+    item.trashRootId = trashRootId;
+}
+
+function clearTrashed(item) {
+    delete item.deletedAt;
+    delete item.deletedBy;
+    delete item.trashRootId;
+}
+
+// Дата автоматичного видалення елемента кошика
+function trashExpiryDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Елементи кошика верхнього рівня (окремі файли та видалені папки)
+function listTrashItems(db, userId) {
+    const items = [];
     
-    if (!userId) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'userId обов\'язковий' 
+    for (const folder of db.folders || []) {
+        if (folder.userId !== userId || !folder.deletedAt || folder.trashRootId !== folder.id) continue;
+        
+        const files = db.files.filter(f => f.userId === userId && f.trashRootId === folder.id);
+        items.push({
+            kind: 'folder',
+            id: folder.id,
+            name: folder.name,
+            parentId: folder.parentId,
+            filesCount: files.length,
+            foldersCount: db.folders.filter(f => f.userId === userId && f.trashRootId === folder.id).length,
+            size: files.reduce((sum, f) => sum + (f.size || 0), 0),
+            deletedAt: folder.deletedAt,
+            deletedBy: folder.deletedBy,
+            expiresAt: trashExpiryDate(folder.deletedAt)
         });
     }
     
-    const db = await readDatabase();
-    const fileIndex = db.files.findIndex(f => f.id === fileId && f.userId === userId);
-    
-    if (fileIndex === -1) {
-        console.log(`❌ Файл для видалення не знайдено: ${fileId}`);
-        return res.status(404).json({ 
-            success: false, 
-            error: 'Файл не знайдено' 
+    for (const file of db.files) {
+        if (file.userId !== userId || !file.deletedAt || file.trashRootId !== file.id) continue;
+        
+        items.push({
+            kind: 'file',
+            id: file.id,
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            folderId: file.folderId || null,
+            deletedAt: file.deletedAt,
+            deletedBy: file.deletedBy,
+            expiresAt: trashExpiryDate(file.deletedAt)
         });
     }
     
-    try {
-        // Видаляємо файл з диску
-        const fileName = db.files[fileIndex].fileName;
-        const deleted = await deleteFileFromDisk(fileName);
-        
-        if (!deleted) {
-            console.log(`⚠️ Файл ${fileName} не знайдено на диску, але буде видалено з БД`);
+    return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// Ідентифікатори файлів, що лежать у кошику в складі елемента (для журналу аудиту)
+function getTrashItemFileIds(db, userId, rootId) {
+    return db.files.filter(f => f.userId === userId && f.deletedAt && f.trashRootId === rootId).map(f => f.id);
+}
+
+// Відновлення елемента кошика разом з усім, що було видалено з ним
+function restoreTrashItem(db, userId, rootId) {
+    const folders = (db.folders || []).filter(f => f.userId === userId && f.deletedAt && f.trashRootId === rootId);
+    const files = db.files.filter(f => f.userId === userId && f.deletedAt && f.trashRootId === rootId);
+    const rootFolder = folders.find(f => f.id === rootId);
+    const root = rootFolder || files.find(f => f.id === rootId);
+    
+    if (!root) return null;
+    
+    if (rootFolder) {
+        // Батьківська папка могла зникнути - тоді відновлюємо в корінь
+        if (root.parentId && !findUserFolder(db, userId, root.parentId)) {
+            root.parentId = null;
         }
         
-        const deletedFile = db.files[fileIndex];
-        
-        // Видаляємо метадані з БД
-        db.files.splice(fileIndex, 1);
-        await writeDatabase(db);
-        
-        console.log(`🗑️ Файл ${deletedFile.name} видалено для користувача ${userId}`);
-        
-        res.json({ 
-            success: true, 
-            message: 'Файл успішно видалено' 
-        });
-    } catch (error) {
-        console.error('❌ Помилка видалення файлу:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Помилка видалення файлу' 
-        });
+        let name = root.name;
+        for (let n = 1; validateFolderName(db, userId, name, root.parentId, root.id); n++) {
+            name = `${root.name} (відновлено${n > 1 ? ' ' + n : ''})`;
+        }
+        root.name = name;
+    } else if (root.folderId && !findUserFolder(db, userId, root.folderId)) {
+        root.folderId = null;
     }
-});
+    
+    [...folders, ...files].forEach(clearTrashed);
+    return root;
+}
 
-// Синхронізація - отримання повної інформації про файли
-app.post('/api/sync', async (req, res) => {
-    const { userId, localFileIds } = req.body;
+// Остаточне видалення елемента кошика
+async function purgeTrashItem(db, userId, rootId) {
+    const isInItem = item => item.userId === userId && item.deletedAt && item.trashRootId === rootId;
+    const files = db.files.filter(isInItem);
     
-    if (!userId) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'userId обов\'язковий' 
-        });
+    for (const file of files) {
+        await purgeFileData(db, file);
     }
     
-    try {
-        const db = await readDatabase();
-        const userFiles = db.files.filter(f => f.userId === userId);
+    const folders = (db.folders || []).filter(isInItem);
+    db.files = db.files.filter(f => !isInItem(f));
+    db.folders = (db.folders || []).filter(f => !isInItem(f));
+    
+    // Доступи до видалених ресурсів більше не потрібні
+    const purgedIds = new Set([...files, ...folders].map(item => item.id));
+    db.shares = (db.shares || []).filter(s => !(s.ownerId === userId && purgedIds.has(s.resourceId)));
+    db.links = (db.links || []).filter(l => !(l.ownerId === userId && purgedIds.has(l.fileId)));
+    
+    return files.length + folders.length;
+}
+
+// Фонове видалення елементів, що пролежали в кошику довше за TRASH_RETENTION_DAYS
+async function purgeExpiredTrash() {
+    await transaction(async db => {
+        const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
         
-        // Отримуємо повну інформацію про файли з вмістом
-        const filesWithData = await Promise.all(
-            userFiles.map(async (file) => {
-                try {
-                    const data = await readFileFromDisk(file.fileName, file.type);
-                    return { ...file, data };
-                } catch (error) {
-                    console.error(`❌ Помилка читання файлу ${file.name}:`, error);
-                    return null;
-                }
-            })
-        );
+        const expiredRoots = [...db.files, ...(db.folders || [])]
+            .filter(item => item.deletedAt && item.trashRootId === item.id && item.deletedAt < cutoff);
+        
+        if (expiredRoots.length === 0) return;
         
-        const validFiles = filesWithData.filter(f => f !== null);
+        let purged = 0;
+        const fileIds = [];
+        for (const root of expiredRoots) {
+            fileIds.push(...getTrashItemFileIds(db, root.userId, root.id));
+            purged += await purgeTrashItem(db, root.userId, root.id);
+        }
         
-        console.log(`🔄 Синхронізація для користувача ${userId}: ${validFiles.length} файлів`);
+        await writeDatabase(db);
+        recordAudit(null, 'trash.purge', { actor: 'system', details: { expired: true, count: purged, fileIds } });
+        console.log(`🧹 Автоочищення кошика: видалено ${purged} елемент(ів)`);
+    });
+}
+
+// Вміст кошика
+app.get('/api/trash', async (req, res) => {
+    const userId = req.user.username;
+    
+    try {
+        const db = await readDatabase();
+        const items = listTrashItems(db, userId);
         
         res.json({
             success: true,
-            files: validFiles,
-            localFileIds: localFileIds || []
+            items,
+            count: items.length,
+            retentionDays: TRASH_RETENTION_DAYS
         });
     } catch (error) {
-        console.error('❌ Помилка синхронізації:', error);
+        console.error('❌ Помилка отримання кошика:', error);
         res.status(500).json({
             success: false,
-            error: 'Помилка синхронізації'
+            error: 'Помилка отримання кошика'
         });
     }
 });
 
-// Статистика
-app.get('/api/stats', async (req, res) => {
-    const { userId } = req.query;
+// Відновлення елемента з кошика
+app.post('/api/trash/:itemId/restore', async (req, res) => {
+    const userId = req.user.username;
+    const { itemId } = req.params;
     
     try {
-        const db = await readDatabase();
-        const userFiles = userId ? db.files.filter(f => f.userId === userId) : db.files;
-        
-        const stats = {
-            totalFiles: userFiles.length,
-            totalSize: userFiles.reduce((sum, f) => sum + (f.size || 0), 0),
-            fileTypes: {},
-            uploadsByUser: {}
-        };
-        
-        userFiles.forEach(file => {
-            const ext = '.' + file.name.split('.').pop().toLowerCase();
-            stats.fileTypes[ext] = (stats.fileTypes[ext] || 0) + 1;
-            stats.uploadsByUser[file.uploader] = (stats.uploadsByUser[file.uploader] || 0) + 1;
-        });
-        
-        console.log(`📊 Статистика запитана для ${userId || 'всіх користувачів'}`);
-        
-        res.json({
-            success: true,
-            stats
+        await transaction(async db => {
+            const fileIds = getTrashItemFileIds(db, userId, itemId);
+            const restored = restoreTrashItem(db, userId, itemId);
+            
+            if (!restored) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Елемент кошика не знайдено'
+                });
+            }
+            
+            await writeDatabase(db);
+            recordAudit(req, 'trash.restore', {
+                target: { type: fileIds.includes(restored.id) ? 'file' : 'folder', id: restored.id, name: restored.name, ownerId: userId },
+                details: { fileIds }
+            });
+            
+            console.log(`♻️ ${restored.name} відновлено з кошика для користувача ${userId}`);
+            
+            res.json({
+                success: true,
+                message: 'Елемент відновлено',
+                item: restored
+            });
         });
     } catch (error) {
-        console.error('❌ Помилка отримання статистики:', error);
+        console.error('❌ Помилка відновлення з кошика:', error);
         res.status(500).json({
             success: false,
-            error: 'Помилка отримання статистики'
+            error: 'Помилка відновлення з кошика'
         });
     }
 });
 
-// Масове завантаження файлів
-app.post('/api/files/bulk', async (req, res) => {
-    const { userId, files } = req.body;
-    
-    if (!userId || !files || !Array.isArray(files)) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'Відсутні обов\'язкові поля або невірний формат' 
-        });
-    }
+// Остаточне видалення одного елемента кошика
+app.delete('/api/trash/:itemId', async (req, res) => {
+    const userId = req.user.username;
+    const { itemId } = req.params;
     
-    const results = [];
-    const db = await readDatabase();
-    
-    for (const file of files) {
-        try {
-            const { id, name, type, size, uploader, data } = file;
+    try {
+        await transaction(async db => {
+            const fileIds = getTrashItemFileIds(db, userId, itemId);
+            const purged = await purgeTrashItem(db, userId, itemId);
             
-            // Валідація
-            const ext = '.' + name.split('.').pop().toLowerCase();
-            if (!['.js', '.png'].includes(ext)) {
-                results.push({ success: false, name, error: 'Непідтримуваний тип' });
-                continue;
+            if (purged === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Елемент кошика не знайдено'
+                });
             }
             
-            const fileId = id || `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-            const fileName = await saveFileToDisk(fileId, data, type);
-            
-            const fileMetadata = {
-                id: fileId,
-                userId,
-                name,
-                type: type || 'application/octet-stream',
-                size: size || data.length,
-                uploader: uploader || 'Unknown',
-                fileName,
-                createdDate: new Date().toISOString(),
-                modifiedDate: new Date().toISOString()
-            };
-            
-            const existingIndex = db.files.findIndex(f => f.id === fileId && f.userId === userId);
+            await writeDatabase(db);
+            recordAudit(req, 'trash.purge', {
+                target: { type: 'trash', id: itemId, ownerId: userId },
+                details: { count: purged, fileIds }
+            });
             
-            if (existingIndex !== -1) {
-                db.files[existingIndex] = fileMetadata;
-            } else {
-                db.files.push(fileMetadata);
-            }
+            console.log(`🔥 Елемент ${itemId} остаточно видалено для користувача ${userId}`);
             
-            results.push({ success: true, name, id: fileId });
-        } catch (error) {
-            results.push({ success: false, name: file.name, error: error.message });
-        }
+            res.json({
+                success: true,
+                message: 'Елемент остаточно видалено',
+                deletedCount: purged
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка видалення з кошика:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка видалення з кошика'
+        });
     }
-    
-    await writeDatabase(db);
-    
-    const successCount = results.filter(r => r.success).length;
-    console.log(`📦 Масове завантаження для ${userId}: ${successCount}/${files.length} успішно`);
-    
-    res.json({
-        success: true,
-        results,
-        totalProcessed: files.length,
-        successCount
-    });
 });
 
-// Очищення файлів користувача
-app.delete('/api/files', async (req, res) => {
-    const { userId } = req.query;
+// Очищення кошика
+app.delete('/api/trash', async (req, res) => {
+    const userId = req.user.username;
     
-    if (!userId) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'userId обов\'язковий' 
+    try {
+        await transaction(async db => {
+            const items = listTrashItems(db, userId);
+            
+            let purged = 0;
+            const fileIds = [];
+            for (const item of items) {
+                fileIds.push(...getTrashItemFileIds(db, userId, item.id));
+                purged += await purgeTrashItem(db, userId, item.id);
+            }
+            
+            await writeDatabase(db);
+            recordAudit(req, 'trash.empty', {
+                target: { type: 'user', id: userId },
+                details: { count: purged, fileIds }
+            });
+            
+            console.log(`🔥 Кошик очищено для користувача ${userId}: ${purged} елемент(ів)`);
+            
+            res.json({
+                success: true,
+                message: 'Кошик очищено',
+                deletedCount: purged
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка очищення кошика:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка очищення кошика'
         });
     }
+});
+
+// ============ ІСТОРІЯ ВЕРСІЙ ============
+
+// Публічне представлення ревізії
+function publicRevision(revision) {
+    return {
+        id: revision.id,
+        fileId: revision.fileId,
+        version: revision.version,
+        name: revision.name,
+        type: revision.type,
+        size: revision.size,
+        author: revision.author,
+        uploader: revision.uploader,
+        createdDate: revision.createdDate,
+        archivedDate: revision.archivedDate
+    };
+}
+
+// Список ревізій файлу
+app.get('/api/files/:fileId/revisions', async (req, res) => {
+    const userId = req.user.username;
+    const { fileId } = req.params;
     
     try {
         const db = await readDatabase();
-        const userFiles = db.files.filter(f => f.userId === userId);
+        const file = findAccessibleFile(db, userId, fileId);
         
-        // Видаляємо файли з диску
-        for (const file of userFiles) {
-            await deleteFileFromDisk(file.fileName);
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                error: 'Файл не знайдено'
+            });
         }
         
-        // Видаляємо метадані з БД
-        db.files = db.files.filter(f => f.userId !== userId);
-        await writeDatabase(db);
-        
-        console.log(`🗑️ Очищено всі файли для користувача ${userId}: ${userFiles.length} файлів`);
+        const revisions = (db.revisions || [])
+            .filter(r => r.fileId === fileId && r.userId === file.userId)
+            .sort((a, b) => b.archivedDate.localeCompare(a.archivedDate))
+            .map(publicRevision);
         
         res.json({
             success: true,
-            message: 'Всі файли успішно видалено',
-            deletedCount: userFiles.length
+            current: {
+                version: file.version || 1,
+                size: file.size,
+                author: file.modifiedBy || file.userId,
+                modifiedDate: file.modifiedDate
+            },
+            revisions,
+            count: revisions.length,
+            retention: {
+                keepLast: REVISION_KEEP_LAST,
+                keepDays: REVISION_KEEP_DAYS
+            }
         });
     } catch (error) {
-        console.error('❌ Помилка очищення файлів:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Помилка очищення файлів'
+        console.error('❌ Помилка отримання ревізій:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Помилка отримання ревізій' 
         });
     }
 });
 
-// Пошук файлів
-app.get('/api/files/search', async (req, res) => {
-    const { userId, query } = req.query;
-    
-    if (!userId || !query) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'userId та query обов\'язкові' 
-        });
-    }
+// Отримання конкретної ревізії з вмістом
+app.get('/api/files/:fileId/revisions/:revisionId', async (req, res) => {
+    const userId = req.user.username;
+    const { fileId, revisionId } = req.params;
     
     try {
         const db = await readDatabase();
-        const userFiles = db.files.filter(f => f.userId === userId);
-        
-        const lowerQuery = query.toLowerCase();
-        const searchResults = userFiles.filter(file =>
-            file.name.toLowerCase().includes(lowerQuery) ||
-            file.uploader.toLowerCase().includes(lowerQuery) ||
-            file.type.toLowerCase().includes(lowerQuery)
+        const file = findAccessibleFile(db, userId, fileId);
+        const revision = file && (db.revisions || []).find(r => 
+            r.id === revisionId && r.fileId === fileId && r.userId === file.userId
         );
         
-        console.log(`🔍 Пошук "${query}" для ${userId}: знайдено ${searchResults.length} файлів`);
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                error: 'Ревізію не знайдено'
+            });
+        }
+        
+        const data = await readFileFromDisk(revision.fileName, revision.type);
+        
+        console.log(`📥 Ревізію ${revision.version} файлу ${revision.name} завантажено для користувача ${userId}`);
         
         res.json({
             success: true,
-            files: searchResults,
-            count: searchResults.length,
-            query
+            revision: {
+                ...publicRevision(revision),
+                data
+            }
         });
     } catch (error) {
-        console.error('❌ Помилка пошуку:', error);
+        console.error(`❌ Помилка читання ревізії ${revisionId}:`, error);
         res.status(500).json({
             success: false,
-            error: 'Помилка пошуку'
+            error: 'Помилка читання ревізії'
         });
     }
 });
 
-// Експорт списку файлів
-app.get('/api/export', async (req, res) => {
-    const { userId, format } = req.query;
-    
-    if (!userId) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'userId обов\'язковий' 
-        });
-    }
+// Відновлення ревізії як поточної версії (поточний вміст стає новою ревізією)
+app.post('/api/files/:fileId/revisions/:revisionId/restore', async (req, res) => {
+    const userId = req.user.username;
+    const { fileId, revisionId } = req.params;
     
     try {
-        const db = await readDatabase();
-        const userFiles = db.files.filter(f => f.userId === userId);
-        
-        if (format === 'csv') {
-            // Експорт у CSV
-            const csvHeader = 'ID,Name,Type,Size,Uploader,Created,Modified\n';
-            const csvRows = userFiles.map(f => 
-                `${f.id},${f.name},${f.type},${f.size},${f.uploader},${f.createdDate},${f.modifiedDate}`
-            ).join('\n');
+        await transaction(async db => {
+            const file = findAccessibleFile(db, userId, fileId);
+            const fileIndex = db.files.indexOf(file);
+            const revision = file && (db.revisions || []).find(r => 
+                r.id === revisionId && r.fileId === fileId && r.userId === file.userId
+            );
+            
+            if (!revision) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Ревізію не знайдено'
+                });
+            }
+            
+            if (!hasAccessLevel(getFileAccess(db, userId, file), 'editor')) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Немає прав на зміну цього файлу'
+                });
+            }
+            
+            if (!await fileExists(revision.fileName)) {
+                return res.status(410).json({
+                    success: false,
+                    error: 'Вміст ревізії відсутній на диску'
+                });
+            }
+            
+            // Спершу беремо посилання на блоб: під час архівації політика зберігання може видалити цю ревізію
+            retainBlob(db, revision.hash, revision.size);
+            await archiveFileRevision(db, file);
+            
+            db.files[fileIndex] = {
+                ...file,
+                name: revision.name,
+                type: revision.type,
+                size: revision.size,
+                hash: revision.hash,
+                fileName: revision.fileName,
+                version: (file.version || 1) + 1,
+                modifiedBy: userId,
+                restoredFrom: revision.version,
+                modifiedDate: new Date().toISOString()
+            };
+            
+            await writeDatabase(db);
+            recordFileWrite(req, db.files[fileIndex], { restoredFrom: revision.version });
+            
+            console.log(`⏪ Файл ${file.name} відновлено до версії ${revision.version} для користувача ${userId}`);
             
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', `attachment; filename="files_${userId}_${Date.now()}.csv"`);
-            res.send(csvHeader + csvRows);
-        } else {
-            // Експорт у JSON (за замовчуванням)
-            res.setHeader('Content-Type', 'application/json');
-            res.setHeader('Content-Disposition', `attachment; filename="files_${userId}_${Date.now()}.json"`);
             res.json({
-                userId,
-                exportDate: new Date().toISOString(),
-                filesCount: userFiles.length,
-                files: userFiles
+                success: true,
+                message: `Відновлено версію ${revision.version}`,
+                file: db.files[fileIndex]
             });
-        }
-        
-        console.log(`📤 Експорт файлів для ${userId} у форматі ${format || 'json'}`);
+        });
     } catch (error) {
-        console.error('❌ Помилка експорту:', error);
+        console.error('❌ Помилка відновлення ревізії:', error);
         res.status(500).json({
             success: false,
-            error: 'Помилка експорту'
+            error: 'Помилка відновлення ревізії'
         });
     }
 });
@@ -671,8 +7643,8 @@ app.get('/api/storage/info', async (req, res) => {
             fileSizes[file.userId] = (fileSizes[file.userId] || 0) + (file.size || 0);
         }
         
-        // Інформація про файлову систему
-        const files = await fs.readdir(FILES_DIR);
+        // Інформація про сховище вмісту
+        const files = await storage.list();
         
         res.json({
             success: true,
@@ -681,9 +7653,8 @@ app.get('/api/storage/info', async (req, res) => {
                 totalSize,
                 totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2),
                 physicalFiles: files.length,
-                usersSizes: fileSizes,
-                dataDirectory: DATA_DIR,
-                filesDirectory: FILES_DIR
+                driver: storage.name,
+                usersSizes: fileSizes
             }
         });
     } catch (error) {
@@ -695,8 +7666,10 @@ app.get('/api/storage/info', async (req, res) => {
     }
 });
 
-// Перевірка цілісності даних
+// Перевірка цілісності даних (?verify=false - без перерахунку хешів)
 app.get('/api/storage/integrity', async (req, res) => {
+    const verifyHashes = req.query.verify !== 'false';
+    
     try {
         const db = await readDatabase();
         const issues = [];
@@ -714,9 +7687,39 @@ app.get('/api/storage/integrity', async (req, res) => {
             }
         }
         
+        // Перевіряємо вміст блобів: хеш має збігатися з ім'ям (bit-rot)
+        const counts = countBlobReferences(db);
+        let verifiedBlobs = 0;
+        for (const [hash, refCount] of counts) {
+            const blob = (db.blobs || {})[hash];
+            if (!blob || blob.refCount !== refCount) {
+                issues.push({
+                    type: 'refcount_mismatch',
+                    hash,
+                    expected: refCount,
+                    actual: blob ? blob.refCount : 0,
+                    message: 'Лічильник посилань не відповідає метаданим'
+                });
+            }
+            
+            if (!verifyHashes || !await fileExists(hash)) continue;
+            
+            const actualHash = await hashStoredBlob(hash);
+            verifiedBlobs++;
+            if (actualHash !== hash) {
+                issues.push({
+                    type: 'corrupted_blob',
+                    hash,
+                    actualHash,
+                    files: db.files.filter(f => f.hash === hash).map(f => ({ fileId: f.id, fileName: f.name })),
+                    message: 'Вміст блобу пошкоджено: хеш не збігається'
+                });
+            }
+        }
+        
         // Перевіряємо файли на диску без запису в БД
-        const diskFiles = await fs.readdir(FILES_DIR);
-        const dbFileNames = new Set(db.files.map(f => f.fileName));
+        const diskFiles = await storage.list();
+        const dbFileNames = collectReferencedFileNames(db);
         
         for (const diskFile of diskFiles) {
             if (!dbFileNames.has(diskFile)) {
@@ -736,6 +7739,7 @@ app.get('/api/storage/integrity', async (req, res) => {
                 isHealthy: issues.length === 0,
                 totalFiles: db.files.length,
                 diskFiles: diskFiles.length,
+                verifiedBlobs,
                 issuesCount: issues.length,
                 issues
             }
@@ -749,53 +7753,120 @@ app.get('/api/storage/integrity', async (req, res) => {
     }
 });
 
+// Збирання сміття: видалення блобів без посилань
+app.post('/api/storage/gc', async (req, res) => {
+    try {
+        const result = await runBlobGarbageCollection();
+        recordAudit(req, 'storage.gc', {
+            details: { deletedBlobs: result.deleted.length, freedBytes: result.freedBytes }
+        });
+        
+        res.json({
+            success: true,
+            gc: {
+                deletedBlobs: result.deleted.length,
+                freedBytes: result.freedBytes,
+                fixedRefCounts: result.fixedRefCounts
+            }
+        });
+    } catch (error) {
+        console.error('❌ Помилка збирання сміття:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка збирання сміття'
+        });
+    }
+});
+
 // Виправлення проблем зі сховищем
 app.post('/api/storage/repair', async (req, res) => {
     try {
-        const db = await readDatabase();
-        const repairs = [];
-        
-        // Видаляємо записи про файли, яких немає на диску
-        const validFiles = [];
-        for (const file of db.files) {
-            const exists = await fileExists(file.fileName);
-            if (exists) {
-                validFiles.push(file);
-            } else {
-                repairs.push({
-                    action: 'removed_metadata',
-                    fileId: file.id,
-                    fileName: file.name
-                });
+        await transaction(async db => {
+            const repairs = [];
+            
+            // Видаляємо записи про файли, яких немає на диску
+            const validFiles = [];
+            for (const file of db.files) {
+                const exists = await fileExists(file.fileName);
+                if (exists) {
+                    validFiles.push(file);
+                } else {
+                    repairs.push({
+                        action: 'removed_metadata',
+                        fileId: file.id,
+                        fileName: file.name
+                    });
+                }
             }
-        }
-        
-        db.files = validFiles;
-        
-        // Видаляємо файли на диску без запису в БД
-        const diskFiles = await fs.readdir(FILES_DIR);
-        const dbFileNames = new Set(db.files.map(f => f.fileName));
-        
-        for (const diskFile of diskFiles) {
-            if (!dbFileNames.has(diskFile)) {
-                await deleteFileFromDisk(diskFile);
+            
+            db.files = validFiles;
+            
+            // Видаляємо ревізії без вмісту на диску або без основного файлу
+            const liveFileKeys = new Set(db.files.map(f => `${f.userId}/${f.id}`));
+            const validRevisions = [];
+            for (const revision of db.revisions || []) {
+                const exists = await fileExists(revision.fileName);
+                if (exists && liveFileKeys.has(`${revision.userId}/${revision.fileId}`)) {
+                    validRevisions.push(revision);
+                } else {
+                    repairs.push({
+                        action: 'removed_revision',
+                        fileId: revision.fileId,
+                        revisionId: revision.id
+                    });
+                }
+            }
+            
+            db.revisions = validRevisions;
+            
+            // Видаляємо файли на диску без запису в БД. Блоби (за хешем) прибирає
+            // збирач сміття нижче, решту - з тими ж перевірками закріплення і віку
+            const diskFiles = await storage.list();
+            const dbFileNames = collectReferencedFileNames(db);
+            
+            for (const diskFile of diskFiles) {
+                if (dbFileNames.has(diskFile) || /^[a-f0-9]{64}$/.test(diskFile)) continue;
+                
+                if (await getExpiredOrphan(diskFile) && await deleteFileFromDisk(diskFile)) {
+                    repairs.push({
+                        action: 'deleted_orphan',
+                        fileName: diskFile
+                    });
+                }
+            }
+            
+            // Перераховуємо лічильники посилань після видалення записів
+            const gc = await collectGarbageBlobs(db);
+            for (const hash of gc.deleted) {
                 repairs.push({
                     action: 'deleted_orphan',
-                    fileName: diskFile
+                    fileName: hash
                 });
             }
-        }
-        
-        await writeDatabase(db);
-        
-        console.log(`🔧 Виправлення сховища: ${repairs.length} операцій`);
-        
-        res.json({
-            success: true,
-            repairs: {
-                count: repairs.length,
-                operations: repairs
+            if (gc.fixedRefCounts > 0) {
+                repairs.push({
+                    action: 'fixed_refcounts',
+                    count: gc.fixedRefCounts
+                });
             }
+            
+            await writeDatabase(db);
+            recordAudit(req, 'storage.repair', {
+                details: {
+                    count: repairs.length,
+                    fileIds: repairs.filter(r => r.action === 'removed_metadata').map(r => r.fileId)
+                }
+            });
+            
+            console.log(`🔧 Виправлення сховища: ${repairs.length} операцій`);
+            
+            res.json({
+                success: true,
+                repairs: {
+                    count: repairs.length,
+                    operations: repairs
+                }
+            });
         });
     } catch (error) {
         console.error('❌ Помилка виправлення сховища:', error);
@@ -806,32 +7877,22 @@ app.post('/api/storage/repair', async (req, res) => {
     }
 });
 
-// Бекап бази даних
+// Повна резервна копія (метадані + усі блоби)
 app.post('/api/backup', async (req, res) => {
     try {
-        const db = await readDatabase();
-        const backupFileName = `backup_${Date.now()}.json`;
-        const backupPath = path.join(DATA_DIR, backupFileName);
-        
-        await fs.writeFile(backupPath, JSON.stringify(db, null, 2));
-        
-        console.log(`💾 Створено бекап: ${backupFileName}`);
+        const backup = await runBackupTask(() => createBackup('manual'));
+        recordBackupCreated(req, backup);
         
         res.json({
             success: true,
-            backup: {
-                fileName: backupFileName,
-                path: backupPath,
-                timestamp: new Date().toISOString(),
-                filesCount: db.files.length,
-                usersCount: db.users.length
-            }
+            backup
         });
     } catch (error) {
+        recordAudit(req, 'backup.create', { success: false, details: { reason: 'manual', error: error.message } });
         console.error('❌ Помилка створення бекапу:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Помилка створення бекапу'
+            error: error.status ? error.message : 'Помилка створення бекапу'
         });
     }
 });
@@ -839,23 +7900,17 @@ app.post('/api/backup', async (req, res) => {
 // Список бекапів
 app.get('/api/backups', async (req, res) => {
     try {
-        const files = await fs.readdir(DATA_DIR);
-        const backups = files
-            .filter(f => f.startsWith('backup_') && f.endsWith('.json'))
-            .map(f => {
-                const timestamp = f.replace('backup_', '').replace('.json', '');
-                return {
-                    fileName: f,
-                    timestamp: new Date(parseInt(timestamp)).toISOString(),
-                    path: path.join(DATA_DIR, f)
-                };
-            })
-            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        const backups = await listBackups();
         
         res.json({
             success: true,
             backups,
-            count: backups.length
+            count: backups.length,
+            schedule: {
+                intervalHours: BACKUP_INTERVAL_HOURS,
+                keepDaily: BACKUP_KEEP_DAILY,
+                keepWeekly: BACKUP_KEEP_WEEKLY
+            }
         });
     } catch (error) {
         console.error('❌ Помилка отримання списку бекапів:', error);
@@ -866,6 +7921,314 @@ app.get('/api/backups', async (req, res) => {
     }
 });
 
+// Відновлення з бекапу (dryRun - лише перевірка архіву і звіт про зміни)
+app.post('/api/backups/:fileName/restore', async (req, res) => {
+    const archivePath = resolveBackupPath(req.params.fileName);
+    const dryRun = req.body.dryRun === true || req.query.dryRun === '1' || req.query.dryRun === 'true';
+    
+    if (!archivePath || !await fs.stat(archivePath).catch(() => null)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Бекап не знайдено'
+        });
+    }
+    
+    try {
+        const report = await runBackupTask(() => restoreBackup(archivePath, { dryRun }));
+        recordAudit(req, 'backup.restore', {
+            target: { type: 'backup', name: req.params.fileName },
+            success: report.valid,
+            details: { dryRun, restored: report.restored, errorsCount: report.errorsCount, counts: report.counts }
+        });
+        
+        if (!report.valid) {
+            return res.status(422).json({
+                success: false,
+                error: 'Бекап не пройшов перевірку',
+                report
+            });
+        }
+        
+        res.json({
+            success: true,
+            report
+        });
+    } catch (error) {
+        recordAudit(req, 'backup.restore', {
+            target: { type: 'backup', name: req.params.fileName },
+            success: false,
+            details: { dryRun, error: error.message }
+        });
+        console.error('❌ Помилка відновлення з бекапу:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Помилка відновлення з бекапу'
+        });
+    }
+});
+
+// ============ АКТИВНІСТЬ ============
+
+// Журнал аудиту: адміністратор бачить усі події, інші користувачі - власні дії
+// та події з їхніми файлами. Фільтри - див. parseAuditFilters, сторінки - limit/offset
+app.get('/api/audit', requireAuth, async (req, res) => {
+    const userId = req.user.username;
+    const pagination = parsePagination(req.query, AUDIT_PAGE_SIZE);
+    const filters = parseAuditFilters(req.query);
+    
+    if (pagination.error || filters.error) {
+        return res.status(400).json({
+            success: false,
+            error: pagination.error || filters.error
+        });
+    }
+    
+    try {
+        const isAdmin = hasPermission(req.user.role, 'users:admin');
+        const page = await queryAuditLog(entry =>
+            (isAdmin || entry.actor === userId || (entry.target && entry.target.ownerId === userId)) && filters.filter(entry),
+            pagination
+        );
+        
+        res.json({
+            success: true,
+            ...page
+        });
+    } catch (error) {
+        console.error('❌ Помилка читання журналу аудиту:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка читання журналу аудиту'
+        });
+    }
+});
+
+// Історія дій з файлом; IP-адреси бачать лише власник і адміністратор
+app.get('/api/files/:fileId/activity', async (req, res) => {
+    const userId = req.user.username;
+    const { fileId } = req.params;
+    const pagination = parsePagination(req.query, AUDIT_PAGE_SIZE);
+    const filters = parseAuditFilters(req.query);
+    
+    if (pagination.error || filters.error) {
+        return res.status(400).json({
+            success: false,
+            error: pagination.error || filters.error
+        });
+    }
+    
+    try {
+        const db = await readDatabase();
+        const file = findAccessibleFile(db, userId, fileId);
+        
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                error: 'Файл не знайдено'
+            });
+        }
+        
+        const showIp = file.userId === userId || hasPermission(req.user.role, 'users:admin');
+        const page = await queryAuditLog(entry => isAuditEntryForFile(entry, fileId) && filters.filter(entry), pagination);
+        
+        res.json({
+            success: true,
+            file: { id: file.id, name: file.name },
+            ...page,
+            entries: page.entries.map(entry => showIp ? entry : { ...entry, ip: null })
+        });
+    } catch (error) {
+        console.error('❌ Помилка отримання історії файлу:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка отримання історії файлу'
+        });
+    }
+});
+
+// ============ АДМІНІСТРУВАННЯ ============
+
+// Підрахунок використання сховища користувачем
+function calculateUserUsage(db, username) {
+    const userFiles = db.files.filter(f => f.userId === username);
+    const fileTypes = {};
+    
+    userFiles.forEach(file => {
+        const ext = '.' + file.name.split('.').pop().toLowerCase();
+        fileTypes[ext] = (fileTypes[ext] || 0) + 1;
+    });
+    
+    return {
+        filesCount: userFiles.length,
+        totalSize: userFiles.reduce((sum, f) => sum + (f.size || 0), 0),
+        fileTypes
+    };
+}
+
+// Список користувачів
+app.get('/api/admin/users', async (req, res) => {
+    try {
+        const db = await readDatabase();
+        
+        const users = db.users.map(user => {
+            const usage = calculateUserUsage(db, user.username);
+            return {
+                ...publicUser(user),
+                disabled: Boolean(user.disabled),
+                createdAt: user.createdAt || null,
+                filesCount: usage.filesCount,
+                totalSize: usage.totalSize,
+                quota: getUserQuota(user),
+                activeSessions: (db.sessions || []).filter(s => s.username === user.username && isSessionActive(s)).length
+            };
+        });
+        
+        res.json({
+            success: true,
+            users,
+            count: users.length
+        });
+    } catch (error) {
+        console.error('❌ Помилка отримання списку користувачів:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка отримання списку користувачів'
+        });
+    }
+});
+
+// Використання сховища конкретним користувачем
+app.get('/api/admin/users/:username/usage', async (req, res) => {
+    const { username } = req.params;
+    
+    try {
+        const db = await readDatabase();
+        const user = db.users.find(u => u.username === username);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'Користувача не знайдено'
+            });
+        }
+        
+        res.json({
+            success: true,
+            user: publicUser(user),
+            usage: calculateUserUsage(db, username),
+            quota: getQuotaUsage(db, username)
+        });
+    } catch (error) {
+        console.error('❌ Помилка отримання використання сховища:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка отримання використання сховища'
+        });
+    }
+});
+
+// Зміна ролі або вимкнення облікового запису
+app.patch('/api/admin/users/:username', async (req, res) => {
+    const { username } = req.params;
+    const { role, disabled, quota } = req.body;
+    
+    if (role !== undefined && !ROLE_PERMISSIONS[role]) {
+        return res.status(400).json({
+            success: false,
+            error: `Невідома роль. Доступні: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`
+        });
+    }
+    
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+        return res.status(400).json({
+            success: false,
+            error: 'disabled має бути boolean'
+        });
+    }
+    
+    // null повертає квоту за замовчуванням, 0 - без обмеження
+    if (quota !== undefined && quota !== null && (!Number.isInteger(quota) || quota < 0)) {
+        return res.status(400).json({
+            success: false,
+            error: 'quota має бути цілим числом байтів (0 - без обмеження) або null'
+        });
+    }
+    
+    try {
+        await transaction(async db => {
+            const user = db.users.find(u => u.username === username);
+            
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Користувача не знайдено'
+                });
+            }
+            
+            const losesAdmin = user.role === 'admin' && !user.disabled &&
+                ((role !== undefined && role !== 'admin') || disabled === true);
+            
+            if (losesAdmin && countActiveAdmins(db) <= 1) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Неможливо прибрати останнього адміністратора'
+                });
+            }
+            
+            const previous = { role: user.role, disabled: Boolean(user.disabled), quota: getUserQuota(user) };
+            
+            if (role !== undefined) {
+                user.role = role;
+            }
+            
+            if (quota !== undefined) {
+                if (quota === null) {
+                    delete user.quota;
+                } else {
+                    user.quota = quota;
+                }
+            }
+            
+            if (disabled !== undefined) {
+                user.disabled = disabled;
+                
+                // Вимкнений користувач втрачає всі активні сесії
+                if (disabled) {
+                    for (const session of db.sessions || []) {
+                        if (session.username === username && !session.revoked) {
+                            session.revoked = true;
+                            session.revokedAt = new Date().toISOString();
+                        }
+                    }
+                }
+            }
+            
+            await writeDatabase(db);
+            recordAudit(req, 'user.update', {
+                target: { type: 'user', id: username },
+                details: { previous, role: user.role, disabled: Boolean(user.disabled), quota: getUserQuota(user) }
+            });
+            
+            console.log(`🛡️ ${req.user.username} оновив користувача ${username}: роль=${user.role}, вимкнено=${Boolean(user.disabled)}, квота=${getUserQuota(user) || 'без обмеження'}`);
+            
+            res.json({
+                success: true,
+                user: {
+                    ...publicUser(user),
+                    disabled: Boolean(user.disabled),
+                    quota: getUserQuota(user)
+                }
+            });
+        });
+    } catch (error) {
+        console.error('❌ Помилка оновлення користувача:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Помилка оновлення користувача'
+        });
+    }
+});
+
 // Обробка помилок 404
 app.use((req, res) => {
     res.status(404).json({
@@ -889,6 +8252,23 @@ app.use((error, req, res, next) => {
 async function startServer() {
     await initializeStorage();
     
+    // Періодичне очищення кошика та покинутих сесій завантаження
+    await purgeExpiredTrash();
+    await purgeExpiredUploads();
+    setInterval(() => {
+        purgeExpiredTrash().catch(error => console.error('❌ Помилка автоочищення кошика:', error));
+        purgeExpiredUploads().catch(error => console.error('❌ Помилка очищення сесій завантаження:', error));
+        runBlobGarbageCollection().catch(error => console.error('❌ Помилка збирання сміття:', error));
+    }, TRASH_PURGE_INTERVAL).unref();
+    
+    // Автоматичні резервні копії за розкладом
+    if (BACKUP_INTERVAL_HOURS > 0) {
+        setInterval(() => {
+            runScheduledBackup().catch(error => console.error('❌ Помилка автоматичного бекапу:', error));
+        }, Math.min(BACKUP_CHECK_INTERVAL, BACKUP_INTERVAL_HOURS * 60 * 60 * 1000)).unref();
+        console.log(`💾 Автоматичні бекапи: кожні ${BACKUP_INTERVAL_HOURS} год, зберігаються ${BACKUP_KEEP_DAILY} щоденних і ${BACKUP_KEEP_WEEKLY} щотижневих`);
+    }
+    
     app.listen(PORT, () => {
         console.log(`
 ╔══════════════════════════════════════════╗
@@ -896,18 +8276,58 @@ async function startServer() {
 ║  📍 http://localhost:${PORT}              ║
 ║  🔧 API: http://localhost:${PORT}/api     ║
 ║                                          ║
-║  📂 Файли: ${FILES_DIR}        ║
-║  🗄️  БД: ${DB_FILE}            ║
+║  📂 Файли: ${storage.describe()}        ║
+║  🗄️  БД: ${METADATA_SNAPSHOT_FILE}            ║
 ║                                          ║
 ║  Доступні endpoints:                     ║
 ║  • GET  /api/health                      ║
 ║  • POST /api/auth/login                  ║
+║  • POST /api/auth/refresh                ║
+║  • POST /api/auth/logout                 ║
+║  • GET  /api/auth/me                     ║
+║  • GET  /api/file-policy                 ║
+║  • GET  /api/quota                       ║
+║  • POST /api/auth/register               ║
+║  • PUT  /api/auth/password               ║
+║  • PATCH /api/auth/profile               ║
+║  • DELETE /api/auth/account              ║
 ║  • GET  /api/files                       ║
 ║  • GET  /api/files/:id                   ║
 ║  • POST /api/files                       ║
 ║  • POST /api/files/bulk                  ║
+║  • POST /api/files/import (ZIP)          ║
 ║  • DELETE /api/files/:id                 ║
 ║  • DELETE /api/files (clear all)         ║
+║  • PATCH /api/files/:id (move)           ║
+║  • GET  /api/files/:id/revisions         ║
+║  • GET  /api/files/:id/revisions/:rev    ║
+║  • POST /api/files/:id/revisions/:rev/restore ║
+║  • GET  /api/folders                     ║
+║  • GET  /api/folders/:id/path            ║
+║  • POST /api/folders                     ║
+║  • PATCH /api/folders/:id                ║
+║  • DELETE /api/folders/:id               ║
+║  • POST /api/files/upload (raw)          ║
+║  • GET  /api/files/:id/content           ║
+║  • GET  /api/files/:id/thumbnail         ║
+║  • POST /api/uploads                     ║
+║  • GET  /api/uploads/:id                 ║
+║  • PUT  /api/uploads/:id/chunks/:n       ║
+║  • POST /api/uploads/:id/complete        ║
+║  • DELETE /api/uploads/:id               ║
+║  • GET  /api/shared                      ║
+║  • GET/POST /api/files/:id/shares        ║
+║  • DELETE /api/files/:id/shares/:user    ║
+║  • GET/POST /api/folders/:id/shares      ║
+║  • DELETE /api/folders/:id/shares/:user  ║
+║  • POST /api/files/:id/links             ║
+║  • GET  /api/links                       ║
+║  • DELETE /api/links/:id                 ║
+║  • GET  /api/public/:token               ║
+║  • GET  /api/trash                       ║
+║  • POST /api/trash/:id/restore           ║
+║  • DELETE /api/trash/:id                 ║
+║  • DELETE /api/trash (empty)             ║
 ║  • POST /api/sync                        ║
 ║  • GET  /api/stats                       ║
 ║  • GET  /api/files/search                ║
@@ -915,8 +8335,15 @@ async function startServer() {
 ║  • GET  /api/storage/info                ║
 ║  • GET  /api/storage/integrity           ║
 ║  • POST /api/storage/repair              ║
+║  • POST /api/storage/gc                  ║
 ║  • POST /api/backup                      ║
 ║  • GET  /api/backups                     ║
+║  • POST /api/backups/:name/restore       ║
+║  • GET  /api/audit                       ║
+║  • GET  /api/files/:id/activity          ║
+║  • GET  /api/admin/users                 ║
+║  • GET  /api/admin/users/:u/usage        ║
+║  • PATCH /api/admin/users/:u             ║
 ╚══════════════════════════════════════════╝
         `);
         
@@ -931,6 +8358,7 @@ process.on('SIGINT', async () => {
     console.log('💾 Збереження даних...');
     
     // Тут можна додати додаткову логіку очищення
+    await auditLog.pending;
     
     console.log('✅ Сервер зупинено');
     process.exit(0);
@@ -945,8 +8373,83 @@ process.on('unhandledRejection', (reason, promise) => {
     console.error('❌ Необроблене відхилення промісу:', reason);
 });
 
-// Запуск
-startServer().catch(error => {
-    console.error('❌ Критична помилка запуску сервера:', error);
-    process.exit(1);
-});
+// Бекап і відновлення з командного рядка (сервер при цьому має бути зупинений):
+// `node server.js backup`, `node server.js restore <архів> [--dry-run]`
+async function runBackupCommand(command, args) {
+    await initializeStorage();
+    
+    if (command === 'backup') {
+        const backup = await createBackup('manual');
+        recordBackupCreated(null, backup, 'cli');
+        await auditLog.pending;
+        console.log(`✅ ${path.join(BACKUPS_DIR, backup.fileName)}`);
+        return 0;
+    }
+    
+    const archive = args.find(arg => !arg.startsWith('--'));
+    if (!archive) {
+        console.error('Використання: node server.js restore <архів> [--dry-run]');
+        return 1;
+    }
+    
+    const report = await restoreBackup(path.resolve(archive), { dryRun: args.includes('--dry-run') });
+    recordAudit(null, 'backup.restore', {
+        actor: 'cli',
+        target: { type: 'backup', name: path.basename(archive) },
+        success: report.valid,
+        details: { dryRun: report.dryRun, restored: report.restored, errorsCount: report.errorsCount, counts: report.counts }
+    });
+    await auditLog.pending;
+    console.log(JSON.stringify(report, null, 2));
+    if (!report.valid) {
+        console.error('❌ Бекап не пройшов перевірку, нічого не змінено');
+        return 1;
+    }
+    return 0;
+}
+
+// Запуск: `node server.js migrate-storage <from> <to>` копіює блоби між сховищами замість старту сервера.
+// Підключений як модуль (у тестах) сервер не запускається, а віддає застосунок і внутрішні функції
+if (!isMainThread && workerData && workerData.role === 'thumbnails') {
+    serveThumbnailRequests();
+} else if (require.main !== module) {
+    module.exports = {
+        app,
+        initializeStorage,
+        transaction,
+        readDatabase,
+        writeDatabase,
+        retainBlob,
+        releaseBlob,
+        pinBlobs,
+        unpinBlobs,
+        runBlobGarbageCollection,
+        purgeExpiredTrash,
+        createBackup,
+        restoreBackup,
+        readZipDirectory,
+        extractZipEntry,
+        createZipStream
+    };
+} else if (process.argv[2] === 'migrate-storage') {
+    const [fromName = 'local', toName = STORAGE_DRIVER] = process.argv.slice(3);
+    
+    migrateStorage(fromName, toName)
+        .then(result => process.exit(result.failed.length > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('❌ Помилка міграції сховища:', error.message);
+            process.exit(1);
+        });
+} else if (process.argv[2] === 'backup' || process.argv[2] === 'restore') {
+    runBackupCommand(process.argv[2], process.argv.slice(3))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('❌ Помилка:', error.message);
+            process.exit(1);
+        });
+} else {
+    startServer().catch(error => {
+        console.error('❌ Критична помилка запуску сервера:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,82 @@
+// Журнал аудиту: адміністратор бачить усе, користувач - власні дії та події з його файлами
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let server;
+let adminToken;
+let daveToken;
+let erinToken;
+
+const readAudit = async (token, query = '') => (await server.request('GET', `/audit?limit=200&${query}`, { token })).body;
+const activity = (token, fileId) => server.request('GET', `/files/${fileId}/activity`, { token });
+
+test.before(async () => {
+    server = await startTestServer();
+    adminToken = await server.login();
+    for (const username of ['dave', 'erin']) {
+        await server.request('POST', '/auth/register', { body: { username, password: `${username}-password` } });
+    }
+    daveToken = await server.login('dave', 'dave-password');
+    erinToken = await server.login('erin', 'erin-password');
+
+    await server.uploadFile(daveToken, 'report.js', 'export const report = 1;', { id: 'report' });
+    await server.uploadFile(erinToken, 'notes.js', 'export const notes = 1;', { id: 'notes' });
+    await server.request('GET', '/files/report/content', { token: daveToken });
+});
+
+test.after(() => server.close());
+
+test('користувач бачить лише власні дії та події своїх файлів', async () => {
+    const { entries } = await readAudit(daveToken);
+    assert.ok(entries.length > 0);
+    assert.ok(entries.every(entry => entry.actor === 'dave' || (entry.target && entry.target.ownerId === 'dave')));
+    assert.ok(entries.some(entry => entry.action === 'file.upload' && entry.target.id === 'report'));
+    assert.ok(!entries.some(entry => entry.target && entry.target.id === 'notes'));
+
+    assert.equal((await server.request('GET', '/audit')).status, 401);
+});
+
+test('адміністратор бачить події всіх користувачів', async () => {
+    const { entries } = await readAudit(adminToken, 'action=file.upload');
+    assert.deepEqual(new Set(entries.map(entry => entry.actor)), new Set(['dave', 'erin']));
+});
+
+test('дії іншого користувача з моїм файлом потрапляють у мій журнал', async () => {
+    await server.request('POST', '/files/report/shares', { token: daveToken, body: { username: 'erin', permission: 'editor' } });
+    const overwrite = await server.uploadFile(erinToken, 'report.js', 'export const report = 2;', { id: 'report' });
+    assert.equal(overwrite.status, 200);
+
+    const { entries } = await readAudit(daveToken, 'action=file.overwrite');
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].actor, 'erin');
+});
+
+test('історію файлу бачать лише ті, кому він доступний; IP - власник і адміністратор', async () => {
+    assert.equal((await activity(erinToken, 'notes')).status, 200);
+    assert.equal((await activity(daveToken, 'notes')).status, 404);
+
+    const own = await activity(daveToken, 'report');
+    assert.ok(own.body.entries.length >= 2);
+    assert.ok(own.body.entries.every(entry => entry.ip));
+
+    const shared = await activity(erinToken, 'report');
+    assert.equal(shared.body.total, own.body.total);
+    assert.ok(shared.body.entries.every(entry => entry.ip === null));
+
+    // Чужі файли адміністратор переглядає через загальний журнал
+    assert.equal((await activity(adminToken, 'report')).status, 404);
+    const { entries } = await readAudit(adminToken, 'targetId=report');
+    assert.ok(entries.length >= own.body.entries.length);
+    assert.ok(entries.every(entry => entry.ip));
+});
+
+test('фільтри журналу перевіряються', async () => {
+    assert.equal((await server.request('GET', '/audit?success=maybe', { token: daveToken })).status, 400);
+
+    const failed = await server.request('POST', '/auth/login', { body: { username: 'dave', password: 'wrong-password' } });
+    assert.equal(failed.status, 401);
+    const { entries } = await readAudit(daveToken, 'action=auth.*&success=false');
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].details.reason, 'invalid_credentials');
+});
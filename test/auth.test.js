@@ -0,0 +1,113 @@
+// Облікові записи: реєстрація, хешовані паролі, сесії з refresh-токенами, зміна пароля і видалення
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let server;
+
+const register = (username, password = 'long-password', name) =>
+    server.request('POST', '/auth/register', { body: { username, password, name } });
+const loginAs = (username, password = 'long-password') =>
+    server.request('POST', '/auth/login', { body: { username, password } });
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+test('реєстрація зберігає лише хеш пароля і перевіряє дані', async () => {
+    const created = await register('alice', 'long-password', 'Alice');
+    assert.equal(created.status, 201);
+    assert.equal(created.body.user.role, 'member');
+    assert.equal(created.body.user.passwordHash, undefined);
+
+    const stored = (await server.readDatabase()).users.find(u => u.username === 'alice');
+    assert.match(stored.passwordHash, /^scrypt\$/);
+    assert.ok(!stored.passwordHash.includes('long-password'));
+
+    assert.equal((await register('ALICE')).status, 409);
+    assert.equal((await register('a')).status, 400);
+    assert.equal((await register('bob', 'short')).status, 400);
+    assert.equal((await register({ name: 'bob' })).status, 400);
+});
+
+test('вхід видає токени, невірний пароль і нерядкові дані відхиляються', async () => {
+    const { status, body } = await loginAs('alice');
+    assert.equal(status, 200);
+    assert.ok(body.token && body.refreshToken);
+
+    assert.equal((await loginAs('alice', 'wrong-password')).status, 401);
+    assert.equal((await loginAs('alice', ['long-password'])).status, 400);
+    assert.equal((await server.request('GET', '/auth/me')).status, 401);
+    assert.equal((await server.request('GET', '/auth/me', { token: 'forged.token' })).status, 401);
+
+    const me = await server.request('GET', '/auth/me', { token: body.token });
+    assert.equal(me.body.user.username, 'alice');
+    assert.ok(me.body.permissions.includes('files:write'));
+});
+
+test('refresh-токен одноразовий, logout завершує сесію', async () => {
+    const session = (await loginAs('alice')).body;
+
+    const refreshed = await server.request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, session.refreshToken);
+    assert.equal((await server.request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } })).status, 401);
+
+    const logout = await server.request('POST', '/auth/logout', { token: refreshed.body.token });
+    assert.equal(logout.status, 200);
+    assert.equal((await server.request('GET', '/auth/me', { token: refreshed.body.token })).status, 401);
+    assert.equal((await server.request('POST', '/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } })).status, 401);
+});
+
+test('нерядкові значення в refresh, зміні пароля й видаленні дають 400, а не зависання', async () => {
+    const { token } = (await loginAs('alice')).body;
+
+    assert.equal((await server.request('POST', '/auth/refresh', { body: { refreshToken: {} } })).status, 400);
+    assert.equal((await server.request('PUT', '/auth/password', { token, body: { currentPassword: {}, newPassword: 'another-password' } })).status, 400);
+    assert.equal((await server.request('PUT', '/auth/password', { token, body: { currentPassword: 'long-password', newPassword: 12345678 } })).status, 400);
+    assert.equal((await server.request('PATCH', '/auth/profile', { token, body: { name: { first: 'Alice' } } })).status, 400);
+    assert.equal((await server.request('DELETE', '/auth/account', { token, body: { password: ['long-password'] } })).status, 400);
+});
+
+test('зміна пароля відкликає інші сесії', async () => {
+    const current = (await loginAs('alice')).body;
+    const other = (await loginAs('alice')).body;
+
+    const wrong = await server.request('PUT', '/auth/password', { token: current.token, body: { currentPassword: 'wrong-password', newPassword: 'another-password' } });
+    assert.equal(wrong.status, 403);
+
+    const changed = await server.request('PUT', '/auth/password', { token: current.token, body: { currentPassword: 'long-password', newPassword: 'another-password' } });
+    assert.equal(changed.status, 200);
+    assert.equal((await server.request('GET', '/auth/me', { token: current.token })).status, 200);
+    assert.equal((await server.request('GET', '/auth/me', { token: other.token })).status, 401);
+
+    assert.equal((await loginAs('alice')).status, 401);
+    assert.equal((await loginAs('alice', 'another-password')).status, 200);
+});
+
+test('профіль оновлюється, видалення облікового запису прибирає файли й сесії', async () => {
+    const { token } = (await loginAs('alice', 'another-password')).body;
+
+    const profile = await server.request('PATCH', '/auth/profile', { token, body: { name: '  Alice Smith ' } });
+    assert.equal(profile.body.user.name, 'Alice Smith');
+
+    await server.uploadFile(token, 'mine.js', 'export const mine = 1;');
+    assert.equal((await server.request('DELETE', '/auth/account', { token, body: { password: 'wrong-password' } })).status, 403);
+
+    const deleted = await server.request('DELETE', '/auth/account', { token, body: { password: 'another-password' } });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.deletedFiles, 1);
+
+    const db = await server.readDatabase();
+    assert.ok(!db.users.some(u => u.username === 'alice'));
+    assert.ok(!db.files.some(f => f.userId === 'alice'));
+    assert.ok(!db.sessions.some(s => s.username === 'alice'));
+});
+
+test('останнього адміністратора видалити не можна', async () => {
+    const token = await server.login();
+    const { status } = await server.request('DELETE', '/auth/account', { token, body: { password: 'password' } });
+    assert.equal(status, 409);
+});
@@ -0,0 +1,77 @@
+// Резервні копії: tar-архів метаданих і блобів, відновлення та узгодженість під час запису
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+const archivePath = backup => path.join(server.dataDir, 'backups', backup.fileName);
+const readContent = async id => (await server.request('GET', `/files/${id}/content`, { token })).body.toString();
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+});
+
+test.after(() => server.close());
+
+test('копія відновлює метадані та видалений вміст', async () => {
+    const kept = (await server.uploadFile(token, 'kept.js', 'export const kept = 1;')).body.file;
+    const purged = (await server.uploadFile(token, 'purged.js', 'export const purged = 1;')).body.file;
+
+    const backup = await server.createBackup('test');
+    assert.equal(backup.filesCount, 2);
+    assert.equal(backup.blobsCount, 2);
+
+    await server.uploadFile(token, 'kept.js', 'export const kept = 2;', { id: kept.id });
+    await server.request('DELETE', `/files/${purged.id}`, { token });
+    await server.request('DELETE', `/trash/${purged.id}`, { token });
+    assert.ok(!fs.existsSync(server.blobPath(purged.hash)));
+
+    const check = await server.restoreBackup(archivePath(backup), { dryRun: true });
+    assert.equal(check.valid, true);
+    assert.equal(check.restored, false);
+    assert.equal(check.counts.files, 2);
+    assert.equal(check.blobs.toCopy, 1);
+
+    const report = await server.restoreBackup(archivePath(backup));
+    assert.equal(report.restored, true);
+    assert.ok(fs.existsSync(server.blobPath(purged.hash)));
+    assert.equal(await readContent(kept.id), 'export const kept = 1;');
+    assert.equal(await readContent(purged.id), 'export const purged = 1;');
+});
+
+test('пошкоджений архів не проходить перевірку і нічого не змінює', async () => {
+    const backup = await server.createBackup('test');
+    const broken = path.join(server.dataDir, 'broken.tar');
+    const content = fs.readFileSync(archivePath(backup));
+    fs.writeFileSync(broken, content.subarray(0, Math.floor(content.length / 2)));
+
+    const before = await server.readDatabase();
+    const report = await server.restoreBackup(broken);
+    assert.equal(report.valid, false);
+    assert.equal(report.restored, false);
+    assert.ok(report.errorsCount > 0);
+    assert.equal(await server.readDatabase(), before);
+});
+
+test('вміст, видалений під час запису копії, потрапляє в архів', async () => {
+    const file = (await server.uploadFile(token, 'racing.js', 'export const racing = true;')).body.file;
+    await server.request('DELETE', `/files/${file.id}`, { token });
+
+    // Знімок метаданих береться першим, остаточне видалення стає в чергу після нього
+    const creating = server.createBackup('test');
+    const purging = server.request('DELETE', `/trash/${file.id}`, { token });
+    const [backup, purge] = await Promise.all([creating, purging]);
+    assert.equal(purge.status, 200);
+
+    const report = await server.restoreBackup(archivePath(backup), { dryRun: true });
+    assert.equal(report.valid, true);
+    assert.equal(report.counts.trashed, 1);
+
+    // Після копії блоб без посилань прибере збирач сміття
+    assert.equal((await server.readDatabase()).blobs[file.hash], undefined);
+});
@@ -0,0 +1,177 @@
+// Блоби за вмістом: лічильники посилань, відкладене видалення і збирання сміття
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+});
+
+test.after(() => server.close());
+
+test('однаковий вміст зберігається одним блобом з лічильником посилань', async () => {
+    const source = 'export const shared = 1;\n';
+    const hash = sha256(source);
+
+    const first = await server.uploadFile(token, 'first.js', source);
+    const second = await server.uploadFile(token, 'second.js', source);
+    assert.ok(first.body.success);
+    assert.ok(second.body.success);
+    assert.equal(first.body.file.hash, hash);
+    assert.equal(second.body.file.hash, hash);
+
+    assert.equal((await server.readDatabase()).blobs[hash].refCount, 2);
+    assert.ok(fs.existsSync(server.blobPath(hash)));
+
+    // Блоб зникає лише разом з останнім посиланням
+    for (const file of [first.body.file, second.body.file]) {
+        await server.request('DELETE', `/files/${file.id}`, { token });
+    }
+    const purged = await server.request('DELETE', `/trash/${first.body.file.id}`, { token });
+    assert.equal(purged.status, 200);
+    assert.equal((await server.readDatabase()).blobs[hash].refCount, 1);
+    assert.ok(fs.existsSync(server.blobPath(hash)));
+
+    await server.request('DELETE', `/trash/${second.body.file.id}`, { token });
+    assert.equal((await server.readDatabase()).blobs[hash], undefined);
+    assert.ok(!fs.existsSync(server.blobPath(hash)));
+});
+
+test('звільнений блоб лишається на диску, якщо транзакцію не зафіксовано', async () => {
+    const source = 'export const kept = true;\n';
+    const hash = sha256(source);
+    await server.uploadFile(token, 'kept.js', source);
+
+    await assert.rejects(server.transaction(async db => {
+        db.files = db.files.filter(f => f.hash !== hash);
+        assert.equal(server.releaseBlob(db, hash), true);
+        throw new Error('збій до фіксації');
+    }), /збій до фіксації/);
+
+    assert.equal((await server.readDatabase()).blobs[hash].refCount, 1);
+    assert.ok(fs.existsSync(server.blobPath(hash)));
+});
+
+test('вміст, знову використаний у тій самій транзакції, не видаляється', async () => {
+    const source = 'export const reused = true;\n';
+    const hash = sha256(source);
+    await server.uploadFile(token, 'reused.js', source);
+
+    await server.transaction(async db => {
+        server.releaseBlob(db, hash);
+        server.retainBlob(db, hash, Buffer.byteLength(source));
+        await server.writeDatabase(db);
+    });
+
+    assert.equal((await server.readDatabase()).blobs[hash].refCount, 1);
+    assert.ok(fs.existsSync(server.blobPath(hash)));
+});
+
+test('збирання сміття виправляє лічильники і видаляє лише старі блоби без посилань', async () => {
+    const source = 'export const counted = 1;\n';
+    const hash = sha256(source);
+    await server.uploadFile(token, 'counted.js', source);
+
+    await server.transaction(async db => {
+        db.blobs[hash].refCount = 7;
+        await server.writeDatabase(db);
+    });
+
+    const staleOrphan = sha256('stale orphan');
+    const freshOrphan = sha256('fresh orphan');
+    fs.writeFileSync(server.blobPath(staleOrphan), 'stale orphan');
+    fs.writeFileSync(server.blobPath(freshOrphan), 'fresh orphan');
+    const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    fs.utimesSync(server.blobPath(staleOrphan), twoHoursAgo, twoHoursAgo);
+
+    const { status, body } = await server.request('POST', '/storage/gc', { token });
+    assert.equal(status, 200);
+    assert.equal(body.gc.deletedBlobs, 1);
+    assert.ok(body.gc.fixedRefCounts >= 1);
+
+    assert.equal((await server.readDatabase()).blobs[hash].refCount, 1);
+    assert.ok(!fs.existsSync(server.blobPath(staleOrphan)));
+    // Свіжий блоб може належати запиту, що ще не записав метадані
+    assert.ok(fs.existsSync(server.blobPath(freshOrphan)));
+});
+
+test('виправлення сховища не видаляє свіжі й закріплені файли без посилань', async () => {
+    const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    const writeOrphan = (name, stale) => {
+        fs.writeFileSync(server.blobPath(name), name);
+        if (stale) fs.utimesSync(server.blobPath(name), twoHoursAgo, twoHoursAgo);
+    };
+
+    const staleBlob = sha256('repair stale');
+    const freshBlob = sha256('repair fresh');
+    const pinnedBlob = sha256('repair pinned');
+    writeOrphan(staleBlob, true);
+    writeOrphan(freshBlob, false);
+    writeOrphan(pinnedBlob, true);
+    writeOrphan('legacy-stale', true);
+    writeOrphan('legacy-fresh', false);
+
+    // Закріплення тримає резервна копія, що саме пише архів
+    server.pinBlobs([pinnedBlob]);
+    try {
+        const { status, body } = await server.request('POST', '/storage/repair', { token });
+        assert.equal(status, 200);
+        const deleted = body.repairs.operations.filter(r => r.action === 'deleted_orphan').map(r => r.fileName);
+        assert.deepEqual(deleted.sort(), [staleBlob, 'legacy-stale'].sort());
+    } finally {
+        server.unpinBlobs([pinnedBlob]);
+    }
+
+    assert.ok(!fs.existsSync(server.blobPath(staleBlob)));
+    assert.ok(!fs.existsSync(server.blobPath('legacy-stale')));
+    for (const name of [freshBlob, pinnedBlob, 'legacy-fresh']) {
+        assert.ok(fs.existsSync(server.blobPath(name)), name);
+    }
+});
+
+test('міграція старих файлів у блоби видаляє їх лише після запису метаданих', async () => {
+    // Окремі каталоги й процеси: міграція виконується під час ініціалізації сховища
+    const root = path.join(server.dataDir, 'legacy');
+    const env = { ...process.env, DATA_DIR: path.join(root, 'data'), FILES_DIR: path.join(root, 'files') };
+    const run = script => execFileSync(process.execPath, ['-e', `
+        console.log = () => {};
+        const server = require(${JSON.stringify(path.join(__dirname, '..', 'server'))});
+        server.initializeStorage().then(() => (${script})(server)).then(result => process.stdout.write(JSON.stringify(result || null)));
+    `], { env, timeout: 30000 }).toString();
+
+    // Файл і його ревізія посилаються на той самий старий файл
+    const source = 'export const legacy = 1;\n';
+    run(`async server => {
+        require('fs').writeFileSync(require('path').join(process.env.FILES_DIR, 'legacy-file'), ${JSON.stringify(source)});
+        await server.transaction(async db => {
+            const item = { fileId: 'legacy', userId: 'admin', name: 'legacy.js', type: 'application/javascript', size: 1, fileName: 'legacy-file', version: 1 };
+            db.files.push({ ...item, id: 'legacy', version: 2 });
+            db.revisions.push({ ...item, id: 'legacy-revision' });
+            await server.writeDatabase(db);
+        });
+    }`);
+
+    const migrated = JSON.parse(run(`async server => {
+        const db = await server.readDatabase();
+        return [db.files.find(f => f.id === 'legacy'), db.revisions.find(r => r.id === 'legacy-revision'), db.blobs];
+    }`));
+
+    const hash = sha256(source);
+    const [file, revision, blobs] = migrated;
+    assert.equal(file.fileName, hash);
+    assert.equal(revision.fileName, hash);
+    assert.equal(file.size, Buffer.byteLength(source));
+    assert.equal(blobs[hash].refCount, 2);
+    assert.ok(fs.existsSync(path.join(env.FILES_DIR, hash)));
+    assert.ok(!fs.existsSync(path.join(env.FILES_DIR, 'legacy-file')));
+});
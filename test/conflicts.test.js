@@ -0,0 +1,79 @@
+// Оптимістичне блокування: запис на застарілу версію відхиляється з 409 і поточною версією
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+});
+
+test.after(() => server.close());
+
+test('запис на поточну версію проходить і збільшує номер версії', async () => {
+    const created = await server.uploadFile(token, 'app.js', 'export const v = 1;', { id: 'app', baseVersion: 0 });
+    assert.equal(created.body.file.version, 1);
+
+    const updated = await server.uploadFile(token, 'app.js', 'export const v = 2;', { id: 'app', baseVersion: 1 });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.file.version, 2);
+});
+
+test('застаріла версія дає 409 з даними поточного файлу, файл не змінюється', async () => {
+    const { status, body } = await server.uploadFile(token, 'app.js', 'export const v = "stale";', { id: 'app', baseVersion: 1 });
+    assert.equal(status, 409);
+    assert.equal(body.success, false);
+    assert.equal(body.conflict.baseVersion, 1);
+    assert.equal(body.conflict.currentVersion, 2);
+    assert.equal(body.conflict.file.id, 'app');
+
+    const content = await server.request('GET', '/files/app/content', { token });
+    assert.equal(content.body.toString(), 'export const v = 2;');
+});
+
+test('baseVersion 0 не перезаписує файл, створений паралельно', async () => {
+    const { status, body } = await server.uploadFile(token, 'app.js', 'export const v = "mine";', { id: 'app', baseVersion: 0 });
+    assert.equal(status, 409);
+    assert.equal(body.conflict.currentVersion, 2);
+});
+
+test('ETag вмісту в If-Match працює як базова версія', async () => {
+    const current = (await server.readDatabase()).files.find(f => f.id === 'app');
+    const upload = (source, etag) => server.request('POST', '/files', {
+        token,
+        headers: { 'If-Match': etag },
+        body: { id: 'app', name: 'app.js', type: 'application/javascript', data: source }
+    });
+
+    const staleHash = crypto.createHash('sha256').update('export const v = 1;').digest('hex');
+    assert.equal((await upload('export const v = 3;', `"${staleHash}"`)).status, 409);
+
+    const accepted = await upload('export const v = 3;', `"${current.hash}"`);
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.file.version, 3);
+});
+
+test('потокове завантаження теж перевіряє базову версію', async () => {
+    const upload = baseVersion => server.request('POST', `/files/upload?id=app&name=app.js&baseVersion=${baseVersion}`, {
+        token,
+        headers: { 'Content-Type': 'application/javascript' },
+        body: Buffer.from('export const v = 4;')
+    });
+
+    const stale = await upload(2);
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.conflict.currentVersion, 3);
+
+    const accepted = await upload(3);
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.file.version, 4);
+});
+
+test('некоректна базова версія відхиляється', async () => {
+    const { status } = await server.uploadFile(token, 'app.js', 'export const v = 5;', { id: 'app', baseVersion: -1 });
+    assert.equal(status, 400);
+});
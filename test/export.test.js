@@ -0,0 +1,86 @@
+// Експорт: потоковий ZIP-архів зі структурою папок і CSV за RFC 4180
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+const files = {};
+
+// Архів з відповіді, розпакований у { шлях: вміст }
+async function readArchive(query) {
+    const response = await server.request('GET', `/export?format=zip&${query}`, { token });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+
+    const zipPath = path.join(server.dataDir, `export-${Date.now()}.zip`);
+    fs.writeFileSync(zipPath, response.body);
+
+    const contents = {};
+    for (const entry of await server.readZipDirectory(zipPath, 1000)) {
+        const target = `${zipPath}.entry`;
+        await server.extractZipEntry(zipPath, entry, target);
+        contents[entry.name] = fs.readFileSync(target, 'utf8');
+        fs.unlinkSync(target);
+    }
+    fs.unlinkSync(zipPath);
+    return contents;
+}
+
+const createFolder = async (name, parentId = null) =>
+    (await server.request('POST', '/folders', { token, body: { name, parentId } })).body.folder;
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+
+    const src = await createFolder('src');
+    const lib = await createFolder('lib', src.id);
+    files.src = src;
+    files.main = (await server.uploadFile(token, 'main.js', 'import "./src/index.js";')).body.file;
+    files.index = (await server.uploadFile(token, 'index.js', 'export * from "./lib/util.js";', { folderId: src.id })).body.file;
+    // Великий файл, що стискається, перевіряє розпакування deflate
+    files.util = (await server.uploadFile(token, 'util.js', 'export const line = 1;\n'.repeat(20000), { folderId: lib.id })).body.file;
+    files.libIndex = (await server.uploadFile(token, 'index.js', 'export const nested = true;', { folderId: lib.id })).body.file;
+});
+
+test.after(() => server.close());
+
+test('архів усіх файлів зберігає структуру папок і вміст', async () => {
+    const contents = await readArchive('');
+    assert.deepEqual(Object.keys(contents).sort(), ['main.js', 'src/index.js', 'src/lib/index.js', 'src/lib/util.js']);
+    assert.equal(contents['main.js'], 'import "./src/index.js";');
+    assert.equal(contents['src/lib/util.js'], 'export const line = 1;\n'.repeat(20000));
+});
+
+test('архів папки містить шляхи відносно неї', async () => {
+    const contents = await readArchive(`folderId=${files.src.id}`);
+    assert.deepEqual(Object.keys(contents).sort(), ['index.js', 'lib/index.js', 'lib/util.js']);
+});
+
+test('однакові назви вибраних файлів отримують номер', async () => {
+    const contents = await readArchive(`ids=${files.index.id},${files.libIndex.id}`);
+    assert.deepEqual(Object.keys(contents).sort(), ['index (2).js', 'index.js']);
+    assert.deepEqual(Object.values(contents).sort(), ['export * from "./lib/util.js";', 'export const nested = true;']);
+});
+
+test('невідомий файл у виборі дає 404', async () => {
+    const { status } = await server.request('GET', '/export?format=zip&ids=missing', { token });
+    assert.equal(status, 404);
+});
+
+test('CSV екранує коми, лапки і закінчує рядки CRLF', async () => {
+    await server.uploadFile(token, 'a,"quoted".js', 'export {};', { uploader: 'Smith, J.' });
+
+    const { status, body } = await server.request('GET', '/export?format=csv', { token });
+    assert.equal(status, 200);
+
+    const lines = body.toString().split('\r\n');
+    assert.equal(lines[0], 'ID,Name,Type,Size,Uploader,Created,Modified');
+    assert.equal(lines.at(-1), '');
+    const row = lines.find(line => line.includes('quoted'));
+    assert.ok(row.includes(',"a,""quoted"".js",'));
+    assert.ok(row.includes(',"Smith, J.",'));
+});
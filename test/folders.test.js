@@ -0,0 +1,96 @@
+// Папки: ієрархія, перегляд папки зі шляхом, перейменування, переміщення і рекурсивне видалення
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+async function createFolder(name, parentId) {
+    const { status, body } = await server.request('POST', '/folders', { token, body: { name, parentId } });
+    assert.equal(status, 201);
+    return body.folder;
+}
+
+const updateFolder = (id, body) => server.request('PATCH', `/folders/${id}`, { token, body });
+const listFolder = async folderId => (await server.request('GET', `/files?folderId=${folderId}`, { token })).body;
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+});
+
+test.after(() => server.close());
+
+test('перегляд папки показує її файли, вкладені папки і шлях', async () => {
+    const src = await createFolder('src');
+    const lib = await createFolder('lib', src.id);
+    await server.uploadFile(token, 'index.js', 'export {};', { folderId: src.id });
+    await server.uploadFile(token, 'root.js', 'export {};');
+
+    const listing = await listFolder(src.id);
+    assert.deepEqual(listing.files.map(f => f.name), ['index.js']);
+    assert.deepEqual(listing.folders.map(f => f.name), ['lib']);
+
+    const nested = await listFolder(lib.id);
+    assert.deepEqual(nested.breadcrumbs.map(b => b.name), ['Мій диск', 'src', 'lib']);
+    assert.deepEqual((await listFolder('root')).files.map(f => f.name), ['root.js']);
+
+    const { body } = await server.request('GET', `/folders/${lib.id}/path`, { token });
+    assert.deepEqual(body.breadcrumbs.map(b => b.id), [null, src.id, lib.id]);
+});
+
+test('назви папок перевіряються, дублікати в одній папці відхиляються', async () => {
+    for (const name of ['', '  ', 'a/b', 'a\\b', 'x'.repeat(256), ['docs']]) {
+        assert.equal((await server.request('POST', '/folders', { token, body: { name } })).status, 400, JSON.stringify(name));
+    }
+
+    await createFolder('docs');
+    assert.equal((await server.request('POST', '/folders', { token, body: { name: 'DOCS' } })).status, 400);
+    assert.equal((await server.request('POST', '/folders', { token, body: { name: 'x', parentId: 'missing' } })).status, 404);
+});
+
+test('папку не можна перемістити в саму себе чи у вкладену', async () => {
+    const outer = await createFolder('outer');
+    const inner = await createFolder('inner', outer.id);
+
+    assert.equal((await updateFolder(outer.id, { parentId: outer.id })).status, 400);
+    assert.equal((await updateFolder(outer.id, { parentId: inner.id })).status, 400);
+
+    const moved = await updateFolder(inner.id, { parentId: null, name: 'promoted' });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.folder.parentId, null);
+    assert.equal(moved.body.folder.name, 'promoted');
+});
+
+test('файл переміщується між папками', async () => {
+    const target = await createFolder('target');
+    const { body } = await server.uploadFile(token, 'movable.js', 'export {};');
+
+    const moved = await server.request('PATCH', `/files/${body.file.id}`, { token, body: { folderId: target.id } });
+    assert.equal(moved.status, 200);
+    assert.deepEqual((await listFolder(target.id)).files.map(f => f.name), ['movable.js']);
+
+    assert.equal((await server.request('PATCH', `/files/${body.file.id}`, { token, body: { folderId: 'missing' } })).status, 404);
+    assert.equal((await server.request('PATCH', `/files/${body.file.id}`, { token, body: {} })).status, 400);
+});
+
+test('видалення папки переносить у кошик усе дерево одним елементом', async () => {
+    const app = await createFolder('app');
+    const components = await createFolder('components', app.id);
+    await server.uploadFile(token, 'app.js', 'export {};', { folderId: app.id });
+    await server.uploadFile(token, 'button.js', 'export {};', { folderId: components.id });
+
+    const { status, body } = await server.request('DELETE', `/folders/${app.id}`, { token });
+    assert.equal(status, 200);
+    assert.equal(body.deletedFolders, 2);
+    assert.equal(body.deletedFiles, 2);
+
+    const folders = (await server.request('GET', '/folders', { token })).body.folders;
+    assert.ok(!folders.some(f => f.id === app.id || f.id === components.id));
+    assert.equal((await server.request('GET', `/files?folderId=${components.id}`, { token })).status, 404);
+
+    const trash = (await server.request('GET', '/trash', { token })).body.items;
+    assert.deepEqual(trash.filter(item => item.id === app.id).map(item => item.kind), ['folder']);
+    assert.ok(!trash.some(item => item.id === components.id));
+});
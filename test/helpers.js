@@ -0,0 +1,75 @@
+// Спільне для тестів: сервер з власними тимчасовими каталогами даних на вільному порту.
+// node --test запускає кожен тестовий файл в окремому процесі, тож і стан у кожного свій.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Запуск сервера; env - додаткові змінні оточення (їх читають під час підключення server.js)
+async function startTestServer(env = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'file-manager-test-'));
+    const dataDir = path.join(root, 'data');
+    const filesDir = path.join(root, 'files');
+    Object.assign(process.env, { DATA_DIR: dataDir, FILES_DIR: filesDir, ...env });
+
+    // Журнал роботи сервера в тестах лише заважає; помилки лишаються видимими
+    console.log = () => {};
+    console.warn = () => {};
+
+    const server = require('../server');
+    await server.initializeStorage();
+    const listener = await new Promise(resolve => {
+        const instance = server.app.listen(0, '127.0.0.1', () => resolve(instance));
+    });
+    const baseUrl = `http://127.0.0.1:${listener.address().port}/api`;
+
+    // Запит до API: body-об'єкт надсилається як JSON, Buffer - як є
+    async function request(method, url, { token, body, headers = {} } = {}) {
+        const init = { method, headers: { ...headers } };
+        if (token) init.headers.Authorization = `Bearer ${token}`;
+        if (Buffer.isBuffer(body)) {
+            init.body = body;
+        } else if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(baseUrl + url, init);
+        const type = response.headers.get('content-type') || '';
+        const data = type.includes('application/json')
+            ? await response.json()
+            : Buffer.from(await response.arrayBuffer());
+        return { status: response.status, headers: response.headers, body: data };
+    }
+
+    async function login(username = 'admin', password = 'password') {
+        const { body } = await request('POST', '/auth/login', { body: { username, password } });
+        return body.token;
+    }
+
+    // Завантаження JavaScript-файлу через POST /api/files
+    function uploadFile(token, name, source, fields = {}) {
+        return request('POST', '/files', {
+            token,
+            body: { name, type: 'application/javascript', data: source, ...fields }
+        });
+    }
+
+    async function close() {
+        listener.closeAllConnections();
+        await new Promise(resolve => listener.close(resolve));
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    return {
+        ...server,
+        dataDir,
+        filesDir,
+        blobPath: hash => path.join(filesDir, hash),
+        request,
+        login,
+        uploadFile,
+        close
+    };
+}
+
+module.exports = { startTestServer };
@@ -0,0 +1,141 @@
+// Імпорт ZIP: папки з архіву, стратегії конфліктів, звіт по записах і відмова без часткових змін
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+// Архів з { шлях: вміст }; шлях із "/" у кінці - каталог
+async function buildZip(entries) {
+    const chunks = [];
+    const zipEntries = Object.entries(entries).map(([name, content]) => ({
+        name,
+        date: new Date(),
+        size: Buffer.byteLength(content),
+        open: async () => Readable.from([Buffer.from(content)])
+    }));
+    for await (const chunk of server.createZipStream(zipEntries)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+function importZip(archive, query = '', authToken = token) {
+    return server.request('POST', `/files/import?${query}`, {
+        token: authToken,
+        headers: { 'Content-Type': 'application/zip' },
+        body: archive
+    });
+}
+
+const listFiles = async (authToken = token) => (await server.request('GET', '/files?limit=1000', { token: authToken })).body.files;
+const readContent = async id => (await server.request('GET', `/files/${id}/content`, { token })).body.toString();
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+});
+
+test.after(() => server.close());
+
+test('експортований архів імпортується в папку з тією ж структурою', async () => {
+    const src = (await server.request('POST', '/folders', { token, body: { name: 'src' } })).body.folder;
+    await server.uploadFile(token, 'main.js', 'export const main = 1;');
+    await server.uploadFile(token, 'util.js', 'export const util = 1;', { folderId: src.id });
+
+    const exported = (await server.request('GET', '/export?format=zip', { token })).body;
+    const target = (await server.request('POST', '/folders', { token, body: { name: 'copy' } })).body.folder;
+
+    const { status, body } = await importZip(exported, `folderId=${target.id}`);
+    assert.equal(status, 200);
+    assert.equal(body.summary.created, 2);
+    assert.equal(body.summary.failed, 0);
+
+    const copied = await server.request('GET', `/export?format=zip&folderId=${target.id}`, { token });
+    const reimported = await importZip(copied.body, `folderId=${target.id}&onConflict=skip`);
+    assert.deepEqual(reimported.body.results.map(r => [r.path, r.action]).sort(), [['main.js', 'skipped'], ['src/util.js', 'skipped']]);
+
+    const copiedUtil = reimported.body.results.find(r => r.path === 'src/util.js');
+    assert.equal(await readContent(copiedUtil.id), 'export const util = 1;');
+});
+
+test('конфлікти назв: rename, skip і overwrite', async () => {
+    const folder = (await server.request('POST', '/folders', { token, body: { name: 'conflicts' } })).body.folder;
+    const query = `folderId=${folder.id}`;
+
+    const created = await importZip(await buildZip({ 'app.js': 'export const v = 1;' }), query);
+    const original = created.body.results[0];
+    assert.equal(original.action, 'created');
+
+    const renamed = await importZip(await buildZip({ 'app.js': 'export const v = 2;' }), `${query}&onConflict=rename`);
+    assert.equal(renamed.body.results[0].action, 'renamed');
+    assert.equal(renamed.body.results[0].savedAs, 'app (2).js');
+
+    const skipped = await importZip(await buildZip({ 'app.js': 'export const v = 3;' }), `${query}&onConflict=skip`);
+    assert.equal(skipped.body.results[0].action, 'skipped');
+    assert.equal(await readContent(original.id), 'export const v = 1;');
+
+    const overwritten = await importZip(await buildZip({ 'app.js': 'export const v = 4;' }), `${query}&onConflict=overwrite`);
+    assert.equal(overwritten.body.results[0].action, 'overwritten');
+    assert.equal(overwritten.body.results[0].id, original.id);
+    assert.equal(await readContent(original.id), 'export const v = 4;');
+
+    const revisions = await server.request('GET', `/files/${original.id}/revisions`, { token });
+    assert.deepEqual(revisions.body.revisions.map(r => r.version), [1]);
+});
+
+test('небезпечні й заборонені записи відхиляються, решта імпортується', async () => {
+    const archive = await buildZip({
+        'docs/': '',
+        'docs/readme.js': '// docs',
+        '../escape.js': 'export {};',
+        'notes.txt': 'plain text',
+        '__MACOSX/._readme.js': 'junk'
+    });
+
+    const { body } = await importZip(archive);
+    const byPath = new Map(body.results.map(r => [r.path, r]));
+    assert.equal(byPath.get('docs').action, 'folder');
+    assert.equal(byPath.get('docs/readme.js').action, 'created');
+    assert.equal(byPath.get('../escape.js').success, false);
+    assert.equal(byPath.get('notes.txt').success, false);
+    assert.ok(!body.results.some(r => r.path.startsWith('__MACOSX')));
+    assert.equal(body.summary.failed, 2);
+});
+
+test('запис, що не пройшов перевірку, не лишає ревізій і змін файлу', async () => {
+    await server.request('POST', '/auth/register', { body: { username: 'small', password: 'small-password', name: 'Small' } });
+    await server.request('PATCH', '/admin/users/small', { token, body: { quota: 100 } });
+    const smallToken = await server.login('small', 'small-password');
+
+    const file = (await server.uploadFile(smallToken, 'limited.js', 'export const small = 1;')).body.file;
+    const archive = await buildZip({ 'limited.js': `export const big = '${'x'.repeat(200)}';` });
+
+    const { body } = await importZip(archive, 'onConflict=overwrite', smallToken);
+    assert.equal(body.results[0].success, false);
+    assert.equal(body.results[0].status, 413);
+
+    const [current] = await listFiles(smallToken);
+    assert.equal(current.version, 1);
+    assert.equal(current.hash, file.hash);
+    const revisions = await server.request('GET', `/files/${file.id}/revisions`, { token: smallToken });
+    assert.deepEqual(revisions.body.revisions, []);
+
+    // Папки з шляху відхиленого запису не створюються, навіть якщо відхилено глибший рівень
+    const nested = await buildZip({
+        'nested/deep/big.js': `export const big = '${'x'.repeat(200)}';`,
+        [`valid/${'n'.repeat(300)}/small.js`]: 'export {};'
+    });
+    const rejected = await importZip(nested, '', smallToken);
+    assert.equal(rejected.body.results[0].status, 413);
+    assert.equal(rejected.body.results[1].success, false);
+    const folders = await server.request('GET', '/folders', { token: smallToken });
+    assert.deepEqual(folders.body.folders, []);
+});
+
+test('архів у неіснуючу папку відхиляється', async () => {
+    const { status } = await importZip(await buildZip({ 'a.js': 'export {};' }), 'folderId=missing');
+    assert.equal(status, 404);
+});
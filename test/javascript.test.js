@@ -0,0 +1,90 @@
+// Розбір JavaScript під час завантаження: тип модуля, імпорти, експорти й синтаксичні помилки
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+async function analyze(name, source) {
+    const { status, body } = await server.uploadFile(token, name, source);
+    assert.equal(status, 200);
+    const details = await server.request('GET', `/files/${body.file.id}`, { token });
+    return { upload: body, javascript: details.body.file.javascript };
+}
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+});
+
+test.after(() => server.close());
+
+test('ES-модуль: імпорти, реекспорти й експортовані імена', async () => {
+    const source = [
+        "import fs from 'fs';",
+        "import { join } from 'path';",
+        "export * from './utils.js';",
+        "export { helper as assist } from './helper.js';",
+        'export const [first, second] = [1, 2];',
+        'export function run() { return import("./lazy.js"); }',
+        'export default run;'
+    ].join('\n');
+    const { javascript } = await analyze('module.js', source);
+
+    assert.equal(javascript.lines, 7);
+    assert.equal(javascript.moduleType, 'esm');
+    assert.deepEqual(javascript.imports, [
+        { source: 'fs', kind: 'import' },
+        { source: 'path', kind: 'import' },
+        { source: './utils.js', kind: 'export' },
+        { source: './helper.js', kind: 'export' },
+        { source: './lazy.js', kind: 'dynamic' }
+    ]);
+    assert.deepEqual(javascript.exports, ['* from ./utils.js', 'assist', 'first', 'second', 'run', 'default']);
+    assert.equal(javascript.syntaxError, null);
+});
+
+test('CommonJS: require і присвоєння module.exports та exports', async () => {
+    const source = [
+        "const http = require('http');",
+        "const name = 'dynamic';",
+        'require(name);',
+        'module.exports = { start, stop: () => {} };',
+        'exports.version = 1;'
+    ].join('\n');
+    const { javascript } = await analyze('server.js', source);
+
+    assert.equal(javascript.moduleType, 'commonjs');
+    assert.deepEqual(javascript.imports, [{ source: 'http', kind: 'require' }]);
+    assert.deepEqual(javascript.exports, ['start', 'stop', 'version']);
+});
+
+test('змішаний модуль і звичайний скрипт', async () => {
+    assert.equal((await analyze('mixed.js', "import a from 'a';\nmodule.exports = a;")).javascript.moduleType, 'mixed');
+    assert.equal((await analyze('script.js', 'console.log(1);')).javascript.moduleType, 'script');
+});
+
+test('файл із синтаксичною помилкою приймається з позначкою', async () => {
+    const { upload, javascript } = await analyze('broken.js', 'const ok = 1;\nconst = 2;');
+
+    assert.equal(upload.syntaxError.line, 2);
+    assert.equal(upload.syntaxError.column, 7);
+    assert.deepEqual(javascript.syntaxError, upload.syntaxError);
+    assert.equal(javascript.moduleType, null);
+
+    const listing = await server.request('GET', '/files?limit=1000', { token });
+    assert.equal(listing.body.files.find(f => f.name === 'broken.js').hasSyntaxError, true);
+    assert.equal(listing.body.files.find(f => f.name === 'script.js').hasSyntaxError, false);
+});
+
+test('розбір зберігається в блобі і спільний для однакового вмісту', async () => {
+    const source = 'export const shared = true;';
+    const first = await analyze('first.js', source);
+    const second = await analyze('second.js', source);
+    assert.equal(first.upload.file.hash, second.upload.file.hash);
+
+    const blob = (await server.readDatabase()).blobs[first.upload.file.hash];
+    assert.deepEqual(blob.javascript.exports, ['shared']);
+    assert.deepEqual(second.javascript, blob.javascript);
+});
@@ -0,0 +1,100 @@
+// Публічні посилання: лише хеш токена в базі, пароль з блокуванням перебору, ліміт завантажень і термін дії
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+const source = 'export const shared = "public";';
+
+async function createLink(fields = {}) {
+    const { status, body } = await server.request('POST', '/files/shared/links', { token, body: fields });
+    assert.equal(status, 201);
+    return body;
+}
+
+const download = (linkToken, headers = {}) => server.request('GET', `/public/${linkToken}`, { headers });
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+    await server.uploadFile(token, 'shared.js', source, { id: 'shared' });
+});
+
+test.after(() => server.close());
+
+test('посилання відкриває файл без авторизації, у базі лише хеш токена', async () => {
+    const { token: linkToken, link } = await createLink();
+
+    const { status, body } = await download(linkToken);
+    assert.equal(status, 200);
+    assert.equal(body.toString(), source);
+
+    const stored = (await server.readDatabase()).links.find(l => l.id === link.id);
+    assert.ok(stored.tokenHash);
+    assert.ok(!JSON.stringify(stored).includes(linkToken));
+
+    assert.equal((await download('unknown-token')).status, 404);
+});
+
+test('чужий файл не можна поширити посиланням', async () => {
+    await server.request('POST', '/auth/register', { body: { username: 'mallory', password: 'mallory-password' } });
+    const malloryToken = await server.login('mallory', 'mallory-password');
+    assert.equal((await server.request('POST', '/files/shared/links', { token: malloryToken, body: {} })).status, 404);
+});
+
+test('невірні паролі блокують спроби з адреси, навіть з правильним паролем', async () => {
+    const { token: linkToken } = await createLink({ password: 'link-password' });
+
+    assert.equal((await download(linkToken)).status, 401);
+    for (let attempt = 0; attempt < 5; attempt++) {
+        assert.equal((await download(linkToken, { 'X-Link-Password': 'wrong-password' })).status, 401);
+    }
+
+    const locked = await download(linkToken, { 'X-Link-Password': 'link-password' });
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+});
+
+test('правильний пароль скидає лічильник невдалих спроб', async () => {
+    const { token: linkToken } = await createLink({ password: 'link-password' });
+
+    for (let round = 0; round < 2; round++) {
+        for (let attempt = 0; attempt < 4; attempt++) {
+            await download(linkToken, { 'X-Link-Password': 'wrong-password' });
+        }
+        assert.equal((await download(linkToken, { 'X-Link-Password': 'link-password' })).status, 200);
+    }
+});
+
+test('ліміт завантажень не враховує HEAD і докачування', async () => {
+    const { token: linkToken, link } = await createLink({ maxDownloads: 2 });
+
+    assert.equal((await download(linkToken)).status, 200);
+    assert.equal((await server.request('HEAD', `/public/${linkToken}`)).status, 200);
+    assert.equal((await download(linkToken, { Range: 'bytes=5-' })).status, 206);
+
+    const info = await server.request('GET', `/public/${linkToken}/info`);
+    assert.equal(info.body.downloadsLeft, 1);
+
+    assert.equal((await download(linkToken)).status, 200);
+    assert.equal((await download(linkToken)).status, 410);
+    assert.equal((await server.readDatabase()).links.find(l => l.id === link.id).downloadCount, 2);
+});
+
+test('прострочене й відкликане посилання недоступні', async () => {
+    assert.equal((await server.request('POST', '/files/shared/links', { token, body: { expiresAt: '2000-01-01' } })).status, 400);
+    assert.equal((await server.request('POST', '/files/shared/links', { token, body: { maxDownloads: 0 } })).status, 400);
+
+    const expiring = await createLink({ expiresAt: new Date(Date.now() + 60 * 1000).toISOString() });
+    await server.transaction(async db => {
+        db.links.find(l => l.id === expiring.link.id).expiresAt = new Date(Date.now() - 1000).toISOString();
+        await server.writeDatabase(db);
+    });
+    assert.equal((await download(expiring.token)).status, 410);
+
+    const revoked = await createLink();
+    assert.equal((await server.request('DELETE', `/links/${revoked.link.id}`, { token })).status, 200);
+    assert.equal((await download(revoked.token)).status, 404);
+});
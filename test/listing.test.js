@@ -0,0 +1,80 @@
+// Список файлів: сторінки, сортування, фільтри і перевірка назв на всіх шляхах запису
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+const listFiles = async (query = '') => server.request('GET', `/files?${query}`, { token });
+const names = response => response.body.files.map(f => f.name);
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+
+    await server.uploadFile(token, 'beta.js', 'export const beta = "bb";', { uploader: 'Ann' });
+    await server.uploadFile(token, 'Alpha.js', 'export const alpha = 1;', { uploader: 'Bob' });
+    await server.uploadFile(token, 'gamma.js', `export const gamma = "${'g'.repeat(100)}";`, { uploader: 'Ann' });
+});
+
+test.after(() => server.close());
+
+test('сторінки з limit/offset повідомляють про наступну', async () => {
+    const first = await listFiles('limit=2');
+    assert.equal(first.status, 200);
+    assert.deepEqual(names(first), ['beta.js', 'Alpha.js']);
+    assert.equal(first.body.total, 3);
+    assert.equal(first.body.hasMore, true);
+    assert.equal(first.body.nextOffset, 2);
+
+    const second = await listFiles('limit=2&offset=2');
+    assert.deepEqual(names(second), ['gamma.js']);
+    assert.equal(second.body.hasMore, false);
+    assert.equal(second.body.nextOffset, null);
+});
+
+test('сортування за назвою без урахування регістру і за розміром', async () => {
+    assert.deepEqual(names(await listFiles('sortBy=name')), ['Alpha.js', 'beta.js', 'gamma.js']);
+    assert.deepEqual(names(await listFiles('sortBy=size&order=desc')), ['gamma.js', 'beta.js', 'Alpha.js']);
+});
+
+test('фільтри за автором, розміром і розширенням', async () => {
+    assert.deepEqual(names(await listFiles('uploader=ann&sortBy=name')), ['beta.js', 'gamma.js']);
+    assert.deepEqual(names(await listFiles('minSize=50')), ['gamma.js']);
+    assert.equal((await listFiles('extension=png')).body.total, 0);
+});
+
+test('некоректні параметри списку відхиляються', async () => {
+    for (const query of ['sortBy=owner', 'order=up', 'limit=0', 'offset=-1', 'minSize=big', 'from=yesterday']) {
+        assert.equal((await listFiles(query)).status, 400, query);
+    }
+});
+
+test('назва, що не є непорожнім рядком, відхиляється на кожному шляху запису', async () => {
+    for (const name of [['a.js'], { name: 'a.js' }, '  ']) {
+        const json = await server.request('POST', '/files', { token, body: { name, type: 'application/javascript', data: 'export {};' } });
+        assert.equal(json.status, 400);
+
+        const chunked = await server.request('POST', '/uploads', { token, body: { name, type: 'application/javascript', size: 10 } });
+        assert.equal(chunked.status, 400);
+
+        const bulk = await server.request('POST', '/files/bulk', { token, body: { files: [{ name, type: 'application/javascript', data: 'export {};' }] } });
+        assert.equal(bulk.body.results[0].success, false);
+    }
+
+    // Повторений параметр у query приходить масивом
+    const raw = await server.request('POST', '/files/upload?name=a.js&name=b.js', {
+        token,
+        headers: { 'Content-Type': 'application/javascript' },
+        body: Buffer.from('export {};')
+    });
+    assert.equal(raw.status, 400);
+
+    const json = await server.request('POST', '/files', { token, body: { name: 'typed.js', type: ['application/javascript'], data: 'export {};' } });
+    assert.equal(json.status, 400);
+
+    const listing = await listFiles('sortBy=name');
+    assert.equal(listing.status, 200);
+    assert.equal(listing.body.total, 3);
+});
@@ -0,0 +1,79 @@
+// Ролі й права: проміжні обробники закривають запис для readonly, адміністрування - для всіх, крім admin
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let server;
+let adminToken;
+let memberToken;
+let readerToken;
+
+async function createUser(username, role) {
+    await server.request('POST', '/auth/register', { body: { username, password: `${username}-password` } });
+    if (role) await server.request('PATCH', `/admin/users/${username}`, { token: adminToken, body: { role } });
+    return server.login(username, `${username}-password`);
+}
+
+test.before(async () => {
+    server = await startTestServer();
+    adminToken = await server.login();
+    memberToken = await createUser('member');
+    readerToken = await createUser('reader', 'readonly');
+    await server.uploadFile(memberToken, 'member.js', 'export const member = 1;', { id: 'member-file' });
+});
+
+test.after(() => server.close());
+
+test('readonly читає, але кожен шлях запису відповідає 403', async () => {
+    assert.equal((await server.request('GET', '/files', { token: readerToken })).status, 200);
+    assert.equal((await server.request('POST', '/sync', { token: readerToken, body: {} })).status, 200);
+
+    const writes = [
+        ['POST', '/files', { name: 'a.js', type: 'application/javascript', data: 'export {};' }],
+        ['POST', '/files/upload?name=a.js'],
+        ['POST', '/files/bulk', { files: [] }],
+        ['POST', '/uploads', { name: 'a.js', type: 'application/javascript', size: 10 }],
+        ['PUT', '/uploads/any/chunks/0'],
+        ['PATCH', '/files/any', { folderId: null }],
+        ['DELETE', '/files/any'],
+        ['POST', '/folders', { name: 'docs' }],
+        ['DELETE', '/trash'],
+        ['DELETE', '/links/any']
+    ];
+    for (const [method, url, body] of writes) {
+        const { status } = await server.request(method, url, { token: readerToken, body });
+        assert.equal(status, 403, `${method} ${url}`);
+    }
+    assert.equal((await server.readDatabase()).files.filter(f => f.userId === 'reader').length, 0);
+});
+
+test('member не має доступу до сховища, бекапів, користувачів і загальної статистики', async () => {
+    assert.equal((await server.request('GET', '/stats', { token: memberToken })).status, 200);
+
+    for (const [method, url] of [['GET', '/storage/info'], ['POST', '/storage/gc'], ['POST', '/backup'], ['GET', '/backups'], ['GET', '/admin/users'], ['GET', '/stats?scope=all']]) {
+        const { status } = await server.request(method, url, { token: memberToken });
+        assert.equal(status, 403, `${method} ${url}`);
+    }
+
+    assert.equal((await server.request('GET', '/storage/info')).status, 401);
+    assert.equal((await server.request('GET', '/admin/users', { token: adminToken })).status, 200);
+    assert.equal((await server.request('GET', '/storage/info', { token: adminToken })).status, 200);
+});
+
+test('зміна ролі діє на вже видані токени', async () => {
+    const me = await server.request('GET', '/auth/me', { token: memberToken });
+    assert.deepEqual(me.body.permissions, ['files:read', 'files:write']);
+
+    await server.request('PATCH', '/admin/users/member', { token: adminToken, body: { role: 'readonly' } });
+    assert.equal((await server.request('DELETE', '/files/member-file', { token: memberToken })).status, 403);
+    assert.equal((await server.request('GET', '/files/member-file', { token: memberToken })).status, 200);
+
+    await server.request('PATCH', '/admin/users/member', { token: adminToken, body: { role: 'member' } });
+    assert.equal((await server.request('DELETE', '/files/member-file', { token: memberToken })).status, 200);
+});
+
+test('невідома роль і пониження останнього адміністратора відхиляються', async () => {
+    assert.equal((await server.request('PATCH', '/admin/users/member', { token: adminToken, body: { role: 'owner' } })).status, 400);
+    assert.equal((await server.request('PATCH', '/admin/users/admin', { token: adminToken, body: { role: 'member' } })).status, 409);
+    assert.equal((await server.request('PATCH', '/admin/users/reader', { token: memberToken, body: { role: 'admin' } })).status, 403);
+});
@@ -0,0 +1,88 @@
+// Політика типів файлів: розширення, MIME-тип, сигнатура вмісту і перевірки масового завантаження
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+const bulkUpload = files => server.request('POST', '/files/bulk', { token, body: { files } });
+const jsFile = (name, data, fields = {}) => ({ name, type: 'application/javascript', data, ...fields });
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+});
+
+test.after(() => server.close());
+
+test('політика для ролі віддається клієнту', async () => {
+    const { status, body } = await server.request('GET', '/file-policy', { token });
+    assert.equal(status, 200);
+    assert.equal(body.policy.role, 'admin');
+    assert.deepEqual(body.policy.types.map(t => t.id), ['javascript', 'png']);
+    assert.equal(body.policy.types[0].maxSize, 50 * 1024 * 1024);
+});
+
+test('розширення, заявлений тип і сигнатура вмісту перевіряються', async () => {
+    const unsupported = await server.request('POST', '/files', { token, body: { name: 'notes.txt', type: 'text/plain', data: 'text' } });
+    assert.equal(unsupported.status, 400);
+
+    const mismatch = await server.request('POST', '/files', { token, body: { name: 'app.js', type: 'image/png', data: 'export {};' } });
+    assert.equal(mismatch.status, 415);
+
+    const binary = await server.uploadFile(token, 'binary.js', 'MZ\u0000\u0000');
+    assert.equal(binary.status, 415);
+
+    const fakePng = await server.request('POST', '/files', {
+        token,
+        body: { name: 'image.png', type: 'image/png', data: `data:image/png;base64,${Buffer.from('not a png').toString('base64')}` }
+    });
+    assert.equal(fakePng.status, 415);
+
+    // Незаявлений тип замінюється типовим для розширення
+    const untyped = await server.request('POST', '/files', { token, body: { name: 'untyped.js', data: 'export {};' } });
+    assert.equal(untyped.status, 200);
+    assert.equal(untyped.body.file.type, 'text/javascript');
+});
+
+test('вміст, що не є рядком, відхиляється з 400', async () => {
+    for (const data of [{ text: 'export {};' }, 42, ['export {};']]) {
+        const { status, body } = await server.request('POST', '/files', { token, body: { name: 'object.js', type: 'application/javascript', data } });
+        assert.equal(status, 400);
+        assert.equal(body.success, false);
+    }
+});
+
+test('масове завантаження звітує по кожному запису і не змінює файли відхилених', async () => {
+    const trashed = (await server.uploadFile(token, 'trashed.js', 'export const trashed = 1;')).body.file;
+    await server.request('DELETE', `/files/${trashed.id}`, { token });
+    const before = await server.readDatabase();
+
+    const { status, body } = await bulkUpload([
+        jsFile('good.js', 'export const good = 1;'),
+        null,
+        jsFile('object.js', { text: 'export {};' }),
+        jsFile('readme.txt', 'text'),
+        jsFile('trashed.js', 'export const trashed = 2;', { id: trashed.id }),
+        jsFile('lost.js', 'export const lost = 1;', { folderId: 'missing' })
+    ]);
+    assert.equal(status, 200);
+    assert.equal(body.successCount, 1);
+    assert.deepEqual(body.results.map(r => r.success), [true, false, false, false, false, false]);
+
+    const after = await server.readDatabase();
+    assert.equal(after.files.length, before.files.length + 1);
+    assert.deepEqual(after.files.find(f => f.id === trashed.id), before.files.find(f => f.id === trashed.id));
+    assert.equal(after.revisions.length, before.revisions.length);
+
+    // Блоби відхилених записів не отримали посилань
+    const lostHash = crypto.createHash('sha256').update('export const lost = 1;').digest('hex');
+    assert.equal(after.blobs[lostHash], undefined);
+});
+
+test('масове завантаження без списку файлів відхиляється', async () => {
+    const { status } = await server.request('POST', '/files/bulk', { token, body: { files: 'good.js' } });
+    assert.equal(status, 400);
+});
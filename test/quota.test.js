@@ -0,0 +1,121 @@
+// Квоти: перевіряються на кожному шляху запису - JSON, потік, частини, масове завантаження й імпорт ZIP
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { startTestServer } = require('./helpers');
+
+let server;
+let adminToken;
+let token;
+
+const QUOTA = 100;
+const source = size => `export const v = "${'q'.repeat(size - 20)}";`;
+
+async function buildZip(entries) {
+    const chunks = [];
+    const zipEntries = Object.entries(entries).map(([name, content]) => ({
+        name,
+        date: new Date(),
+        size: Buffer.byteLength(content),
+        open: async () => Readable.from([Buffer.from(content)])
+    }));
+    for await (const chunk of server.createZipStream(zipEntries)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+const usage = async () => (await server.request('GET', '/quota', { token })).body.quota;
+const fileCount = async () => (await server.readDatabase()).files.filter(f => f.userId === 'carol').length;
+
+test.before(async () => {
+    server = await startTestServer();
+    adminToken = await server.login();
+    await server.request('POST', '/auth/register', { body: { username: 'carol', password: 'carol-password' } });
+    await server.request('PATCH', '/admin/users/carol', { token: adminToken, body: { quota: QUOTA } });
+    token = await server.login('carol', 'carol-password');
+
+    const { status } = await server.uploadFile(token, 'base.js', source(60), { id: 'base' });
+    assert.equal(status, 200);
+});
+
+test.after(() => server.close());
+
+test('квота видна користувачу і враховує перезапис файлу', async () => {
+    assert.deepEqual(await usage(), { limit: QUOTA, used: 60, remaining: 40, trashSize: 0, filesCount: 1 });
+
+    // Нова версія замінює стару, тож 90 байтів вміщаються в 100
+    assert.equal((await server.uploadFile(token, 'base.js', source(90), { id: 'base' })).status, 200);
+    assert.equal((await server.uploadFile(token, 'base.js', source(60), { id: 'base' })).status, 200);
+});
+
+test('JSON-завантаження понад квоту відхиляється з 413', async () => {
+    const { status, body } = await server.uploadFile(token, 'extra.js', source(60));
+    assert.equal(status, 413);
+    assert.deepEqual(body.quota, { limit: QUOTA, used: 60, required: 60 });
+    assert.equal(await fileCount(), 1);
+});
+
+test('потокове завантаження відхиляється за заявленим розміром', async () => {
+    const { status } = await server.request('POST', '/files/upload?name=raw.js', {
+        token,
+        headers: { 'Content-Type': 'application/javascript' },
+        body: Buffer.from(source(60))
+    });
+    assert.equal(status, 413);
+    assert.equal(await fileCount(), 1);
+});
+
+test('поетапне завантаження: і створення сесії, і завершення після зміни квоти', async () => {
+    const tooBig = await server.request('POST', '/uploads', { token, body: { name: 'big.js', type: 'application/javascript', size: 60 } });
+    assert.equal(tooBig.status, 413);
+
+    const content = Buffer.from(source(30));
+    const { body } = await server.request('POST', '/uploads', { token, body: { name: 'chunk.js', type: 'application/javascript', size: content.length } });
+    assert.equal((await server.request('PUT', `/uploads/${body.upload.id}/chunks/0`, {
+        token,
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: content
+    })).status, 200);
+
+    // Поки частини передавались, адміністратор зменшив квоту
+    await server.request('PATCH', '/admin/users/carol', { token: adminToken, body: { quota: 80 } });
+    const completed = await server.request('POST', `/uploads/${body.upload.id}/complete`, { token });
+    await server.request('PATCH', '/admin/users/carol', { token: adminToken, body: { quota: QUOTA } });
+
+    assert.equal(completed.status, 413);
+    assert.equal(completed.body.quota.limit, 80);
+    assert.equal(await fileCount(), 1);
+});
+
+test('масове завантаження рахує вже додані в запиті файли', async () => {
+    const { body } = await server.request('POST', '/files/bulk', {
+        token,
+        body: {
+            files: [
+                { name: 'one.js', type: 'application/javascript', data: source(30) },
+                { name: 'two.js', type: 'application/javascript', data: source(30) }
+            ]
+        }
+    });
+    assert.deepEqual(body.results.map(r => r.success), [true, false]);
+    assert.equal(await fileCount(), 2);
+
+    await server.request('DELETE', `/files/${body.results[0].id}`, { token });
+    assert.equal((await usage()).trashSize, 30);
+});
+
+test('імпорт ZIP не записує файли понад квоту', async () => {
+    // Файл у кошику теж займає місце: лишилось 10 байтів
+    const archive = await buildZip({ 'lib/small.js': source(25) });
+    const { body } = await server.request('POST', '/files/import', {
+        token,
+        headers: { 'Content-Type': 'application/zip' },
+        body: archive
+    });
+
+    assert.equal(body.results[0].success, false);
+    assert.equal(body.results[0].status, 413);
+    assert.equal(await fileCount(), 2);
+    assert.equal((await server.readDatabase()).folders.filter(f => f.userId === 'carol').length, 0);
+});
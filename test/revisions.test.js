@@ -0,0 +1,57 @@
+// Версії файлів: ревізії при перезаписі, відновлення і політика зберігання
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+const readContent = async id => (await server.request('GET', `/files/${id}/content`, { token })).body.toString();
+const listRevisions = async id => (await server.request('GET', `/files/${id}/revisions`, { token })).body.revisions;
+
+test.before(async () => {
+    // Одна ревізія на файл: відновлення одразу витісняє ревізію, з якої відновлюємо
+    server = await startTestServer({ REVISION_KEEP_LAST: '1' });
+    token = await server.login();
+});
+
+test.after(() => server.close());
+
+test('перезапис зберігає попередню версію, яку можна завантажити', async () => {
+    const file = (await server.uploadFile(token, 'history.js', 'export const v = 1;', { id: 'history' })).body.file;
+    await server.uploadFile(token, 'history.js', 'export const v = 2;', { id: 'history' });
+
+    const [revision] = await listRevisions(file.id);
+    assert.equal(revision.version, 1);
+    assert.equal(revision.author, 'admin');
+
+    const content = await server.request('GET', `/files/${file.id}/revisions/${revision.id}`, { token });
+    assert.equal(content.body.revision.data, 'export const v = 1;');
+});
+
+test('відновлення витісненої політикою ревізії не втрачає її вміст', async () => {
+    const [revision] = await listRevisions('history');
+    const { status, body } = await server.request('POST', `/files/history/revisions/${revision.id}/restore`, { token });
+    assert.equal(status, 200);
+    assert.equal(body.file.version, 3);
+    assert.equal(body.file.restoredFrom, 1);
+
+    assert.equal(await readContent('history'), 'export const v = 1;');
+    assert.ok(fs.existsSync(server.blobPath(body.file.hash)));
+    // Посилання витісненої ревізії звільнено, лишилося лише посилання поточної версії
+    assert.equal((await server.readDatabase()).blobs[body.file.hash].refCount, 1);
+
+    // Єдина ревізія тепер - версія 2, і її вміст на місці
+    const [kept] = await listRevisions('history');
+    assert.equal(kept.version, 2);
+    const content = await server.request('GET', `/files/history/revisions/${kept.id}`, { token });
+    assert.equal(content.body.revision.data, 'export const v = 2;');
+});
+
+test('невдале відновлення нічого не змінює', async () => {
+    const before = await server.readDatabase();
+    const { status } = await server.request('POST', '/files/history/revisions/missing/restore', { token });
+    assert.equal(status, 404);
+    assert.equal(await server.readDatabase(), before);
+});
@@ -0,0 +1,44 @@
+// Повнотекстовий пошук: індекс оновлюється лише для вмісту, якого торкнувся запис
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+const search = async query => (await server.request('GET', `/files/search?query=${query}`, { token })).body;
+const contentMatches = async query => (await search(query)).files.filter(f => f.snippets.length > 0).map(f => f.id);
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+});
+
+test.after(() => server.close());
+
+test('нова версія файлу замінює його вміст в індексі', async () => {
+    await server.uploadFile(token, 'animals.js', 'export const animal = "zebraword";', { id: 'animals' });
+    assert.deepEqual(await contentMatches('zebraword'), ['animals']);
+
+    await server.uploadFile(token, 'animals.js', 'export const animal = "quokkaword";', { id: 'animals' });
+    assert.deepEqual(await contentMatches('zebraword'), []);
+    assert.deepEqual(await contentMatches('quokkaword'), ['animals']);
+});
+
+test('видалення й відновлення файлу прибирає і повертає вміст', async () => {
+    await server.uploadFile(token, 'trashable.js', 'export const value = "wombatword";', { id: 'trashable' });
+    assert.equal((await server.request('DELETE', '/files/trashable', { token })).status, 200);
+    assert.deepEqual(await contentMatches('wombatword'), []);
+
+    assert.equal((await server.request('POST', '/trash/trashable/restore', { token })).status, 200);
+    assert.deepEqual(await contentMatches('wombatword'), ['trashable']);
+});
+
+test('спільний вміст лишається в індексі, поки на нього посилається хоч один файл', async () => {
+    const source = 'export const shared = "platypusword";';
+    await server.uploadFile(token, 'first.js', source, { id: 'first' });
+    await server.uploadFile(token, 'second.js', source, { id: 'second' });
+
+    await server.request('DELETE', '/files/first', { token });
+    assert.deepEqual(await contentMatches('platypusword'), ['second']);
+});
@@ -0,0 +1,58 @@
+// Сесії: користувач визначається лише за підписаним токеном, а не за параметрами запиту
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let server;
+let adminToken;
+let bobToken;
+
+test.before(async () => {
+    server = await startTestServer();
+    adminToken = await server.login();
+    await server.request('POST', '/auth/register', { body: { username: 'bob', password: 'bob-password' } });
+    bobToken = await server.login('bob', 'bob-password');
+    await server.uploadFile(adminToken, 'secret.js', 'export const secret = 1;', { id: 'secret' });
+});
+
+test.after(() => server.close());
+
+test('маршрути файлів без токена відповідають 401', async () => {
+    for (const [method, url] of [['GET', '/files'], ['GET', '/files/secret'], ['DELETE', '/files/secret'], ['GET', '/files/secret/revisions'], ['DELETE', '/uploads/any']]) {
+        const { status } = await server.request(method, url);
+        assert.equal(status, 401, `${method} ${url}`);
+    }
+
+    const withQuery = await server.request('GET', '/files?userId=admin');
+    assert.equal(withQuery.status, 401);
+});
+
+test('userId у запиті не підміняє власника сесії', async () => {
+    const listing = await server.request('GET', '/files?userId=admin', { token: bobToken });
+    assert.equal(listing.status, 200);
+    assert.equal(listing.body.total, 0);
+
+    const upload = await server.uploadFile(bobToken, 'mine.js', 'export const mine = 1;', { userId: 'admin' });
+    assert.equal(upload.body.file.userId, 'bob');
+
+    assert.equal((await server.request('GET', '/files/secret', { token: bobToken })).status, 404);
+    assert.equal((await server.request('DELETE', '/files/secret?userId=admin', { token: bobToken })).status, 404);
+    assert.equal((await server.request('GET', '/files/secret/revisions', { token: bobToken })).status, 404);
+    assert.equal((await server.request('GET', '/files/secret/revisions/any', { token: bobToken })).status, 404);
+});
+
+test('змінений або чужий підпис токена не приймається', async () => {
+    const [payload, signature] = bobToken.split('.');
+    const forged = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    forged.sub = 'admin';
+    const tampered = `${Buffer.from(JSON.stringify(forged)).toString('base64url')}.${signature}`;
+
+    assert.equal((await server.request('GET', '/files', { token: tampered })).status, 401);
+    assert.equal((await server.request('GET', '/files', { token: 'not-a-token' })).status, 401);
+});
+
+test('вимкнений обліковий запис втрачає доступ з уже виданим токеном', async () => {
+    await server.request('PATCH', '/admin/users/bob', { token: adminToken, body: { disabled: true } });
+    assert.equal((await server.request('GET', '/files', { token: bobToken })).status, 401);
+    assert.equal((await server.request('POST', '/auth/login', { body: { username: 'bob', password: 'bob-password' } })).status, 403);
+});
@@ -0,0 +1,81 @@
+// Спільний доступ: перегляд і редагування файлів та папок іншого користувача, відкликання доступу
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let server;
+let ownerToken;
+let guestToken;
+let folder;
+
+const share = (url, username, permission) => server.request('POST', url, { token: ownerToken, body: { username, permission } });
+const sharedWithGuest = async () => (await server.request('GET', '/shared', { token: guestToken })).body;
+
+test.before(async () => {
+    server = await startTestServer();
+    ownerToken = await server.login();
+    await server.request('POST', '/auth/register', { body: { username: 'guest', password: 'guest-password' } });
+    guestToken = await server.login('guest', 'guest-password');
+
+    await server.uploadFile(ownerToken, 'doc.js', 'export const doc = 1;', { id: 'doc' });
+    folder = (await server.request('POST', '/folders', { token: ownerToken, body: { name: 'team' } })).body.folder;
+    const nested = (await server.request('POST', '/folders', { token: ownerToken, body: { name: 'nested', parentId: folder.id } })).body.folder;
+    await server.uploadFile(ownerToken, 'deep.js', 'export const deep = 1;', { id: 'deep', folderId: nested.id });
+});
+
+test.after(() => server.close());
+
+test('без доступу чужий файл не видно', async () => {
+    assert.equal((await server.request('GET', '/files/doc', { token: guestToken })).status, 404);
+    assert.deepEqual((await sharedWithGuest()).files, []);
+});
+
+test('надання доступу перевіряє користувача і рівень', async () => {
+    assert.equal((await share('/files/doc/shares', 'guest', 'owner')).status, 400);
+    assert.equal((await share('/files/doc/shares', 'nobody', 'viewer')).status, 404);
+    assert.equal((await share('/files/doc/shares', 'admin', 'viewer')).status, 400);
+    assert.equal((await server.request('POST', '/files/doc/shares', { token: guestToken, body: { username: 'guest' } })).status, 404);
+});
+
+test('viewer читає, але не перезаписує й не видаляє', async () => {
+    assert.equal((await share('/files/doc/shares', 'guest', 'viewer')).status, 200);
+
+    const shared = await sharedWithGuest();
+    assert.deepEqual(shared.files.map(f => [f.id, f.access, f.owner]), [['doc', 'viewer', 'admin']]);
+    assert.equal((await server.request('GET', '/files/doc/content', { token: guestToken })).body.toString(), 'export const doc = 1;');
+
+    assert.equal((await server.uploadFile(guestToken, 'doc.js', 'export const doc = 2;', { id: 'doc' })).status, 403);
+    assert.equal((await server.request('DELETE', '/files/doc', { token: guestToken })).status, 403);
+});
+
+test('editor перезаписує файл, видалити його може лише власник', async () => {
+    await share('/files/doc/shares', 'guest', 'editor');
+
+    const written = await server.uploadFile(guestToken, 'doc.js', 'export const doc = 2;', { id: 'doc' });
+    assert.equal(written.status, 200);
+    assert.equal(written.body.file.userId, 'admin');
+    assert.equal(written.body.file.version, 2);
+    assert.equal((await server.request('DELETE', '/files/doc', { token: guestToken })).status, 403);
+});
+
+test('доступ до папки поширюється на вкладені папки та файли', async () => {
+    await share(`/folders/${folder.id}/shares`, 'guest', 'viewer');
+
+    const shared = await sharedWithGuest();
+    assert.ok(shared.files.some(f => f.id === 'deep' && f.access === 'viewer'));
+    assert.deepEqual(shared.folders.map(f => f.name).sort(), ['nested', 'team']);
+    assert.equal((await server.request('GET', '/files/deep', { token: guestToken })).status, 200);
+});
+
+test('відкликаний доступ більше не діє', async () => {
+    const listed = await server.request('GET', '/files/doc/shares', { token: ownerToken });
+    assert.deepEqual(listed.body.shares.map(s => s.username), ['guest']);
+
+    assert.equal((await server.request('DELETE', '/files/doc/shares/guest', { token: ownerToken })).status, 200);
+    assert.equal((await server.request('DELETE', `/folders/${folder.id}/shares/guest`, { token: ownerToken })).status, 200);
+    assert.equal((await server.request('DELETE', '/files/doc/shares/guest', { token: ownerToken })).status, 404);
+
+    assert.equal((await server.request('GET', '/files/doc', { token: guestToken })).status, 404);
+    assert.equal((await server.request('GET', '/files/deep', { token: guestToken })).status, 404);
+    assert.deepEqual(await sharedWithGuest(), { success: true, files: [], folders: [], count: 0 });
+});
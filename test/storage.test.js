@@ -0,0 +1,141 @@
+// Драйвер S3: сервер працює з S3-сумісною заглушкою в пам'яті, міграція переносить блоби на диск
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { startTestServer } = require('./helpers');
+
+const PREFIX = 'blobs/';
+
+let s3;
+let server;
+let token;
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+// S3-сумісна заглушка: бакет "bucket", підписані запити, ListObjectsV2 сторінками по 2 ключі
+async function startS3StandIn() {
+    const objects = new Map();
+    const listener = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://s3');
+        const [, bucket, ...rest] = url.pathname.split('/');
+        const key = rest.map(decodeURIComponent).join('/');
+        const fail = (status, code) => {
+            res.statusCode = status;
+            res.end(req.method === 'HEAD' ? undefined : `<Error><Code>${code}</Code></Error>`);
+        };
+
+        if (bucket !== 'bucket') return fail(404, 'NoSuchBucket');
+        if (!/^AWS4-HMAC-SHA256 Credential=test-key\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=.+, Signature=[a-f0-9]{64}$/.test(req.headers.authorization || '')) {
+            return fail(403, 'AccessDenied');
+        }
+
+        if (!key) {
+            if (req.method === 'HEAD') return res.end();
+
+            const keys = [...objects.keys()].filter(k => k.startsWith(url.searchParams.get('prefix') || '')).sort();
+            const start = Number(url.searchParams.get('continuation-token') || 0);
+            const truncated = start + 2 < keys.length;
+            return res.end('<ListBucketResult>' +
+                keys.slice(start, start + 2).map(k => `<Contents><Key>${k}</Key></Contents>`).join('') +
+                `<IsTruncated>${truncated}</IsTruncated>` +
+                (truncated ? `<NextContinuationToken>${start + 2}</NextContinuationToken>` : '') +
+                '</ListBucketResult>');
+        }
+
+        if (req.method === 'PUT') {
+            const chunks = [];
+            for await (const chunk of req) chunks.push(chunk);
+            objects.set(key, Buffer.concat(chunks));
+            return res.end();
+        }
+        if (req.method === 'DELETE') {
+            objects.delete(key);
+            res.statusCode = 204;
+            return res.end();
+        }
+
+        const object = objects.get(key);
+        if (!object) return fail(404, 'NoSuchKey');
+
+        const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+        const body = range ? object.subarray(Number(range[1]), range[2] ? Number(range[2]) + 1 : undefined) : object;
+        res.statusCode = range ? 206 : 200;
+        res.setHeader('Content-Length', body.length);
+        res.setHeader('Last-Modified', new Date().toUTCString());
+        res.end(req.method === 'HEAD' ? undefined : body);
+    });
+
+    await new Promise(resolve => listener.listen(0, '127.0.0.1', resolve));
+    return {
+        objects,
+        endpoint: `http://127.0.0.1:${listener.address().port}`,
+        close: () => new Promise(resolve => listener.close(resolve))
+    };
+}
+
+test.before(async () => {
+    s3 = await startS3StandIn();
+    server = await startTestServer({
+        STORAGE_DRIVER: 's3',
+        S3_ENDPOINT: s3.endpoint,
+        S3_BUCKET: 'bucket',
+        S3_PREFIX: PREFIX,
+        S3_ACCESS_KEY_ID: 'test-key',
+        S3_SECRET_ACCESS_KEY: 'test-secret'
+    });
+    token = await server.login();
+});
+
+test.after(async () => {
+    await server.close();
+    await s3.close();
+});
+
+test('вміст файлів зберігається в бакеті, а не на локальному диску', async () => {
+    const source = 'export const remote = "s3";';
+    const { body } = await server.uploadFile(token, 'remote.js', source);
+
+    assert.deepEqual(s3.objects.get(PREFIX + sha256(source)), Buffer.from(source));
+    assert.ok(!fs.existsSync(server.blobPath(sha256(source))));
+
+    const content = await server.request('GET', `/files/${body.file.id}/content`, { token });
+    assert.equal(content.body.toString(), source);
+
+    const partial = await server.request('GET', `/files/${body.file.id}/content`, { token, headers: { Range: 'bytes=7-11' } });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.body.toString(), 'const');
+});
+
+test('остаточне видалення прибирає об\'єкт із бакета', async () => {
+    const source = 'export const temporary = 1;';
+    const { body } = await server.uploadFile(token, 'temporary.js', source);
+    await server.request('DELETE', `/files/${body.file.id}`, { token });
+    await server.request('DELETE', `/trash/${body.file.id}`, { token });
+
+    assert.ok(!s3.objects.has(PREFIX + sha256(source)));
+});
+
+test('міграція копіює всі блоби на диск і не переносить пошкоджені', async () => {
+    const sources = ['export const a = 1;', 'export const b = 2;', 'export const c = 3;'];
+    for (const source of sources) {
+        await server.uploadFile(token, 'many.js', source);
+    }
+    const corrupted = sha256('original content');
+    s3.objects.set(PREFIX + corrupted, Buffer.from('tampered content'));
+
+    const migrate = promisify(execFile)(process.execPath, [path.join(__dirname, '..', 'server.js'), 'migrate-storage', 's3', 'local'], {
+        env: process.env,
+        timeout: 30000
+    });
+    await assert.rejects(migrate, error => error.code === 1);
+
+    for (const source of ['export const remote = "s3";', ...sources]) {
+        assert.equal(fs.readFileSync(server.blobPath(sha256(source)), 'utf8'), source);
+    }
+    assert.ok(!fs.existsSync(server.blobPath(corrupted)));
+});
@@ -0,0 +1,81 @@
+// Сховище метаданих: транзакції, відкат, знімки для читачів і відновлення з журналу
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { startTestServer } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+    server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+test('помилка в транзакції нічого не змінює', async () => {
+    const journalFile = path.join(server.dataDir, 'metadata.journal');
+    const before = await server.readDatabase();
+    const journalSize = fs.statSync(journalFile).size;
+
+    await assert.rejects(server.transaction(async db => {
+        db.folders.push({ id: 'rolled-back', userId: 'admin', name: 'Чернетка', parentId: null });
+        db.users[0].name = 'Змінено';
+        throw new Error('збій посеред транзакції');
+    }), /збій посеред транзакції/);
+
+    const after = await server.readDatabase();
+    assert.equal(after, before);
+    assert.ok(!after.folders.some(f => f.id === 'rolled-back'));
+    assert.equal(after.users[0].name, 'Адміністратор');
+    assert.equal(fs.statSync(journalFile).size, journalSize);
+});
+
+test('виданий читачеві знімок заморожений і не змінюється після фіксації', async () => {
+    const snapshot = await server.readDatabase();
+    assert.throws(() => snapshot.folders.push({ id: 'direct' }), TypeError);
+    assert.ok(Object.isFrozen(snapshot.users[0]));
+
+    await server.transaction(async db => {
+        db.folders.push({ id: 'docs', userId: 'admin', name: 'Документи', parentId: null });
+        await server.writeDatabase(db);
+    });
+
+    assert.ok(!snapshot.folders.some(f => f.id === 'docs'));
+    assert.ok((await server.readDatabase()).folders.some(f => f.id === 'docs'));
+});
+
+test('writeDatabase приймає лише робочу копію транзакції', async () => {
+    const copy = structuredClone(await server.readDatabase());
+    await assert.rejects(server.writeDatabase(copy), /лише всередині transaction/);
+});
+
+test('паралельні транзакції виконуються по черзі без втрачених записів', async () => {
+    await Promise.all(Array.from({ length: 20 }, (_, i) => server.transaction(async db => {
+        const count = db.folders.length;
+        await new Promise(resolve => setImmediate(resolve));
+        db.folders.push({ id: `parallel-${i}`, userId: 'admin', name: `Папка ${count}`, parentId: null });
+        await server.writeDatabase(db);
+    })));
+
+    const folders = (await server.readDatabase()).folders.filter(f => f.id.startsWith('parallel-'));
+    assert.equal(folders.length, 20);
+    assert.equal(new Set(folders.map(f => f.name)).size, 20);
+});
+
+test('зафіксовані зміни відновлюються зі знімка та журналу після перезапуску', async () => {
+    // Окремий процес читає ті самі каталоги даних, як сервер після перезапуску
+    const output = execFileSync(process.execPath, ['-e', `
+        console.log = () => {};
+        const server = require(${JSON.stringify(path.join(__dirname, '..', 'server'))});
+        server.initializeStorage()
+            .then(() => server.readDatabase())
+            .then(db => process.stdout.write(JSON.stringify(db.folders.map(f => f.id))));
+    `], { env: process.env, timeout: 30000 }).toString();
+
+    const ids = JSON.parse(output);
+    assert.ok(ids.includes('docs'));
+    assert.equal(ids.filter(id => id.startsWith('parallel-')).length, 20);
+    assert.ok(!ids.includes('rolled-back'));
+});
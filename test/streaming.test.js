@@ -0,0 +1,99 @@
+// Двійковий вміст: потокове завантаження, точні байти на диску, ETag, умовні запити й діапазони
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(zlib.crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+// Найменший коректний PNG: 1×1, відтінки сірого
+const header = Buffer.from([0, 0, 0, 1, 0, 0, 0, 1, 8, 0, 0, 0, 0]);
+const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.from([0, 0xff]))),
+    pngChunk('IEND', Buffer.alloc(0))
+]);
+const pngHash = crypto.createHash('sha256').update(png).digest('hex');
+
+const content = (fileId, headers = {}) => server.request('GET', `/files/${fileId}/content`, { token, headers });
+
+let fileId;
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+
+    const { status, body } = await server.request('POST', '/files/upload?name=pixel.png', {
+        token,
+        headers: { 'Content-Type': 'image/png' },
+        body: png
+    });
+    assert.equal(status, 201);
+    fileId = body.file.id;
+});
+
+test.after(() => server.close());
+
+test('потокове завантаження зберігає байти без змін', async () => {
+    assert.deepEqual(fs.readFileSync(server.blobPath(pngHash)), png);
+
+    const { status, headers, body } = await content(fileId);
+    assert.equal(status, 200);
+    assert.deepEqual(body, png);
+    assert.equal(headers.get('content-type'), 'image/png');
+    assert.equal(headers.get('content-length'), String(png.length));
+    assert.equal(headers.get('etag'), `"${pngHash}"`);
+});
+
+test('data URL у JSON зберігається як двійковий файл', async () => {
+    const { body } = await server.request('POST', '/files', {
+        token,
+        body: { name: 'copy.png', type: 'image/png', data: `data:image/png;base64,${png.toString('base64')}` }
+    });
+    assert.equal(body.file.hash, pngHash);
+    assert.deepEqual((await content(body.file.id)).body, png);
+});
+
+test('If-None-Match з поточним ETag дає 304', async () => {
+    // fetch з умовним заголовком сам додає Cache-Control: no-cache, якщо його не задано
+    const cached = await content(fileId, { 'If-None-Match': `"${pngHash}"`, 'Cache-Control': 'max-age=0' });
+    assert.equal(cached.status, 304);
+    assert.equal((await content(fileId, { 'If-None-Match': '"other"', 'Cache-Control': 'max-age=0' })).status, 200);
+});
+
+test('діапазони: частина, неможливий діапазон і If-Range іншої версії', async () => {
+    const partial = await content(fileId, { Range: 'bytes=1-3' });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.headers.get('content-range'), `bytes 1-3/${png.length}`);
+    assert.deepEqual(partial.body, png.subarray(1, 4));
+
+    const outside = await content(fileId, { Range: `bytes=${png.length + 10}-` });
+    assert.equal(outside.status, 416);
+    assert.equal(outside.headers.get('content-range'), `bytes */${png.length}`);
+
+    const stale = await content(fileId, { Range: 'bytes=1-3', 'If-Range': '"other"' });
+    assert.equal(stale.status, 200);
+    assert.deepEqual(stale.body, png);
+});
+
+test('вміст, що не відповідає заявленому типу, відхиляється', async () => {
+    const { status } = await server.request('POST', '/files/upload?name=fake.png', {
+        token,
+        headers: { 'Content-Type': 'image/png' },
+        body: Buffer.from('export const notAnImage = true;')
+    });
+    assert.equal(status, 415);
+});
@@ -0,0 +1,96 @@
+// Синхронізація за курсором: лише зміни після курсору, надгробки видалень і сторінки
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+const sync = (cursor, extra = {}) => server.request('POST', '/sync', { token, body: { cursor, ...extra } });
+
+test.before(async () => {
+    server = await startTestServer();
+    await server.request('POST', '/auth/register', { body: { username: 'syncer', password: 'syncer-password', name: 'Syncer' } });
+    token = await server.login('syncer', 'syncer-password');
+});
+
+test.after(() => server.close());
+
+test('без курсору повертається повний список і поточний курсор', async () => {
+    await server.uploadFile(token, 'initial.js', 'export const initial = 1;');
+
+    const { status, body } = await sync(null);
+    assert.equal(status, 200);
+    assert.equal(body.reset, true);
+    assert.deepEqual(body.changes.map(c => [c.type, c.file.name]), [['create', 'initial.js']]);
+    assert.equal(body.cursor, (await server.readDatabase()).changeSeq);
+});
+
+test('з курсором повертаються лише нові зміни, останні для кожного файлу', async () => {
+    const start = (await sync(null)).body.cursor;
+
+    const edited = (await server.uploadFile(token, 'edited.js', 'export const v = 1;')).body.file;
+    const renamed = (await server.uploadFile(token, 'old-name.js', 'export const name = 1;')).body.file;
+    const removed = (await server.uploadFile(token, 'removed.js', 'export const removed = 1;')).body.file;
+
+    const created = await sync(start);
+    assert.equal(created.body.reset, false);
+    assert.deepEqual(created.body.changes.map(c => [c.type, c.fileId]), [
+        ['create', edited.id],
+        ['create', renamed.id],
+        ['create', removed.id]
+    ]);
+
+    await server.uploadFile(token, 'edited.js', 'export const v = 2;', { id: edited.id });
+    await server.uploadFile(token, 'new-name.js', 'export const name = 1;', { id: renamed.id });
+    await server.request('DELETE', `/files/${removed.id}`, { token });
+
+    const { body } = await sync(created.body.cursor);
+    const byFile = new Map(body.changes.map(c => [c.fileId, c]));
+    assert.equal(body.changes.length, 3);
+    assert.equal(byFile.get(edited.id).type, 'update');
+    assert.equal(byFile.get(edited.id).file.version, 2);
+    assert.equal(byFile.get(renamed.id).type, 'rename');
+    assert.equal(byFile.get(renamed.id).file.name, 'new-name.js');
+    // Надгробок: без метаданих, клієнт видаляє локальну копію
+    assert.equal(byFile.get(removed.id).type, 'delete');
+    assert.equal(byFile.get(removed.id).file, undefined);
+
+    // Повторна синхронізація з новим курсором нічого не повертає
+    assert.deepEqual((await sync(body.cursor)).body.changes, []);
+});
+
+test('зміни інших користувачів не потрапляють у стрічку', async () => {
+    const cursor = (await sync(null)).body.cursor;
+    const adminToken = await server.login();
+    await server.uploadFile(adminToken, 'admin-only.js', 'export const admin = true;');
+
+    const { body } = await sync(cursor);
+    assert.deepEqual(body.changes, []);
+});
+
+test('стрічка віддається сторінками', async () => {
+    const cursor = (await sync(null)).body.cursor;
+    for (const name of ['page-1.js', 'page-2.js', 'page-3.js']) {
+        await server.uploadFile(token, name, `export const name = '${name}';`);
+    }
+
+    const first = await sync(cursor, { limit: 2 });
+    assert.equal(first.body.hasMore, true);
+    assert.deepEqual(first.body.changes.map(c => c.file.name), ['page-1.js', 'page-2.js']);
+
+    const second = await sync(first.body.cursor, { limit: 2 });
+    assert.equal(second.body.hasMore, false);
+    assert.deepEqual(second.body.changes.map(c => c.file.name), ['page-3.js']);
+});
+
+test('невідомий курсор скидає синхронізацію, некоректний відхиляється', async () => {
+    const latest = (await sync(null)).body.cursor;
+
+    const ahead = await sync(latest + 1000);
+    assert.equal(ahead.body.reset, true);
+    assert.equal(ahead.body.cursor, latest);
+
+    const invalid = await sync(-1);
+    assert.equal(invalid.status, 400);
+});
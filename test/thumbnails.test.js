@@ -0,0 +1,93 @@
+// Мініатюри PNG: створюються окремим потоком і прибираються разом з останнім файлом блобу
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(zlib.crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+// Truecolor-зображення width×height з градієнтом; idat - підміна стиснутих даних
+function createPng(width, height, idat) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 2;
+
+    const raw = Buffer.alloc((width * 3 + 1) * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            raw.fill(x % 256, y * (width * 3 + 1) + 1 + x * 3, y * (width * 3 + 1) + 4 + x * 3);
+        }
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', idat || zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+const uploadPng = (name, content) => server.request('POST', `/files/upload?name=${name}`, {
+    token,
+    headers: { 'Content-Type': 'image/png' },
+    body: content
+});
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+});
+
+test.after(() => server.close());
+
+test('мініатюра зменшує зображення зі збереженням пропорцій', async () => {
+    const { body } = await uploadPng('wide.png', createPng(256, 64));
+    const { image } = (await server.readDatabase()).blobs[body.file.hash];
+    assert.deepEqual([image.width, image.height], [256, 64]);
+
+    const thumbnail = await server.request('GET', `/files/${body.file.id}/thumbnail`, { token });
+    assert.equal(thumbnail.status, 200);
+    assert.equal(thumbnail.headers.get('content-type'), 'image/png');
+    assert.equal(thumbnail.body.readUInt32BE(16), 128);
+    assert.equal(thumbnail.body.readUInt32BE(20), 32);
+    assert.ok(fs.existsSync(path.join(server.dataDir, 'thumbnails', `${body.file.hash}.png`)));
+});
+
+test('пошкоджене зображення дає 422, сервер працює далі', async () => {
+    const { body } = await uploadPng('broken.png', createPng(32, 32, Buffer.from('not deflate data')));
+
+    const thumbnail = await server.request('GET', `/files/${body.file.id}/thumbnail`, { token });
+    assert.equal(thumbnail.status, 422);
+
+    const { body: valid } = await uploadPng('valid.png', createPng(16, 16));
+    assert.equal((await server.request('GET', `/files/${valid.file.id}/thumbnail`, { token })).status, 200);
+});
+
+test('мініатюра видаляється разом з останнім файлом блобу', async () => {
+    const { body } = await uploadPng('gone.png', createPng(64, 64));
+    assert.equal((await server.request('GET', `/files/${body.file.id}/thumbnail`, { token })).status, 200);
+    const thumbnailPath = path.join(server.dataDir, 'thumbnails', `${body.file.hash}.png`);
+    assert.ok(fs.existsSync(thumbnailPath));
+
+    await server.request('DELETE', `/files/${body.file.id}`, { token });
+    assert.equal((await server.request('DELETE', `/trash/${body.file.id}`, { token })).status, 200);
+
+    // Прибирання йде у фоні після запису; чекаємо його через маршрут мініатюр іншого файлу
+    const { body: other } = await uploadPng('other.png', createPng(8, 8));
+    await server.request('GET', `/files/${other.file.id}/thumbnail`, { token });
+    assert.ok(!fs.existsSync(thumbnailPath));
+});
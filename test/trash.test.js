@@ -0,0 +1,86 @@
+// Кошик: м'яке видалення, відновлення, остаточне видалення й автоочищення прострочених елементів
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+const trashItems = async () => (await server.request('GET', '/trash', { token })).body.items;
+const fileIds = async () => (await server.request('GET', '/files?limit=1000', { token })).body.files.map(f => f.id);
+
+test.before(async () => {
+    server = await startTestServer({ TRASH_RETENTION_DAYS: '7' });
+    token = await server.login();
+});
+
+test.after(() => server.close());
+
+test('видалений файл потрапляє в кошик і відновлюється', async () => {
+    const { body } = await server.uploadFile(token, 'undo.js', 'export const undo = 1;', { id: 'undo' });
+    assert.equal((await server.request('DELETE', '/files/undo', { token })).status, 200);
+
+    assert.ok(!(await fileIds()).includes('undo'));
+    assert.ok(fs.existsSync(server.blobPath(body.file.hash)));
+
+    const [item] = await trashItems();
+    assert.equal(item.id, 'undo');
+    assert.equal(new Date(item.expiresAt) - new Date(item.deletedAt), 7 * 24 * 60 * 60 * 1000);
+
+    assert.equal((await server.request('POST', '/trash/undo/restore', { token })).status, 200);
+    assert.ok((await fileIds()).includes('undo'));
+    assert.equal((await server.request('POST', '/trash/undo/restore', { token })).status, 404);
+});
+
+test('файл з видаленої потім папки відновлюється в корінь, папка - під новою назвою', async () => {
+    const folder = (await server.request('POST', '/folders', { token, body: { name: 'lib' } })).body.folder;
+    await server.uploadFile(token, 'inner.js', 'export {};', { id: 'inner', folderId: folder.id });
+    await server.request('DELETE', '/files/inner', { token });
+    await server.request('DELETE', `/folders/${folder.id}`, { token });
+
+    const restoredFile = await server.request('POST', '/trash/inner/restore', { token });
+    assert.equal(restoredFile.body.item.folderId, null);
+
+    await server.request('POST', '/folders', { token, body: { name: 'lib' } });
+    const restoredFolder = await server.request('POST', `/trash/${folder.id}/restore`, { token });
+    assert.equal(restoredFolder.body.item.name, 'lib (відновлено)');
+});
+
+test('очищення всіх файлів переносить їх у кошик, очищення кошика видаляє вміст', async () => {
+    const { body } = await server.uploadFile(token, 'doomed.js', 'export const doomed = 1;', { id: 'doomed' });
+    const cleared = await server.request('DELETE', '/files', { token });
+    assert.ok(cleared.body.deletedCount >= 2);
+    assert.deepEqual(await fileIds(), []);
+
+    const emptied = await server.request('DELETE', '/trash', { token });
+    assert.equal(emptied.status, 200);
+    assert.deepEqual(await trashItems(), []);
+    assert.ok(!(await server.readDatabase()).blobs[body.file.hash]);
+});
+
+test('автоочищення видаляє лише елементи, старші за термін зберігання', async () => {
+    await server.uploadFile(token, 'old.js', 'export const old = 1;', { id: 'old' });
+    await server.uploadFile(token, 'recent.js', 'export const recent = 1;', { id: 'recent' });
+    await server.request('DELETE', '/files/old', { token });
+    await server.request('DELETE', '/files/recent', { token });
+
+    await server.transaction(async db => {
+        db.files.find(f => f.id === 'old').deletedAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+        await server.writeDatabase(db);
+    });
+    await server.purgeExpiredTrash();
+
+    assert.deepEqual((await trashItems()).map(item => item.id), ['recent']);
+    assert.ok(!(await server.readDatabase()).files.some(f => f.id === 'old'));
+});
+
+test('елемент кошика видаляється остаточно лише власником', async () => {
+    await server.request('POST', '/auth/register', { body: { username: 'frank', password: 'frank-password' } });
+    const frankToken = await server.login('frank', 'frank-password');
+
+    assert.equal((await server.request('DELETE', '/trash/recent', { token: frankToken })).status, 404);
+    assert.equal((await server.request('POST', '/trash/recent/restore', { token: frankToken })).status, 404);
+    assert.equal((await server.request('DELETE', '/trash/recent', { token })).status, 200);
+    assert.deepEqual(await trashItems(), []);
+});
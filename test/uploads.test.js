@@ -0,0 +1,115 @@
+// Поетапне завантаження: частини в довільному порядку, перевірка розмірів і контрольної суми, завершення
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+const source = `export const data = "${'x'.repeat(40)}";\n`;
+const checksum = crypto.createHash('sha256').update(source).digest('hex');
+
+async function createUpload(fields = {}) {
+    const { body } = await server.request('POST', '/uploads', {
+        token,
+        body: { name: 'chunked.js', type: 'application/javascript', size: Buffer.byteLength(source), chunkSize: 16, ...fields }
+    });
+    return body.upload;
+}
+
+const putChunk = (upload, index, content) => server.request('PUT', `/uploads/${upload.id}/chunks/${index}`, {
+    token,
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: Buffer.from(content)
+});
+
+async function putAllChunks(upload) {
+    const content = Buffer.from(source);
+    for (let index = upload.totalChunks - 1; index >= 0; index--) {
+        assert.equal((await putChunk(upload, index, content.subarray(index * 16, (index + 1) * 16))).status, 200);
+    }
+}
+
+const complete = upload => server.request('POST', `/uploads/${upload.id}/complete`, { token });
+
+test.before(async () => {
+    server = await startTestServer();
+    token = await server.login();
+});
+
+test.after(() => server.close());
+
+test('частини приймаються в довільному порядку, сесія показує відсутні', async () => {
+    const upload = await createUpload({ checksum });
+    assert.equal(upload.totalChunks, 4);
+
+    await putChunk(upload, 3, Buffer.from(source).subarray(48));
+    const state = await server.request('GET', `/uploads/${upload.id}`, { token });
+    assert.deepEqual(state.body.upload.receivedChunks, [3]);
+    assert.deepEqual(state.body.upload.missingChunks, [0, 1, 2]);
+
+    const early = await complete(upload);
+    assert.equal(early.status, 409);
+    assert.deepEqual(early.body.missingChunks, [0, 1, 2]);
+
+    await putAllChunks(upload);
+    const { status, body } = await complete(upload);
+    assert.equal(status, 200);
+    assert.equal(body.checksum, checksum);
+    assert.equal((await server.request('GET', `/files/${body.file.id}/content`, { token })).body.toString(), source);
+    assert.equal((await server.request('GET', `/uploads/${upload.id}`, { token })).status, 404);
+});
+
+test('частина невірного розміру чи номера відхиляється', async () => {
+    const upload = await createUpload();
+    assert.equal((await putChunk(upload, 0, 'short')).status, 400);
+    assert.equal((await putChunk(upload, 0, 'x'.repeat(17))).status, 413);
+    assert.equal((await putChunk(upload, 9, 'x'.repeat(16))).status, 400);
+    assert.deepEqual((await server.request('GET', `/uploads/${upload.id}`, { token })).body.upload.receivedChunks, []);
+});
+
+test('кожна прийнята частина продовжує життя сесії', async () => {
+    const upload = await createUpload();
+    const longAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    await server.transaction(async db => {
+        db.uploads.find(u => u.id === upload.id).updatedDate = longAgo;
+        await server.writeDatabase(db);
+    });
+
+    await putChunk(upload, 0, Buffer.from(source).subarray(0, 16));
+    const stored = (await server.readDatabase()).uploads.find(u => u.id === upload.id);
+    assert.ok(new Date(stored.updatedDate) > new Date(longAgo));
+});
+
+test('невірна контрольна сума не створює файл', async () => {
+    const upload = await createUpload({ checksum: '0'.repeat(64) });
+    await putAllChunks(upload);
+
+    const before = (await server.readDatabase()).files.length;
+    const { status } = await complete(upload);
+    assert.equal(status, 422);
+    assert.equal((await server.readDatabase()).files.length, before);
+});
+
+test('паралельні завершення однієї сесії створюють одну версію файлу', async () => {
+    const upload = await createUpload({ id: 'parallel' });
+    await putAllChunks(upload);
+
+    const results = await Promise.all([complete(upload), complete(upload), complete(upload)]);
+    const statuses = results.map(r => r.status);
+    assert.equal(statuses.filter(status => status === 200).length, 1);
+    assert.ok(statuses.every(status => [200, 404, 409].includes(status)), statuses.join(','));
+
+    const file = (await server.readDatabase()).files.find(f => f.id === 'parallel');
+    assert.equal(file.version, 1);
+    assert.deepEqual(fs.readdirSync(path.join(server.dataDir, 'tmp')), []);
+});
+
+test('скасована сесія більше не приймає частини', async () => {
+    const upload = await createUpload();
+    assert.equal((await server.request('DELETE', `/uploads/${upload.id}`, { token })).status, 200);
+    assert.equal((await putChunk(upload, 0, Buffer.from(source).subarray(0, 16))).status, 404);
+});